@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// API keys stored hashed on disk, with per-key rate limits, concurrent-job limits and monthly quotas
+
+const KEYS_FILE = path.join(DATA_DIR, 'api-keys.json');
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: parseInt(process.env.API_KEY_DEFAULT_RPM, 10) || 60,
+  maxConcurrentJobs: parseInt(process.env.API_KEY_DEFAULT_CONCURRENCY, 10) || 2,
+  monthlyMinutes: parseFloat(process.env.API_KEY_DEFAULT_MONTHLY_MINUTES) || null,
+  monthlyBytes: parseInt(process.env.API_KEY_DEFAULT_MONTHLY_BYTES, 10) || null
+};
+
+const keys = new Map();          // id -> key record
+const requestLog = new Map();    // id -> timestamps of requests in the last minute
+const activeJobs = new Map();    // id -> running job count
+
+// Keys are required when REQUIRE_API_KEY=true, and by default as soon as one active key exists;
+// only REQUIRE_API_KEY=false keeps anonymous access open once keys are issued
+function isRequired() {
+  if (process.env.REQUIRE_API_KEY === 'true') {
+    return true;
+  }
+  if (process.env.REQUIRE_API_KEY === 'false') {
+    return false;
+  }
+  return Array.from(keys.values()).some(record => !record.revokedAt);
+}
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+// Seconds until the first day of next month (UTC), when monthly quotas reset
+function secondsUntilNextMonth() {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+function saveKeys() {
+  try {
+    writeJsonFile(KEYS_FILE, Array.from(keys.values()));
+  } catch (error) {
+    console.error(`❌ Failed to save API keys: ${error.message}`);
+  }
+}
+
+function loadKeys() {
+  try {
+    for (const record of readJsonFile(KEYS_FILE, [])) {
+      keys.set(record.id, record);
+    }
+    console.log(`🔑 Loaded ${keys.size} API keys`);
+  } catch (error) {
+    console.error(`❌ Failed to load API keys: ${error.message}`);
+  }
+}
+
+// Public view of a key record (never includes the hash)
+function describeKey(record) {
+  const { hash, ...rest } = record;
+  return {
+    ...rest,
+    activeJobs: activeJobs.get(record.id) || 0
+  };
+}
+
+// Create a key; the raw key is only returned here and cannot be recovered later
+function createKey({ name, limits = {}, allowedDomains = [] }) {
+  const rawKey = `vm_${crypto.randomBytes(24).toString('hex')}`;
+  const record = {
+    id: uuidv4(),
+    name: name || 'unnamed',
+    prefix: rawKey.slice(0, 10),
+    hash: hashKey(rawKey),
+    limits: { ...DEFAULT_LIMITS, ...limits },
+    allowedDomains,
+    usage: { month: currentMonth(), requests: 0, jobs: 0, minutes: 0, bytes: 0 },
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  keys.set(record.id, record);
+  saveKeys();
+  return { key: rawKey, record: describeKey(record) };
+}
+
+function revokeKey(id) {
+  const record = keys.get(id);
+  if (!record) {
+    return null;
+  }
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    saveKeys();
+  }
+  return describeKey(record);
+}
+
+function listKeys() {
+  return Array.from(keys.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(describeKey);
+}
+
+// Find the active key record for a raw key, or null
+function findKey(rawKey) {
+  if (!rawKey) {
+    return null;
+  }
+  const hash = hashKey(rawKey);
+  for (const record of keys.values()) {
+    if (record.hash === hash && !record.revokedAt) {
+      return record;
+    }
+  }
+  return null;
+}
+
+// Start a fresh usage period when the month rolls over
+function rollUsage(record) {
+  if (record.usage.month !== currentMonth()) {
+    record.usage = { month: currentMonth(), requests: 0, jobs: 0, minutes: 0, bytes: 0 };
+  }
+}
+
+// Sliding one-minute request window; returns { allowed } or { allowed: false, retryAfter }
+function checkRateLimit(record) {
+  const now = Date.now();
+  const windowStart = now - 60 * 1000;
+  const timestamps = (requestLog.get(record.id) || []).filter(time => time > windowStart);
+
+  if (timestamps.length >= record.limits.requestsPerMinute) {
+    requestLog.set(record.id, timestamps);
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil((timestamps[0] - windowStart) / 1000)) };
+  }
+
+  timestamps.push(now);
+  requestLog.set(record.id, timestamps);
+  rollUsage(record);
+  record.usage.requests++;
+  return { allowed: true };
+}
+
+// Check the concurrent-job limit and monthly quota before a merge starts
+// Returns null when the job may start, or { error, retryAfter }
+function checkJobAllowed(record) {
+  rollUsage(record);
+  const { limits, usage } = record;
+
+  if (limits.monthlyMinutes && usage.minutes >= limits.monthlyMinutes) {
+    return { error: `Monthly quota of ${limits.monthlyMinutes} processed minutes reached`, retryAfter: secondsUntilNextMonth() };
+  }
+  if (limits.monthlyBytes && usage.bytes >= limits.monthlyBytes) {
+    return { error: `Monthly quota of ${limits.monthlyBytes} processed bytes reached`, retryAfter: secondsUntilNextMonth() };
+  }
+  if ((activeJobs.get(record.id) || 0) >= limits.maxConcurrentJobs) {
+    return { error: `Concurrent job limit of ${limits.maxConcurrentJobs} reached`, retryAfter: 30 };
+  }
+  return null;
+}
+
+function jobStarted(keyId) {
+  activeJobs.set(keyId, (activeJobs.get(keyId) || 0) + 1);
+}
+
+// Release the job slot and add the processed duration/bytes to this month's usage
+function jobFinished(keyId, { seconds = 0, bytes = 0 } = {}) {
+  activeJobs.set(keyId, Math.max(0, (activeJobs.get(keyId) || 0) - 1));
+
+  const record = keys.get(keyId);
+  if (!record) {
+    return;
+  }
+  rollUsage(record);
+  record.usage.jobs++;
+  record.usage.minutes = Math.round((record.usage.minutes + seconds / 60) * 1000) / 1000;
+  record.usage.bytes += bytes;
+  saveKeys();
+}
+
+module.exports = {
+  isRequired,
+  loadKeys,
+  createKey,
+  revokeKey,
+  listKeys,
+  findKey,
+  checkRateLimit,
+  checkJobAllowed,
+  jobStarted,
+  jobFinished
+};
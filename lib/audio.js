@@ -0,0 +1,213 @@
+const { probeVideo, runFfmpeg } = require('./media');
+const { codedError } = require('./errors');
+
+// Background music bed mixed onto the merged video, with optional sidechain ducking under the original audio
+
+const AUDIO_MODES = ['mix', 'replace', 'keep'];
+const SAMPLE_RATE = 48000;
+const MAX_FADE = 30;
+
+const DEFAULT_VOLUME = { mix: 0.3, keep: 0.3, replace: 1 };
+
+// Client mistakes that only show once the music is downloaded (answered with 400 instead of 500)
+const REQUEST_ERROR_CODES = ['MUSIC_NO_AUDIO'];
+
+// sidechaincompress settings used when duck is true
+const DEFAULT_DUCKING = {
+  threshold: 0.05,
+  ratio: 8,
+  attack: 20,
+  release: 300
+};
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Validate duck: true/false or { threshold, ratio, attack, release }
+function parseDucking(option) {
+  if (option === undefined || option === false || option === null) {
+    return { ducking: null };
+  }
+  if (option === true) {
+    return { ducking: { ...DEFAULT_DUCKING } };
+  }
+  if (typeof option !== 'object') {
+    return { error: 'audio.duck must be a boolean or { threshold, ratio, attack, release }' };
+  }
+
+  const ducking = { ...DEFAULT_DUCKING, ...option };
+  if (!isNumberInRange(ducking.threshold, 0.001, 1)) {
+    return { error: 'audio.duck.threshold must be a number between 0.001 and 1' };
+  }
+  if (!isNumberInRange(ducking.ratio, 1, 20)) {
+    return { error: 'audio.duck.ratio must be a number between 1 and 20' };
+  }
+  if (!isNumberInRange(ducking.attack, 0.01, 2000)) {
+    return { error: 'audio.duck.attack must be a number of milliseconds between 0.01 and 2000' };
+  }
+  if (!isNumberInRange(ducking.release, 0.01, 9000)) {
+    return { error: 'audio.duck.release must be a number of milliseconds between 0.01 and 9000' };
+  }
+  return { ducking };
+}
+
+// Validate the request's audio option; returns { audio } (null when absent) or { error }
+function parseAudioOption(option) {
+  if (option === undefined || option === null) {
+    return { audio: null };
+  }
+
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return { error: 'audio must be an object with a music url' };
+  }
+
+  if (typeof option.url !== 'string' || !option.url) {
+    return { error: 'audio.url is required' };
+  }
+
+  const mode = option.mode === undefined ? 'mix' : option.mode;
+  if (!AUDIO_MODES.includes(mode)) {
+    return { error: `audio.mode must be one of: ${AUDIO_MODES.join(', ')}` };
+  }
+
+  const volume = option.volume === undefined ? DEFAULT_VOLUME[mode] : option.volume;
+  if (!isNumberInRange(volume, 0, 2)) {
+    return { error: 'audio.volume must be a number between 0 and 2' };
+  }
+
+  const fadeIn = option.fadeIn === undefined ? 0 : option.fadeIn;
+  const fadeOut = option.fadeOut === undefined ? 0 : option.fadeOut;
+  if (!isNumberInRange(fadeIn, 0, MAX_FADE) || !isNumberInRange(fadeOut, 0, MAX_FADE)) {
+    return { error: `audio.fadeIn and audio.fadeOut must be seconds between 0 and ${MAX_FADE}` };
+  }
+
+  if (option.loop !== undefined && typeof option.loop !== 'boolean') {
+    return { error: 'audio.loop must be a boolean' };
+  }
+
+  const { ducking, error } = parseDucking(option.duck);
+  if (error) {
+    return { error };
+  }
+  if (ducking && mode === 'replace') {
+    return { error: 'audio.duck needs the original audio; use mode "mix" or "keep"' };
+  }
+
+  return {
+    audio: {
+      url: option.url,
+      mode,
+      volume,
+      fadeIn,
+      fadeOut,
+      loop: option.loop !== false,
+      ducking
+    }
+  };
+}
+
+// Build the filtergraph for input 0 (merged video) and input 1 (music)
+// The music is trimmed (or padded with silence) to exactly `duration` seconds
+function buildMusicFilter(audio, { duration, musicDuration, hasOriginalAudio }) {
+  const format = `aformat=sample_fmts=fltp:sample_rates=${SAMPLE_RATE}:channel_layouts=stereo`;
+  const musicEnd = audio.loop ? duration : Math.min(duration, musicDuration);
+
+  const musicChain = [
+    format,
+    `atrim=end=${musicEnd.toFixed(3)}`,
+    'asetpts=PTS-STARTPTS',
+    `volume=${audio.volume}`
+  ];
+  if (audio.fadeIn > 0) {
+    musicChain.push(`afade=t=in:st=0:d=${Math.min(audio.fadeIn, musicEnd)}`);
+  }
+  if (audio.fadeOut > 0) {
+    const fadeOut = Math.min(audio.fadeOut, musicEnd);
+    musicChain.push(`afade=t=out:st=${(musicEnd - fadeOut).toFixed(3)}:d=${fadeOut}`);
+  }
+  musicChain.push(`apad=whole_len=${Math.ceil(duration * SAMPLE_RATE)}`, `atrim=end=${duration.toFixed(3)}`);
+
+  const filters = [`[1:a]${musicChain.join(',')}[music]`];
+  const mode = hasOriginalAudio ? audio.mode : 'replace';
+  const ducked = Boolean(audio.ducking && hasOriginalAudio);
+  let musicLabel = 'music';
+
+  if (hasOriginalAudio && mode !== 'replace') {
+    filters.push(`[0:a]${format}${ducked ? ',asplit=2[orig][sidechain]' : '[orig]'}`);
+  }
+
+  if (ducked) {
+    const { threshold, ratio, attack, release } = audio.ducking;
+    filters.push(`[music][sidechain]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked]`);
+    musicLabel = 'ducked';
+  }
+
+  if (mode === 'mix') {
+    // amix scales each input by 1/inputs; volume=2 restores the original level
+    filters.push(`[orig][${musicLabel}]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]`);
+    return { filter: filters.join(';'), audioLabels: ['aout'], mode, ducked };
+  }
+
+  if (mode === 'keep') {
+    // Original audio stays the first track; the music bed becomes a second track
+    return { filter: filters.join(';'), audioLabels: ['orig', musicLabel], mode, ducked };
+  }
+
+  return { filter: filters.join(';'), audioLabels: [musicLabel], mode, ducked };
+}
+
+// Add the music bed to the merged video; the video stream is copied, only audio is re-encoded
+async function mixBackgroundMusic(videoPath, musicPath, outputPath, audio, options = {}) {
+  const videoInfo = await probeVideo(videoPath);
+  const musicInfo = await probeVideo(musicPath);
+
+  if (!musicInfo.audio) {
+    const error = codedError('MUSIC_NO_AUDIO', 'audio.url does not contain an audio stream');
+    error.stage = 'mixing';
+    throw error;
+  }
+
+  console.log(`🎵 Adding background music (${audio.mode}${audio.ducking ? ', ducked' : ''}) to ${videoInfo.duration.toFixed(2)}s video...`);
+
+  const { filter, audioLabels, mode, ducked } = buildMusicFilter(audio, {
+    duration: videoInfo.duration,
+    musicDuration: musicInfo.duration,
+    hasOriginalAudio: Boolean(videoInfo.audio)
+  });
+
+  const args = ['-i', videoPath];
+  if (audio.loop) {
+    args.push('-stream_loop', '-1');
+  }
+  args.push('-i', musicPath, '-filter_complex', filter, '-map', '0:v:0');
+  audioLabels.forEach(label => args.push('-map', `[${label}]`));
+  args.push('-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k');
+  if (audioLabels.length > 1) {
+    args.push('-metadata:s:a:1', 'title=Music');
+  }
+  args.push('-t', videoInfo.duration.toFixed(3), '-movflags', '+faststart', '-y', outputPath);
+
+  await runFfmpeg(args, {
+    label: 'Background music',
+    totalDuration: videoInfo.duration,
+    onProgress: options.onProgress,
+    signal: options.signal
+  });
+
+  return {
+    mode,
+    ducked,
+    volume: audio.volume,
+    looped: audio.loop && musicInfo.duration < videoInfo.duration,
+    musicDuration: musicInfo.duration
+  };
+}
+
+module.exports = {
+  AUDIO_MODES,
+  REQUEST_ERROR_CODES,
+  parseAudioOption,
+  buildMusicFilter,
+  mixBackgroundMusic
+};
@@ -0,0 +1,206 @@
+const { probeVideo, runFfmpeg } = require('./media');
+const { processClips } = require('./clips');
+
+// Dead-air trimming: blackdetect and silencedetect find black frames and silence at the start and end of each clip,
+// and the part where every enabled detector agrees is cut off before the merge
+
+const DEFAULTS = { black: true, silence: true, minDuration: 0.5, blackThreshold: 0.1, silenceThreshold: -50 };
+const SCAN_SECONDS = 20; // longer clips only have their first and last SCAN_SECONDS analyzed
+const EDGE_TOLERANCE = 0.1; // a detected span this close to the clip's start or end counts as touching it
+const MIN_REMAINING = 0.5; // clips are never trimmed shorter than this
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Validate the request's autoTrim option: true or { black, silence, minDuration, blackThreshold, silenceThreshold }
+// Returns { autoTrim } (null when absent or false) or { error }
+function parseAutoTrimOption(option) {
+  if (option === undefined || option === null || option === false) {
+    return { autoTrim: null };
+  }
+  if (option === true) {
+    return { autoTrim: { ...DEFAULTS } };
+  }
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return { error: 'autoTrim must be true or { black, silence, minDuration, blackThreshold, silenceThreshold }' };
+  }
+
+  const autoTrim = { ...DEFAULTS, ...option };
+  if (typeof autoTrim.black !== 'boolean' || typeof autoTrim.silence !== 'boolean') {
+    return { error: 'autoTrim.black and autoTrim.silence must be booleans' };
+  }
+  if (!autoTrim.black && !autoTrim.silence) {
+    return { error: 'autoTrim needs at least one of black or silence enabled' };
+  }
+  if (!isNumberInRange(autoTrim.minDuration, 0.1, 10)) {
+    return { error: 'autoTrim.minDuration must be between 0.1 and 10 seconds' };
+  }
+  if (!isNumberInRange(autoTrim.blackThreshold, 0, 1)) {
+    return { error: 'autoTrim.blackThreshold must be a pixel luminance threshold between 0 and 1' };
+  }
+  if (!isNumberInRange(autoTrim.silenceThreshold, -90, -10)) {
+    return { error: 'autoTrim.silenceThreshold must be between -90 and -10 dB' };
+  }
+
+  return {
+    autoTrim: {
+      black: autoTrim.black,
+      silence: autoTrim.silence,
+      minDuration: autoTrim.minDuration,
+      blackThreshold: autoTrim.blackThreshold,
+      silenceThreshold: autoTrim.silenceThreshold
+    }
+  };
+}
+
+// Run the enabled detectors over `length` seconds of filePath from `from`
+// Resolves with { black, silence } lists of { start, end } spans in file time
+async function detectSpans(filePath, info, settings, from, length, signal) {
+  const spans = { black: [], silence: [] };
+  const detectSilence = settings.silence && info.audio;
+  const args = [];
+  if (from > 0) {
+    args.push('-ss', String(from));
+  }
+  args.push('-t', String(length), '-i', filePath);
+  if (settings.black) {
+    args.push('-map', '0:v:0', '-vf', `blackdetect=d=${settings.minDuration}:pix_th=${settings.blackThreshold}`);
+  }
+  if (detectSilence) {
+    args.push('-map', '0:a:0', '-af', `silencedetect=n=${settings.silenceThreshold}dB:d=${settings.minDuration}`);
+  }
+  args.push('-f', 'null', '-');
+
+  let silenceStart = null;
+  await runFfmpeg(args, {
+    label: 'Dead-air detection',
+    signal,
+    onLine: (line) => {
+      const black = /black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)/.exec(line);
+      if (black) {
+        spans.black.push({ start: from + parseFloat(black[1]), end: from + parseFloat(black[2]) });
+      }
+      const silenceFrom = /silence_start:\s*(-?[\d.]+)/.exec(line);
+      if (silenceFrom) {
+        silenceStart = from + Math.max(0, parseFloat(silenceFrom[1]));
+      }
+      const silenceTo = /silence_end:\s*([\d.]+)/.exec(line);
+      if (silenceTo && silenceStart !== null) {
+        spans.silence.push({ start: silenceStart, end: from + parseFloat(silenceTo[1]) });
+        silenceStart = null;
+      }
+    }
+  });
+
+  // Silence still running when the input ended
+  if (silenceStart !== null) {
+    spans.silence.push({ start: silenceStart, end: from + length });
+  }
+  return spans;
+}
+
+// Seconds of dead air at the start and end of one clip, as { duration, lead, trail, skipped }
+async function findDeadAir(filePath, settings, signal) {
+  const info = await probeVideo(filePath);
+  const { duration } = info;
+
+  const windows = duration <= SCAN_SECONDS * 2
+    ? [[0, duration]]
+    : [[0, SCAN_SECONDS], [duration - SCAN_SECONDS, SCAN_SECONDS]];
+  const spans = { black: [], silence: [] };
+  for (const [from, length] of windows) {
+    const found = await detectSpans(filePath, info, settings, from, length, signal);
+    spans.black.push(...found.black);
+    spans.silence.push(...found.silence);
+  }
+
+  // A clip without audio is silent throughout, so only the black frames decide
+  const detectors = [];
+  if (settings.black) {
+    detectors.push(info.video ? spans.black : []);
+  }
+  if (settings.silence) {
+    detectors.push(info.audio ? spans.silence : [{ start: 0, end: duration }]);
+  }
+
+  // Dead air is where every detector agrees: the shortest leading span and the shortest trailing span
+  const leads = detectors.map(list => {
+    const span = list.find(candidate => candidate.start <= EDGE_TOLERANCE);
+    return span ? Math.min(span.end, duration) : 0;
+  });
+  const trails = detectors.map(list => {
+    const span = list.find(candidate => candidate.end >= duration - EDGE_TOLERANCE);
+    return span ? duration - Math.max(span.start, 0) : 0;
+  });
+  let lead = Math.min(...leads);
+  let trail = Math.min(...trails);
+  lead = lead >= settings.minDuration ? lead : 0;
+  trail = trail >= settings.minDuration ? trail : 0;
+
+  if (duration - lead - trail < MIN_REMAINING) {
+    return { duration, lead: 0, trail: 0, skipped: 'the whole clip is dead air' };
+  }
+  return { duration, lead, trail, skipped: null };
+}
+
+function round3(value) {
+  return Number(value.toFixed(3));
+}
+
+// Detect and cut leading/trailing dead air from every clip; trims go through processClips
+// (stream copy when the new start is on a keyframe)
+// Returns { files, createdFiles, report } where files replaces the input list
+async function autoTrimClips(inputFiles, settings, options = {}) {
+  const { sessionId, outputDir, onProgress, signal } = options;
+
+  console.log(`🔇 Detecting dead air in ${inputFiles.length} clips...`);
+  const edges = [];
+  for (let i = 0; i < inputFiles.length; i++) {
+    edges.push(await findDeadAir(inputFiles[i], settings, signal));
+    if (onProgress) onProgress(Math.round(((i + 1) / inputFiles.length) * 50));
+  }
+
+  const trims = edges.map(edge => ({
+    start: edge.lead > 0 ? edge.lead : null,
+    end: edge.trail > 0 ? edge.duration - edge.trail : null,
+    speed: 1,
+    muteAudio: false
+  }));
+  const result = await processClips(inputFiles, trims, {
+    sessionId,
+    outputDir,
+    name: 'autotrim',
+    onProgress: onProgress ? (percent) => onProgress(50 + Math.round(percent / 2)) : null,
+    signal
+  });
+
+  const clips = edges.map((edge, index) => ({
+    index,
+    removedStart: round3(edge.lead),
+    removedEnd: round3(edge.trail),
+    duration: round3(edge.duration - edge.lead - edge.trail),
+    method: result.report[index].method,
+    skipped: edge.skipped
+  }));
+  clips.forEach(clip => {
+    if (clip.removedStart > 0 || clip.removedEnd > 0) {
+      console.log(`✂️ Clip ${clip.index + 1}: removed ${clip.removedStart}s of leading and ${clip.removedEnd}s of trailing dead air`);
+    }
+  });
+
+  return {
+    files: result.files,
+    createdFiles: result.createdFiles,
+    report: {
+      applied: result.createdFiles.length > 0,
+      removed: round3(clips.reduce((sum, clip) => sum + clip.removedStart + clip.removedEnd, 0)),
+      clips
+    }
+  };
+}
+
+module.exports = {
+  parseAutoTrimOption,
+  autoTrimClips
+};
@@ -0,0 +1,277 @@
+const path = require('path');
+const { getVideoDuration, getKeyframeTimes, probeVideo, runFfmpeg } = require('./media');
+const { findOversizedTransition } = require('./transitions');
+
+// Per-clip inputs: videoUrls entries may be plain URLs or { url, start, end, speed, muteAudio, subtitles }
+// Multipart requests may also reference an uploaded file with { upload: <index> } instead of url
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+// Accept seconds as a number or a "HH:MM:SS.mmm" / "MM:SS" string
+function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) {
+    return NaN;
+  }
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Turn videoUrls into clip objects, returning { clips } or { error }
+// uploadedFiles are multer file records that { upload: n } entries point into
+function parseClipInputs(videoUrls, uploadedFiles = []) {
+  const clips = [];
+
+  for (let i = 0; i < videoUrls.length; i++) {
+    const entry = videoUrls[i];
+
+    if (typeof entry === 'string') {
+      clips.push({ url: entry, filePath: null, start: null, end: null, speed: 1, muteAudio: false, subtitles: null });
+      continue;
+    }
+
+    const isUpload = entry && typeof entry === 'object' && entry.upload !== undefined;
+
+    if (isUpload) {
+      if (!Number.isInteger(entry.upload) || !uploadedFiles[entry.upload]) {
+        return { error: `videoUrls[${i}].upload must be the index of an uploaded file (0-${uploadedFiles.length - 1})` };
+      }
+    } else if (!entry || typeof entry !== 'object' || typeof entry.url !== 'string' || !entry.url) {
+      return { error: `videoUrls[${i}] must be a URL string or an object with a url` };
+    }
+
+    const clip = {
+      url: isUpload ? null : entry.url,
+      filePath: isUpload ? uploadedFiles[entry.upload].path : null,
+      start: null,
+      end: null,
+      speed: 1,
+      muteAudio: false,
+      subtitles: null
+    };
+
+    if (entry.start !== undefined && entry.start !== null) {
+      clip.start = parseTimestamp(entry.start);
+      if (isNaN(clip.start) || clip.start < 0) {
+        return { error: `videoUrls[${i}].start must be a non-negative number of seconds or HH:MM:SS timestamp` };
+      }
+    }
+
+    if (entry.end !== undefined && entry.end !== null) {
+      clip.end = parseTimestamp(entry.end);
+      if (isNaN(clip.end) || clip.end <= 0) {
+        return { error: `videoUrls[${i}].end must be a positive number of seconds or HH:MM:SS timestamp` };
+      }
+    }
+
+    if (clip.start !== null && clip.end !== null && clip.end <= clip.start) {
+      return { error: `videoUrls[${i}].end (${clip.end}) must be greater than start (${clip.start})` };
+    }
+
+    if (entry.speed !== undefined && entry.speed !== null) {
+      if (typeof entry.speed !== 'number' || entry.speed < MIN_SPEED || entry.speed > MAX_SPEED) {
+        return { error: `videoUrls[${i}].speed must be a number between ${MIN_SPEED} and ${MAX_SPEED}` };
+      }
+      clip.speed = entry.speed;
+    }
+
+    if (entry.muteAudio !== undefined && typeof entry.muteAudio !== 'boolean') {
+      return { error: `videoUrls[${i}].muteAudio must be a boolean` };
+    }
+    clip.muteAudio = entry.muteAudio === true;
+
+    if (entry.subtitles !== undefined && entry.subtitles !== null) {
+      if (typeof entry.subtitles !== 'string' || !entry.subtitles) {
+        return { error: `videoUrls[${i}].subtitles must be the URL of an SRT or WebVTT file` };
+      }
+      clip.subtitles = entry.subtitles;
+    }
+
+    clips.push(clip);
+  }
+
+  return { clips };
+}
+
+function isTrimmed(clip) {
+  return clip.start !== null || clip.end !== null;
+}
+
+function needsClipProcessing(clip) {
+  return isTrimmed(clip) || clip.speed !== 1 || clip.muteAudio;
+}
+
+// Check in/out points against each clip's probed duration before anything is downloaded, and that
+// options.transitions (parseTransitions' per-boundary list) fit between the trimmed clips
+// options.proxy (urlPolicy.createProbeProxy) carries ffprobe's reads of remote clips, so they stay under the URL policy
+// Returns an error message or null
+async function validateClipRanges(clips, options = {}) {
+  const { proxy, transitions } = options;
+  const durations = [];
+
+  for (let i = 0; i < clips.length; i++) {
+    const clip = clips[i];
+    // Untrimmed clips only need probing when transitions must fit between them
+    if (!isTrimmed(clip) && !transitions) {
+      continue;
+    }
+
+    let duration;
+    try {
+      duration = await getVideoDuration(clip.filePath || proxy.urlFor(clip.url));
+    } catch (error) {
+      const rejection = clip.url && proxy ? proxy.errorFor(clip.url) : null;
+      return `videoUrls[${i}] could not be probed to validate start/end: ${(rejection || error).message}`;
+    }
+
+    if (!duration) {
+      durations[i] = null;
+      continue;
+    }
+
+    if (clip.start !== null && clip.start >= duration) {
+      return `videoUrls[${i}].start (${clip.start}s) is beyond the clip duration (${duration.toFixed(3)}s)`;
+    }
+    if (clip.end !== null && clip.end > duration) {
+      return `videoUrls[${i}].end (${clip.end}s) is beyond the clip duration (${duration.toFixed(3)}s)`;
+    }
+    durations[i] = ((clip.end !== null ? clip.end : duration) - (clip.start || 0)) / clip.speed;
+  }
+
+  // Clips whose duration ffprobe couldn't tell are checked again when the transitions are rendered
+  if (transitions && durations.every(duration => duration)) {
+    const oversized = findOversizedTransition(durations, transitions);
+    if (oversized) {
+      return `transitions[${oversized.index}] (${oversized.duration}s) is longer than the clips it joins (${oversized.maxDuration.toFixed(3)}s after trims and speed changes)`;
+    }
+  }
+
+  return null;
+}
+
+// Split a speed factor into atempo steps, each within the filter's 0.5-2.0 range
+function buildAtempoChain(speed) {
+  const steps = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    steps.push(2);
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    steps.push(0.5);
+    remaining /= 0.5;
+  }
+  steps.push(remaining);
+  return steps.map(step => `atempo=${step}`).join(',');
+}
+
+// A cut can be stream-copied when it starts at 0 or within half a frame of a keyframe
+async function startsOnKeyframe(filePath, start, fps) {
+  if (start === 0) {
+    return true;
+  }
+  const tolerance = fps > 0 ? 0.5 / fps : 0.02;
+  const keyframes = await getKeyframeTimes(filePath, start - 1, start + 1);
+  return keyframes.some(time => Math.abs(time - start) <= tolerance);
+}
+
+// Apply trims, speed changes and muting to downloaded clips
+// Returns { files, createdFiles, report } where files replaces the input list
+// options.name sets the output file names (<sessionId>_<name>_<n>.mp4), so later passes don't overwrite earlier ones
+async function processClips(inputFiles, clips, options = {}) {
+  const { sessionId, outputDir, onProgress, signal, name = 'clip' } = options;
+  const files = [...inputFiles];
+  const createdFiles = [];
+  const report = [];
+  const pending = clips.filter(needsClipProcessing).length;
+  let done = 0;
+
+  for (let i = 0; i < clips.length; i++) {
+    const clip = clips[i];
+
+    if (!needsClipProcessing(clip)) {
+      report.push({ index: i, method: 'none' });
+      continue;
+    }
+
+    const info = await probeVideo(inputFiles[i]);
+    const start = clip.start || 0;
+    const end = clip.end !== null ? Math.min(clip.end, info.duration) : info.duration;
+    const sourceDuration = end - start;
+    const copy = clip.speed === 1 && await startsOnKeyframe(inputFiles[i], start, info.video ? info.video.fps : 0);
+    const outputPath = path.join(outputDir, `${sessionId}_${name}_${i + 1}.mp4`);
+
+    const args = [];
+    if (start > 0) {
+      args.push('-ss', String(start));
+    }
+    args.push('-t', String(sourceDuration), '-i', inputFiles[i], '-map', '0:v:0');
+
+    if (clip.muteAudio) {
+      args.push('-an');
+    } else {
+      args.push('-map', '0:a:0?');
+    }
+
+    if (copy) {
+      args.push('-c', 'copy', '-avoid_negative_ts', 'make_zero');
+    } else {
+      if (clip.speed !== 1) {
+        args.push('-filter:v', `setpts=PTS/${clip.speed}`);
+        if (!clip.muteAudio && info.audio) {
+          args.push('-filter:a', buildAtempoChain(clip.speed));
+        }
+      }
+      args.push(
+        '-c:v', 'libx264',
+        '-preset', 'fast',
+        '-crf', '18',
+        '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac',
+        '-b:a', '192k'
+      );
+    }
+
+    args.push('-movflags', '+faststart', '-y', outputPath);
+
+    console.log(`✂️ Clip ${i + 1}: ${start}s-${end.toFixed(3)}s at ${clip.speed}x${clip.muteAudio ? ', muted' : ''} (${copy ? 'stream copy' : 're-encode'})`);
+    createdFiles.push(outputPath);
+
+    await runFfmpeg(args, {
+      label: 'Trim',
+      inputs: [{ path: inputFiles[i], index: i }],
+      totalDuration: sourceDuration / clip.speed,
+      signal,
+      onProgress: onProgress
+        ? (percent) => onProgress(Math.round(((done + percent / 100) / pending) * 100))
+        : null
+    });
+
+    files[i] = outputPath;
+    done++;
+
+    report.push({
+      index: i,
+      start,
+      end,
+      speed: clip.speed,
+      muteAudio: clip.muteAudio,
+      sourceDuration: info.duration,
+      duration: sourceDuration / clip.speed,
+      method: copy ? 'copy' : 'reencode'
+    });
+  }
+
+  return { files, createdFiles, report };
+}
+
+module.exports = {
+  parseTimestamp,
+  parseClipInputs,
+  needsClipProcessing,
+  startsOnKeyframe,
+  validateClipRanges,
+  processClips
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const { probeMedia, runFfmpeg } = require('./media');
+const { codedError } = require('./errors');
+
+// Target-size encoding: two-pass libx264 with a bitrate budget, verified and retried when over target
+
+const DEFAULT_TARGET_MB = 90;
+const DEFAULT_MIN_VIDEO_KBPS = 300;
+const AUDIO_KBPS = 128;
+const CONTAINER_OVERHEAD = 0.02; // mp4 headers and index, as a share of the file
+const MAX_ATTEMPTS = 3;
+
+// Client mistakes that only show once the merged file is known (answered with 400 instead of 500)
+const REQUEST_ERROR_CODES = ['TARGET_SIZE_UNREACHABLE'];
+
+// Automatic size handling of the merge pipeline (MB): larger outputs get the 1280x720 resize, which is kept
+// even when it doesn't shrink the file past FORCE_RESIZE_MB; a failed resize falls back to compression past COMPRESS_FALLBACK_MB
+const RESIZE_THRESHOLD_MB = 95;
+const FORCE_RESIZE_MB = 150;
+const COMPRESS_FALLBACK_MB = 120;
+
+// Validate targetSizeMB / minVideoBitrate from a merge request; returns { compression } or { error }
+function parseCompressionOptions(body) {
+  const { targetSizeMB, minVideoBitrate } = body;
+
+  if (targetSizeMB !== undefined && !(typeof targetSizeMB === 'number' && targetSizeMB >= 1 && targetSizeMB <= 10000)) {
+    return { error: 'targetSizeMB must be a number between 1 and 10000' };
+  }
+  if (minVideoBitrate !== undefined && !(typeof minVideoBitrate === 'number' && minVideoBitrate >= 50 && minVideoBitrate <= 50000)) {
+    return { error: 'minVideoBitrate must be a number of kbps between 50 and 50000' };
+  }
+
+  return {
+    compression: {
+      targetSizeMB: targetSizeMB === undefined ? null : targetSizeMB,
+      minVideoBitrate: minVideoBitrate === undefined ? DEFAULT_MIN_VIDEO_KBPS : minVideoBitrate
+    }
+  };
+}
+
+// Video bitrate (kbps) that fits duration seconds into targetBytes next to the audio tracks
+function videoBitrateFor(targetBytes, duration, audioTracks) {
+  const totalKbps = (targetBytes * 8 * (1 - CONTAINER_OVERHEAD)) / duration / 1000;
+  return Math.floor(totalKbps - audioTracks * AUDIO_KBPS);
+}
+
+async function encodeTwoPass(inputPath, outputPath, videoKbps, options) {
+  const { duration, hasAudio, onProgress, signal } = options;
+  const passLog = `${outputPath}.passlog`;
+  const rateArgs = [
+    '-c:v', 'libx264',
+    '-preset', 'medium',
+    '-profile:v', 'high',
+    '-b:v', `${videoKbps}k`,
+    '-maxrate', `${Math.round(videoKbps * 1.5)}k`,
+    '-bufsize', `${videoKbps * 2}k`,
+    '-pix_fmt', 'yuv420p',
+    '-passlogfile', passLog
+  ];
+
+  try {
+    // Pass 1 goes through the mp4 muxer too, so both passes see the same frames
+    await runFfmpeg(['-i', inputPath, '-map', '0:v:0', ...rateArgs, '-pass', '1', '-an', '-f', 'mp4', '-y', os.devNull], {
+      label: 'Compression pass 1',
+      totalDuration: duration,
+      signal,
+      onProgress: onProgress ? (percent) => onProgress(Math.round(percent / 2)) : null
+    });
+
+    const audioArgs = hasAudio ? ['-map', '0:a?', '-c:a', 'aac', '-b:a', `${AUDIO_KBPS}k`] : [];
+    await runFfmpeg(['-i', inputPath, '-map', '0:v:0', ...rateArgs, '-pass', '2', ...audioArgs, '-movflags', '+faststart', '-y', outputPath], {
+      label: 'Compression pass 2',
+      totalDuration: duration,
+      signal,
+      onProgress: onProgress ? (percent) => onProgress(50 + Math.round(percent / 2)) : null
+    });
+  } finally {
+    for (const suffix of ['-0.log', '-0.log.mbtree', '-0.log.temp', '-0.log.mbtree.temp']) {
+      fs.rmSync(`${passLog}${suffix}`, { force: true });
+    }
+  }
+
+  return fs.statSync(outputPath).size;
+}
+
+// Compress to at most targetSizeMB; each retry takes the overshoot (plus a 3% margin) off the video bitrate
+// Throws TARGET_SIZE_UNREACHABLE when the budget would push video below minVideoBitrate; resolves with the attempt
+// details, withinTarget false when the last attempt is still over
+async function compressVideoSmart(inputPath, outputPath, options = {}) {
+  const { targetSizeMB = DEFAULT_TARGET_MB, minVideoBitrate = DEFAULT_MIN_VIDEO_KBPS, onProgress, signal } = options;
+  const metadata = await probeMedia(inputPath);
+  const duration = parseFloat(metadata.format.duration);
+  const audioTracks = metadata.streams.filter(stream => stream.codec_type === 'audio').length;
+  const targetBytes = targetSizeMB * 1024 * 1024;
+
+  let videoKbps = videoBitrateFor(targetBytes, duration, audioTracks);
+  console.log(`🎞️ Target-size compression: ${targetSizeMB}MB for ${duration.toFixed(1)}s -> ${videoKbps}k video + ${audioTracks}x${AUDIO_KBPS}k audio`);
+
+  const attempts = [];
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (videoKbps < minVideoBitrate) {
+      throw codedError('TARGET_SIZE_UNREACHABLE', `Reaching ${targetSizeMB}MB needs ${videoKbps}k video, below the ${minVideoBitrate}k quality floor`);
+    }
+
+    const sizeBytes = await encodeTwoPass(inputPath, outputPath, videoKbps, {
+      duration,
+      hasAudio: audioTracks > 0,
+      onProgress,
+      signal
+    });
+    attempts.push({ videoBitrate: videoKbps, sizeMB: Number((sizeBytes / 1024 / 1024).toFixed(2)) });
+
+    if (sizeBytes <= targetBytes) {
+      console.log(`✅ Compression hit target on attempt ${attempt}: ${(sizeBytes / 1024 / 1024).toFixed(2)}MB`);
+      return { targetSizeMB, withinTarget: true, attempts };
+    }
+
+    console.log(`⚠️ Compression attempt ${attempt} landed at ${(sizeBytes / 1024 / 1024).toFixed(2)}MB, over the ${targetSizeMB}MB target`);
+    const overshootKbps = ((sizeBytes - targetBytes) * 8) / duration / 1000;
+    videoKbps = Math.floor((videoKbps - overshootKbps) * 0.97);
+  }
+
+  return { targetSizeMB, withinTarget: false, attempts };
+}
+
+module.exports = {
+  REQUEST_ERROR_CODES,
+  DEFAULT_TARGET_MB,
+  RESIZE_THRESHOLD_MB,
+  FORCE_RESIZE_MB,
+  COMPRESS_FALLBACK_MB,
+  parseCompressionOptions,
+  compressVideoSmart
+};
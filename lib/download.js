@@ -0,0 +1,262 @@
+const fs = require('fs');
+const { safeFetch } = require('./urlPolicy');
+const downloadCache = require('./downloadCache');
+const metrics = require('./metrics');
+
+// Streaming downloads: bounded concurrency, timeouts, retries with backoff, size limits and resume
+
+const DOWNLOAD_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY, 10) || 2;
+const CONNECT_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_CONNECT_TIMEOUT_MS, 10) || 15000;
+const IDLE_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_IDLE_TIMEOUT_MS, 10) || 30000;
+const MAX_RETRIES = process.env.DOWNLOAD_RETRIES !== undefined ? parseInt(process.env.DOWNLOAD_RETRIES, 10) : 3;
+const RETRY_BASE_MS = parseInt(process.env.DOWNLOAD_RETRY_BASE_MS, 10) || 1000;
+const MAX_DOWNLOAD_MB = parseInt(process.env.DOWNLOAD_MAX_MB, 10) || 1024;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Errors that retrying cannot fix (4xx responses, size limit) are flagged non-retryable
+// code is the machine-readable failure reported to clients (see errors.js)
+function downloadError(message, retryable, code = 'DOWNLOAD_FAILED') {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.code = code;
+  return error;
+}
+
+function httpErrorCode(status) {
+  if (status === 403) return 'INPUT_FORBIDDEN';
+  if (status === 404) return 'INPUT_NOT_FOUND';
+  return 'INPUT_HTTP_ERROR';
+}
+
+// Single download attempt, appending to an existing partial file when the server honours Range
+// Aborting options.signal (job cancellation) stops the transfer
+function attemptDownload(url, filepath, options) {
+  const { maxBytes, onProgress, policy, signal } = options;
+  const existingBytes = fs.existsSync(filepath) ? fs.statSync(filepath).size : 0;
+
+  return new Promise((resolve, reject) => {
+    const controller = new AbortController();
+    let timer = setTimeout(() => controller.abort(), CONNECT_TIMEOUT_MS);
+    let timeoutReason = `connect timeout after ${CONNECT_TIMEOUT_MS}ms`;
+    let settled = false;
+
+    const cancel = () => {
+      timeoutReason = 'download cancelled';
+      controller.abort();
+    };
+    if (signal) {
+      if (signal.aborted) {
+        cancel();
+      }
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    const headers = existingBytes > 0 ? { Range: `bytes=${existingBytes}-` } : {};
+
+    safeFetch(url, { headers, signal: controller.signal }, policy)
+      .then((response) => {
+        if (response.status === 416 && existingBytes > 0) {
+          // Partial file is already complete
+          return finish();
+        }
+
+        if (!response.ok) {
+          return finish(downloadError(`HTTP error! status: ${response.status}`, response.status >= 500 || response.status === 429, httpErrorCode(response.status)));
+        }
+
+        const resumed = response.status === 206;
+        const contentLength = parseInt(response.headers.get('content-length'), 10) || 0;
+        const total = contentLength ? contentLength + (resumed ? existingBytes : 0) : 0;
+
+        if (total > maxBytes) {
+          controller.abort();
+          return finish(downloadError(`File is ${(total / 1024 / 1024).toFixed(2)}MB, larger than the ${(maxBytes / 1024 / 1024).toFixed(0)}MB download limit`, false, 'INPUT_TOO_LARGE'));
+        }
+
+        if (existingBytes > 0) {
+          console.log(resumed ? `⏯️ Resuming download at byte ${existingBytes}` : '🔁 Server ignored Range, restarting download');
+        }
+
+        let bytes = resumed ? existingBytes : 0;
+        const fileStream = fs.createWriteStream(filepath, { flags: resumed ? 'a' : 'w' });
+
+        // From here on the timer tracks idle time between chunks
+        const resetIdleTimer = () => {
+          clearTimeout(timer);
+          timeoutReason = `idle timeout after ${IDLE_TIMEOUT_MS}ms`;
+          timer = setTimeout(() => controller.abort(), IDLE_TIMEOUT_MS);
+        };
+        resetIdleTimer();
+
+        response.body.on('data', (chunk) => {
+          bytes += chunk.length;
+          metrics.downloadedBytes.inc({}, chunk.length);
+          resetIdleTimer();
+
+          if (bytes > maxBytes) {
+            controller.abort();
+            fileStream.destroy();
+            finish(downloadError(`Download exceeded the ${(maxBytes / 1024 / 1024).toFixed(0)}MB limit`, false, 'INPUT_TOO_LARGE'));
+            return;
+          }
+
+          if (onProgress) {
+            onProgress(bytes, total);
+          }
+        });
+
+        response.body.on('error', (error) => {
+          fileStream.end();
+          finish(downloadError(error.name === 'AbortError' ? timeoutReason : error.message, true, error.name === 'AbortError' ? 'DOWNLOAD_TIMEOUT' : 'DOWNLOAD_FAILED'));
+        });
+
+        fileStream.on('error', (error) => finish(downloadError(error.message, false, error.code === 'ENOSPC' ? 'DISK_FULL' : 'DOWNLOAD_FAILED')));
+        fileStream.on('finish', () => {
+          if (total && bytes < total) {
+            return finish(downloadError(`Connection closed after ${bytes} of ${total} bytes`, true));
+          }
+          finish();
+        });
+
+        response.body.pipe(fileStream);
+      })
+      .catch((error) => {
+        if (error.code === 'URL_REJECTED') {
+          return finish(error);
+        }
+        finish(downloadError(error.name === 'AbortError' ? timeoutReason : error.message, true, error.name === 'AbortError' ? 'DOWNLOAD_TIMEOUT' : 'DOWNLOAD_FAILED'));
+      });
+  });
+}
+
+// Helper function to download video from URL, streaming it to disk
+// Retries 5xx and network errors with exponential backoff, resuming partial files where possible
+// options.policy is passed to the URL policy (e.g. a per-key domain allowlist); aborting options.signal cancels it
+async function downloadVideo(url, filepath, options = {}) {
+  const { maxBytes = MAX_DOWNLOAD_MB * 1024 * 1024, onProgress, policy, signal } = options;
+
+  console.log(`Downloading video from: ${url}`);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await attemptDownload(url, filepath, { maxBytes, onProgress, policy, signal });
+      console.log(`Video downloaded successfully: ${filepath}`);
+      return filepath;
+    } catch (error) {
+      if (error.retryable === false || attempt >= MAX_RETRIES || (signal && signal.aborted)) {
+        console.error(`Error downloading video: ${error.message}`);
+        if (fs.existsSync(filepath)) {
+          fs.unlinkSync(filepath);
+        }
+        throw error;
+      }
+
+      const delayMs = RETRY_BASE_MS * Math.pow(2, attempt);
+      console.log(`⚠️ Download attempt ${attempt + 1} failed (${error.message}), retrying in ${delayMs}ms...`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+// downloadVideo through the input cache; resolves with the cache outcome:
+// 'hit' (served from disk), 'miss' (downloaded and cached), 'bypass' (options.noCache: downloaded, cache refreshed)
+// or 'uncached' (cache disabled, or the server sends no ETag/Last-Modified to key on)
+async function cachedDownload(url, filepath, options = {}) {
+  if (!downloadCache.isEnabled()) {
+    await downloadVideo(url, filepath, options);
+    return 'uncached';
+  }
+
+  const validators = await downloadCache.cacheKey(url, options.policy, options.signal).catch((error) => {
+    if (options.signal && options.signal.aborted) {
+      throw error;
+    }
+    return null;
+  });
+
+  if (validators && !options.noCache && downloadCache.restore(validators.key, filepath)) {
+    console.log(`🗄️ Download cache hit: ${url}`);
+    if (options.onProgress) {
+      const bytes = fs.statSync(filepath).size;
+      options.onProgress(bytes, bytes);
+    }
+    return 'hit';
+  }
+
+  await downloadVideo(url, filepath, options);
+  if (!validators) {
+    return 'uncached';
+  }
+  downloadCache.store(validators, url, filepath);
+  return options.noCache ? 'bypass' : 'miss';
+}
+
+// Download several files with at most DOWNLOAD_CONCURRENCY in flight
+// items: [{ url, filepath, inputIndex }]; onProgress(index, bytes, total) reports per-file progress
+// A failure is attributed to its item's inputIndex (the clip it belongs to), when given
+// With options.cache the files go through cachedDownload and the results are cache outcomes instead of paths
+// (options.noCache then skips cache reads)
+async function downloadAll(items, options = {}) {
+  const { onProgress, policy, maxBytes, signal, cache = false, noCache = false, concurrency = DOWNLOAD_CONCURRENCY } = options;
+  const download = cache ? cachedDownload : downloadVideo;
+  const results = new Array(items.length);
+  let next = 0;
+  let firstError = null;
+
+  // Workers stop picking up new files after the first failure, but in-flight downloads
+  // are allowed to settle so the caller can clean up every file afterwards
+  const worker = async () => {
+    while (next < items.length && !firstError) {
+      const index = next++;
+      try {
+        results[index] = await download(items[index].url, items[index].filepath, {
+          onProgress: onProgress ? (bytes, total) => onProgress(index, bytes, total) : null,
+          policy,
+          maxBytes,
+          signal,
+          noCache
+        });
+      } catch (error) {
+        if (items[index].inputIndex !== undefined && error.inputIndex === undefined) {
+          error.inputIndex = items[index].inputIndex;
+          error.message = `Input ${error.inputIndex + 1} download failed: ${error.message}`;
+        }
+        firstError = firstError || error;
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  if (firstError) {
+    throw firstError;
+  }
+  return results;
+}
+
+module.exports = {
+  downloadVideo,
+  cachedDownload,
+  downloadAll
+};
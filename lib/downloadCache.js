@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+const { safeFetch } = require('./urlPolicy');
+
+// Disk cache for downloaded inputs, keyed by URL plus the server's ETag/Last-Modified validators
+// Bounded by DOWNLOAD_CACHE_MAX_MB; the least recently used files are evicted first
+
+const CACHE_DIR = path.join(DATA_DIR, 'cache', 'downloads');
+const INDEX_FILE = path.join(DATA_DIR, 'cache', 'downloads.json');
+const MAX_CACHE_MB = process.env.DOWNLOAD_CACHE_MAX_MB !== undefined ? Math.max(0, parseInt(process.env.DOWNLOAD_CACHE_MAX_MB, 10) || 0) : 2048;
+const MAX_CACHE_BYTES = MAX_CACHE_MB * 1024 * 1024;
+const VALIDATOR_TIMEOUT_MS = 10000;
+
+const entries = new Map(); // key -> { url, etag, lastModified, bytes, createdAt, lastUsedAt, hits }
+let saveTimer = null;
+
+function isEnabled() {
+  return MAX_CACHE_BYTES > 0;
+}
+
+function blobPath(key) {
+  return path.join(CACHE_DIR, key);
+}
+
+function saveIndex() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  try {
+    writeJsonFile(INDEX_FILE, Object.fromEntries(entries));
+  } catch (error) {
+    console.error(`❌ Failed to save download cache index: ${error.message}`);
+  }
+}
+
+// Hits only touch lastUsedAt, so their saves are debounced
+function scheduleSave() {
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveIndex, 1000);
+  }
+}
+
+// Load the index, dropping entries whose file has gone missing
+function loadIndex() {
+  if (!isEnabled()) {
+    return;
+  }
+
+  try {
+    for (const [key, entry] of Object.entries(readJsonFile(INDEX_FILE, {}))) {
+      if (fs.existsSync(blobPath(key))) {
+        entries.set(key, entry);
+      }
+    }
+    console.log(`🗄️ Loaded ${entries.size} cached downloads (${(totalBytes() / 1024 / 1024).toFixed(0)}/${MAX_CACHE_MB}MB)`);
+  } catch (error) {
+    console.error(`❌ Failed to load download cache index: ${error.message}`);
+  }
+}
+
+function totalBytes() {
+  let total = 0;
+  for (const entry of entries.values()) {
+    total += entry.bytes;
+  }
+  return total;
+}
+
+// Cache key for a URL from its current validators, or null when the server sends neither
+// A one-byte ranged GET is used rather than HEAD, which presigned URLs often reject
+async function cacheKey(url, policy, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), VALIDATOR_TIMEOUT_MS);
+  const cancel = () => controller.abort();
+  if (signal) {
+    signal.addEventListener('abort', cancel, { once: true });
+  }
+
+  try {
+    const response = await safeFetch(url, { headers: { Range: 'bytes=0-0' }, signal: controller.signal }, policy);
+    const etag = response.ok ? response.headers.get('etag') : null;
+    const lastModified = response.ok ? response.headers.get('last-modified') : null;
+    if (!etag && !lastModified) {
+      return null;
+    }
+
+    const key = crypto.createHash('sha256').update(`${url}\n${etag || ''}\n${lastModified || ''}`).digest('hex');
+    return { key, etag, lastModified };
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+    if (signal) {
+      signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+// Hard-link (or copy, across filesystems) src to dest, replacing dest
+// Cached files are never written to in place, so sharing the inode is safe
+function linkOrCopy(src, dest) {
+  fs.rmSync(dest, { force: true });
+  try {
+    fs.linkSync(src, dest);
+  } catch (error) {
+    fs.copyFileSync(src, dest);
+  }
+}
+
+// Put the cached file for key at filepath; returns false on a miss
+function restore(key, filepath) {
+  const entry = entries.get(key);
+  if (!entry) {
+    return false;
+  }
+
+  try {
+    linkOrCopy(blobPath(key), filepath);
+  } catch (error) {
+    console.error(`⚠️ Cached download ${key} unreadable, dropping it: ${error.message}`);
+    entries.delete(key);
+    saveIndex();
+    return false;
+  }
+
+  entry.lastUsedAt = new Date().toISOString();
+  entry.hits++;
+  scheduleSave();
+  return true;
+}
+
+// Drop least recently used entries until the cache fits in MAX_CACHE_BYTES
+function evict() {
+  let total = totalBytes();
+  if (total <= MAX_CACHE_BYTES) {
+    return;
+  }
+
+  const byAge = Array.from(entries.entries()).sort((a, b) => a[1].lastUsedAt.localeCompare(b[1].lastUsedAt));
+  for (const [key, entry] of byAge) {
+    if (total <= MAX_CACHE_BYTES) {
+      break;
+    }
+    fs.rmSync(blobPath(key), { force: true });
+    entries.delete(key);
+    total -= entry.bytes;
+    console.log(`🧹 Evicted cached download ${entry.url} (${(entry.bytes / 1024 / 1024).toFixed(2)}MB)`);
+  }
+}
+
+// Add a finished download to the cache; files larger than the whole cache are skipped
+function store(validators, url, filepath) {
+  const bytes = fs.statSync(filepath).size;
+  if (bytes > MAX_CACHE_BYTES) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const tmpPath = `${blobPath(validators.key)}.tmp`;
+    linkOrCopy(filepath, tmpPath);
+    fs.renameSync(tmpPath, blobPath(validators.key));
+  } catch (error) {
+    console.error(`⚠️ Could not cache ${url}: ${error.message}`);
+    return;
+  }
+
+  const now = new Date().toISOString();
+  entries.set(validators.key, {
+    url,
+    etag: validators.etag,
+    lastModified: validators.lastModified,
+    bytes,
+    createdAt: now,
+    lastUsedAt: now,
+    hits: 0
+  });
+  evict();
+  saveIndex();
+}
+
+function getStats() {
+  return {
+    enabled: isEnabled(),
+    entries: entries.size,
+    sizeMB: Number((totalBytes() / 1024 / 1024).toFixed(2)),
+    maxMB: MAX_CACHE_MB
+  };
+}
+
+module.exports = {
+  isEnabled,
+  loadIndex,
+  cacheKey,
+  restore,
+  store,
+  getStats
+};
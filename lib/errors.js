@@ -0,0 +1,145 @@
+// Machine-readable merge failures: errors carry a code, the clip they are attributed to (inputIndex, or null),
+// the last ffmpeg stderr lines when ffmpeg failed, and the pipeline stage (set by runTrackedMerge)
+
+const STDERR_BUFFER_LINES = 200;
+const STDERR_TAIL_LINES = parseInt(process.env.FFMPEG_STDERR_LINES, 10) || 20;
+
+// Fatal stderr signatures, checked in order; DTS warnings are often harmless, so they only count when nothing else matched
+const FFMPEG_SIGNATURES = [
+  { code: 'DISK_FULL', pattern: /No space left on device/i, describe: () => 'The server ran out of disk space' },
+  { code: 'INPUT_FORBIDDEN', pattern: /Server returned 403|HTTP error 403/i, describe: (subject) => `${subject} was refused with HTTP 403 Forbidden` },
+  { code: 'INVALID_INPUT', pattern: /Invalid data found when processing input|moov atom not found|could not find codec parameters/i, describe: (subject) => `${subject} is not a readable video file` },
+  { code: 'MISSING_AUDIO_STREAM', pattern: /Stream map '[^']*:a[^']*' matches no streams|Stream specifier ':a[^']*' .*matches no streams/i, describe: (subject) => `${subject} has no audio stream` },
+  { code: 'CODEC_MISMATCH', pattern: /incorrect codec parameters|incompatible with output codec|Codec parameters changed|not currently supported in container|Could not write header/i, describe: (subject) => `${subject} has codec parameters that don't match the other clips` },
+  { code: 'NON_MONOTONIC_DTS', pattern: /Non-monotonous DTS|non monotonically increasing dts/i, describe: (subject) => `${subject} has non-monotonic timestamps (DTS)` }
+];
+
+// Version banner and progress lines (frame=/size=) say nothing about a failure
+const NOISE_PATTERN = /^\s*(frame|size)=|^(ffmpeg|ffprobe) version |^\s+(built with|configuration:|lib\w+\s+\d)/;
+
+// Keep the last maxLines lines of a process's stderr, leaving out the noise; onLine, when given, sees every line
+function createLineBuffer(maxLines = STDERR_BUFFER_LINES, onLine = null) {
+  const lines = [];
+  let partial = '';
+
+  return {
+    push(chunk) {
+      const parts = (partial + chunk).split(/\r\n|\r|\n/);
+      partial = parts.pop();
+      for (const line of parts) {
+        if (onLine) {
+          onLine(line);
+        }
+        if (line.trim() && !NOISE_PATTERN.test(line)) {
+          lines.push(line);
+          if (lines.length > maxLines) {
+            lines.shift();
+          }
+        }
+      }
+    },
+    lines() {
+      return partial.trim() ? [...lines, partial] : [...lines];
+    }
+  };
+}
+
+// Which clip a stderr line is about: a path from inputs ([{ path, index }]) on the line, or an "in#N"/"Input #N"
+// reference to the Nth -i argument of args
+function inputIndexOf(line, inputs, args) {
+  const input = inputs.find(candidate => candidate.path && line.includes(candidate.path));
+  if (input) {
+    return input.index;
+  }
+
+  const reference = /(?:in#|Input #)(\d+)/.exec(line);
+  if (reference) {
+    const inputArgs = args.filter((arg, i) => args[i - 1] === '-i');
+    const referenced = inputs.find(candidate => candidate.path === inputArgs[parseInt(reference[1], 10)]);
+    if (referenced) {
+      return referenced.index;
+    }
+  }
+  return null;
+}
+
+function subjectOf(inputIndex) {
+  return inputIndex === null ? 'An input' : `Input ${inputIndex + 1}`;
+}
+
+// Error for a failed ffmpeg run: classified from its stderr lines, attributed to a clip when the lines name one
+// options.inputs lists the files the run reads with the clip index each belongs to
+function ffmpegError(label, exitCode, stderrLines, options = {}) {
+  const { inputs = [], args = [] } = options;
+  let match = null;
+
+  for (const signature of FFMPEG_SIGNATURES) {
+    const lineIndex = stderrLines.findIndex(line => signature.pattern.test(line));
+    if (lineIndex !== -1) {
+      match = { signature, lineIndex };
+      break;
+    }
+  }
+
+  // The matched line or the ones before it usually name the input; a single-input run needs no searching
+  let inputIndex = inputs.length === 1 ? inputs[0].index : null;
+  if (match && inputIndex === null) {
+    for (let i = match.lineIndex; i >= 0 && inputIndex === null; i--) {
+      inputIndex = inputIndexOf(stderrLines[i], inputs, args);
+    }
+  }
+
+  const lastLine = stderrLines.length > 0 ? stderrLines[stderrLines.length - 1].trim() : null;
+  const error = new Error(match
+    ? match.signature.describe(subjectOf(inputIndex))
+    : `${label} failed with exit code ${exitCode}${lastLine ? `: ${lastLine}` : ''}`);
+  error.code = match ? match.signature.code : 'FFMPEG_FAILED';
+  error.inputIndex = inputIndex;
+  error.exitCode = exitCode;
+  error.stderr = stderrLines.slice(-STDERR_TAIL_LINES);
+  return error;
+}
+
+// Error with a code, attributed to a clip (inputIndex) or to none (null)
+function codedError(code, message, inputIndex = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.inputIndex = inputIndex;
+  return error;
+}
+
+// Message of anything thrown, including the plain objects some SDKs reject with (e.g. { error: { message } })
+function errorMessage(error) {
+  if (!error) {
+    return 'Unknown error';
+  }
+  if (typeof error === 'string') {
+    return error;
+  }
+  if (typeof error.message === 'string' && error.message) {
+    return error.message;
+  }
+  if (error.error && typeof error.error.message === 'string') {
+    return error.error.message;
+  }
+  return String(error);
+}
+
+// Error for a failed storage upload, whatever the adapter threw
+function uploadError(label, cause) {
+  const error = new Error(`${label} upload failed: ${errorMessage(cause)}`);
+  const httpStatus = (cause && (cause.http_code || (cause.error && cause.error.http_code) || cause.statusCode)) || null;
+  error.code = cause && cause.code === 'ENOSPC' ? 'DISK_FULL' : httpStatus === 401 || httpStatus === 403 ? 'STORAGE_AUTH_FAILED' : 'UPLOAD_FAILED';
+  error.httpStatus = httpStatus;
+  error.inputIndex = null;
+  return error;
+}
+
+module.exports = {
+  STDERR_TAIL_LINES,
+  createLineBuffer,
+  ffmpegError,
+  codedError,
+  errorMessage,
+  uploadError
+};
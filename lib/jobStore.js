@@ -0,0 +1,164 @@
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// Persistent job store backed by a JSON file so job records survive pm2 restarts
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+const MAX_JOB_RECORDS = parseInt(process.env.MAX_JOB_RECORDS, 10) || 1000;
+
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const JOB_STAGES = ['queued', 'downloading', 'trimming', 'autotrimming', 'normalizing', 'merging', 'mixing', 'rendering', 'resizing', 'compressing', 'subtitling', 'packaging', 'thumbnails', 'uploading', 'done'];
+
+const jobs = new Map();
+let saveTimer = null;
+
+// Load job records from disk; jobs that were in flight when the process died are marked failed
+function loadJobs() {
+  try {
+    const records = readJsonFile(JOBS_FILE, []);
+    let interrupted = 0;
+
+    for (const job of records) {
+      if (job.status === 'queued' || job.status === 'processing') {
+        job.status = 'failed';
+        job.error = 'Job interrupted by server restart';
+        job.updatedAt = new Date().toISOString();
+        job.completedAt = job.updatedAt;
+        interrupted++;
+      }
+      jobs.set(job.id, job);
+    }
+
+    console.log(`📂 Loaded ${jobs.size} job records (${interrupted} interrupted)`);
+    if (interrupted > 0) {
+      saveJobs();
+    }
+  } catch (error) {
+    console.error(`❌ Failed to load job store: ${error.message}`);
+  }
+}
+
+// Write all job records to disk
+function saveJobs() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  try {
+    writeJsonFile(JOBS_FILE, Array.from(jobs.values()));
+  } catch (error) {
+    console.error(`❌ Failed to save job store: ${error.message}`);
+  }
+}
+
+// Debounced save for frequent progress updates
+function scheduleSave() {
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveJobs, 1000);
+  }
+}
+
+// Drop the oldest finished jobs once the store grows past MAX_JOB_RECORDS
+function pruneJobs() {
+  if (jobs.size <= MAX_JOB_RECORDS) {
+    return;
+  }
+
+  const finished = Array.from(jobs.values())
+    .filter(job => FINISHED_STATUSES.includes(job.status))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  while (jobs.size > MAX_JOB_RECORDS && finished.length > 0) {
+    jobs.delete(finished.shift().id);
+  }
+}
+
+function createJob(id, request, apiKeyId = null) {
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    status: 'queued',
+    stage: 'queued',
+    progress: 0,
+    request,
+    apiKeyId,
+    result: null,
+    error: null,
+    failure: null, // { code, stage, inputIndex, stderr } of a failed merge
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  jobs.set(id, job);
+  pruneJobs();
+  saveJobs();
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Apply a partial update; status changes are flushed to disk immediately
+function updateJob(id, changes) {
+  const job = jobs.get(id);
+  if (!job) {
+    return null;
+  }
+
+  const statusChanged = changes.status && changes.status !== job.status;
+  const stageChanged = changes.stage && changes.stage !== job.stage;
+
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+
+  if (statusChanged && FINISHED_STATUSES.includes(job.status)) {
+    job.completedAt = job.updatedAt;
+  }
+
+  if (statusChanged || stageChanged) {
+    saveJobs();
+  } else {
+    scheduleSave();
+  }
+
+  return job;
+}
+
+// List jobs newest first, optionally filtered by status, stage, creation time and owning API key
+function listJobs({ status, stage, since, apiKeyId, limit = 50, offset = 0 } = {}) {
+  let results = Array.from(jobs.values());
+
+  if (apiKeyId) {
+    results = results.filter(job => job.apiKeyId === apiKeyId);
+  }
+  if (status) {
+    results = results.filter(job => job.status === status);
+  }
+  if (stage) {
+    results = results.filter(job => job.stage === stage);
+  }
+  if (since) {
+    results = results.filter(job => job.createdAt >= since);
+  }
+
+  results.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: results.length,
+    jobs: results.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  FINISHED_STATUSES,
+  JOB_STAGES,
+  loadJobs,
+  saveJobs,
+  createJob,
+  getJob,
+  updateJob,
+  listJobs
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shared location for the service's persistent JSON stores
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Read and parse a JSON file, returning fallback when it does not exist
+function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write JSON atomically (temp file + rename) so a crash never leaves a half-written store
+function writeJsonFile(filePath, data) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tmpFile = `${filePath}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, filePath);
+}
+
+module.exports = {
+  DATA_DIR,
+  readJsonFile,
+  writeJsonFile
+};
@@ -0,0 +1,81 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line with level, timestamp and the current request/job context
+// (requestId, sessionId, stage), carried through async work by AsyncLocalStorage
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+// "text" keeps plain console lines, handy when running locally
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+const contextStorage = new AsyncLocalStorage();
+const original = {
+  log: console.log.bind(console),
+  error: console.error.bind(console)
+};
+
+function isEnabled(level) {
+  return LEVELS[level] >= LEVELS[LOG_LEVEL];
+}
+
+function write(level, message, fields = {}) {
+  if (!isEnabled(level)) {
+    return;
+  }
+  const out = level === 'error' || level === 'warn' ? original.error : original.log;
+
+  if (LOG_FORMAT === 'text') {
+    const context = getContext();
+    const tag = context.sessionId || context.requestId;
+    out(tag ? `[${tag.slice(0, 8)}] ${message}` : message);
+    return;
+  }
+
+  out(JSON.stringify({
+    level,
+    time: new Date().toISOString(),
+    ...getContext(),
+    ...fields,
+    msg: message
+  }));
+}
+
+// Fields of the request or job this code runs on behalf of ({} outside any)
+function getContext() {
+  return contextStorage.getStore() || {};
+}
+
+// Run fn with fields as the log context of everything it does, including async continuations
+function runWithContext(fields, fn) {
+  return contextStorage.run({ ...fields }, fn);
+}
+
+// Update the current context in place (e.g. the stage of a running merge)
+function setContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+// Route console.* through the logger so existing log lines carry level and context
+function installConsole() {
+  console.debug = (...args) => write('debug', util.format(...args));
+  console.log = (...args) => write('info', util.format(...args));
+  console.info = (...args) => write('info', util.format(...args));
+  console.warn = (...args) => write('warn', util.format(...args));
+  console.error = (...args) => write('error', util.format(...args));
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  isEnabled,
+  getContext,
+  runWithContext,
+  setContext,
+  installConsole
+};
@@ -0,0 +1,272 @@
+const { spawn, execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { createLineBuffer, ffmpegError } = require('./errors');
+
+// Shared ffprobe/ffmpeg helpers used by the processing stages
+
+// Remote sources only reach ffprobe as loopback URLs of the probe proxy (urlPolicy.createProbeProxy); these options
+// keep it from opening anything else: plain HTTP only, and no playlist or concat demuxers that reference other URLs
+const REMOTE_PROBE_OPTIONS = [
+  '-protocol_whitelist', 'http,tcp',
+  '-format_whitelist', 'mov,mp4,m4a,3gp,3g2,mj2,matroska,webm,avi,flv,mpegts,mpeg,asf,ogg,mp3,wav,aac'
+];
+
+function probeInputOptions(source) {
+  return /^https?:\/\//i.test(source) ? REMOTE_PROBE_OPTIONS : [];
+}
+
+// Run ffprobe on a file (or a probe proxy URL) and resolve with the raw metadata
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, probeInputOptions(filePath), (err, metadata) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(metadata);
+    });
+  });
+}
+
+// Convert an ffprobe rate string like "30000/1001" to a number
+function parseFrameRate(rate) {
+  if (!rate || rate === '0/0') {
+    return 0;
+  }
+  const [num, den] = String(rate).split('/').map(Number);
+  return den ? num / den : num;
+}
+
+// Clockwise display rotation in degrees (0, 90, 180, 270) from the rotate tag or the display matrix
+function streamRotation(stream) {
+  let degrees = 0;
+  if (stream.tags && stream.tags.rotate !== undefined) {
+    degrees = parseFloat(stream.tags.rotate) || 0;
+  } else if (Array.isArray(stream.side_data_list)) {
+    // The display matrix reports counter-clockwise degrees
+    const matrix = stream.side_data_list.find(data => data.rotation !== undefined);
+    degrees = matrix ? -(parseFloat(matrix.rotation) || 0) : 0;
+  } else if (stream.rotation !== undefined) {
+    // fluent-ffmpeg flattens the side data entries onto the stream
+    degrees = -(parseFloat(stream.rotation) || 0);
+  }
+  return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+// Sample (pixel) aspect ratio as "num:den"; streams that don't set one have square pixels
+function sampleAspectRatio(stream) {
+  const sar = stream.sample_aspect_ratio;
+  return sar && /^[1-9]\d*:[1-9]\d*$/.test(sar) ? sar : '1:1';
+}
+
+// Reduce ffprobe metadata to the stream parameters that matter for concatenation
+function summarizeMedia(metadata) {
+  const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+  const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+
+  return {
+    duration: parseFloat(metadata.format.duration) || 0,
+    size: parseInt(metadata.format.size, 10) || 0,
+    bitRate: parseInt(metadata.format.bit_rate, 10) || 0,
+    video: videoStream ? {
+      codec: videoStream.codec_name,
+      width: videoStream.width,
+      height: videoStream.height,
+      frameRate: videoStream.r_frame_rate,
+      fps: Math.round(parseFrameRate(videoStream.r_frame_rate) * 1000) / 1000,
+      pixFmt: videoStream.pix_fmt,
+      timeBase: videoStream.time_base,
+      bitRate: parseInt(videoStream.bit_rate, 10) || 0,
+      rotation: streamRotation(videoStream),
+      sar: sampleAspectRatio(videoStream)
+    } : null,
+    audio: audioStream ? {
+      codec: audioStream.codec_name,
+      sampleRate: parseInt(audioStream.sample_rate, 10) || 0,
+      channels: audioStream.channels,
+      channelLayout: audioStream.channel_layout || null,
+      bitRate: parseInt(audioStream.bit_rate, 10) || 0
+    } : null
+  };
+}
+
+// Probe a file and return its summarized stream parameters
+async function probeVideo(filePath) {
+  return summarizeMedia(await probeMedia(filePath));
+}
+
+// Helper function to get a media file's duration in seconds via ffprobe
+async function getVideoDuration(filePath) {
+  const metadata = await probeMedia(filePath);
+  return parseFloat(metadata.format.duration) || 0;
+}
+
+// List keyframe timestamps of the first video stream between from and to (seconds)
+function getKeyframeTimes(filePath, from, to) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      ...probeInputOptions(filePath),
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-skip_frame', 'nokey',
+      '-read_intervals', `${Math.max(0, from)}%${to}`,
+      '-show_entries', 'frame=best_effort_timestamp_time',
+      '-of', 'csv=p=0',
+      filePath
+    ];
+
+    execFile('ffprobe', args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(stdout.split('\n').map(parseFloat).filter(time => !isNaN(time)));
+    });
+  });
+}
+
+// Index the video keyframes of a file for splitting: resolves with { keyframes: [{ time, offset }], totalBytes }
+// where offset is the packet bytes (video and audio) demuxed before the keyframe
+// ffprobe's packet list is parsed line by line and only running totals are kept, so memory stays flat on long inputs
+function getKeyframeIndex(filePath) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'packet=codec_type,pts_time,dts_time,size,flags',
+      '-of', 'csv=p=0',
+      filePath
+    ]);
+
+    const keyframes = [];
+    let totalBytes = 0;
+    let partial = '';
+    const stderr = createLineBuffer(20);
+
+    const parseLine = (line) => {
+      const [codecType, pts, dts, size, flags] = line.split(',');
+      if (codecType !== 'video' && codecType !== 'audio') {
+        return;
+      }
+      const time = parseFloat(pts !== 'N/A' ? pts : dts);
+      if (codecType === 'video' && flags && flags.includes('K') && !isNaN(time)) {
+        keyframes.push({ time, offset: totalBytes });
+      }
+      totalBytes += parseInt(size, 10) || 0;
+    };
+
+    ffprobe.stdout.setEncoding('utf8');
+    ffprobe.stdout.on('data', (chunk) => {
+      const lines = (partial + chunk).split('\n');
+      partial = lines.pop();
+      lines.forEach(parseLine);
+    });
+    ffprobe.stderr.on('data', (chunk) => stderr.push(chunk.toString()));
+    ffprobe.on('error', reject);
+    ffprobe.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`ffprobe exited with code ${code}\n${stderr.lines().join('\n')}`));
+      }
+      if (partial) {
+        parseLine(partial);
+      }
+      resolve({ keyframes: keyframes.sort((a, b) => a.time - b.time), totalBytes });
+    });
+  });
+}
+
+// Parse the "time=HH:MM:SS.xx" progress field from an FFmpeg stderr chunk
+function parseFfmpegTime(output) {
+  const match = /time=(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(output);
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+// Spawn ffmpeg with the given args; options.totalDuration (seconds) enables percent progress via options.onProgress
+// Aborting options.signal (job cancellation) kills the process
+// A failed run rejects with a classified error (see errors.js); options.inputs ([{ path, index }]) names the clip
+// each input file belongs to, so the failure can be attributed to one; options.onLine(line) sees every stderr line
+// (e.g. for detection filters that report through the log)
+function runFfmpeg(args, options = {}) {
+  const { totalDuration, onProgress, signal, label = 'FFmpeg', inputs = [], onLine } = options;
+
+  return new Promise((resolve, reject) => {
+    console.log(`Running ${label} with args: ${args.join(' ')}`);
+
+    const proc = spawn('ffmpeg', args, { signal, killSignal: 'SIGKILL' });
+    const stderr = createLineBuffer(undefined, onLine);
+    metrics.activeFfmpeg.inc();
+    let exited = false;
+    const exit = () => {
+      if (!exited) {
+        exited = true;
+        metrics.activeFfmpeg.dec();
+      }
+    };
+
+    proc.stderr.on('data', (data) => {
+      logger.debug(`${label} stderr: ${data}`);
+      stderr.push(data.toString());
+
+      if (onProgress && totalDuration > 0) {
+        const seconds = parseFfmpegTime(data.toString());
+        if (seconds !== null) {
+          onProgress(Math.min(100, Math.round((seconds / totalDuration) * 100)));
+        }
+      }
+    });
+
+    proc.on('close', (code) => {
+      exit();
+      if (code === 0) {
+        resolve();
+      } else {
+        console.error(`${label} process exited with code ${code}`);
+        reject(ffmpegError(label, code, stderr.lines(), { inputs, args }));
+      }
+    });
+
+    proc.on('error', (error) => {
+      exit();
+      console.error(`${label} error: ${error.message}`);
+      reject(error);
+    });
+  });
+}
+
+// Scale width x height down to fit inside maxWidth x maxHeight, keeping aspect ratio and even dimensions (h264)
+function fitWithin(width, height, maxWidth, maxHeight) {
+  if (width <= maxWidth && height <= maxHeight) {
+    return { width, height };
+  }
+
+  const aspectRatio = width / height;
+  let newWidth;
+  let newHeight;
+  if (width > height) {
+    newWidth = maxWidth;
+    newHeight = Math.round(maxWidth / aspectRatio);
+  } else {
+    newHeight = maxHeight;
+    newWidth = Math.round(maxHeight * aspectRatio);
+  }
+
+  return {
+    width: newWidth % 2 === 0 ? newWidth : newWidth - 1,
+    height: newHeight % 2 === 0 ? newHeight : newHeight - 1
+  };
+}
+
+module.exports = {
+  probeMedia,
+  probeVideo,
+  summarizeMedia,
+  parseFrameRate,
+  getVideoDuration,
+  getKeyframeTimes,
+  getKeyframeIndex,
+  parseFfmpegTime,
+  fitWithin,
+  runFfmpeg
+};
@@ -0,0 +1,136 @@
+// Minimal Prometheus metrics registry (counters, gauges, histograms) rendered in the text exposition format
+
+const PREFIX = 'videomerger_';
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+  }
+  return picked;
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map(); // key -> { labels, value }
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${PREFIX}${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// options.collect() returns the current value at scrape time, for gauges read from elsewhere (e.g. queue depth)
+function gauge(name, help, options = {}) {
+  let value = 0;
+  const metric = {
+    inc(amount = 1) {
+      value += amount;
+    },
+    dec(amount = 1) {
+      value -= amount;
+    },
+    set(newValue) {
+      value = newValue;
+    },
+    render() {
+      const current = options.collect ? options.collect() : value;
+      return [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} gauge`, `${PREFIX}${name} ${current}`];
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, options = {}) {
+  const { labelNames = [], buckets = [0.1, 0.5, 1, 5, 10, 30, 60] } = options;
+  const series = new Map(); // key -> { labels, counts (per bucket), sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) {
+          entry.counts[i]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${PREFIX}${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${PREFIX}${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${PREFIX}${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${PREFIX}${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// Every registered metric in the Prometheus text format
+function render() {
+  return `${registry.map(metric => metric.render().join('\n')).join('\n')}\n`;
+}
+
+// The service's metrics; gauges fed from other modules get their collect() wired up in server.js
+const requestsTotal = counter('http_requests_total', 'HTTP requests by method, route and status code', ['method', 'route', 'status']);
+const mergesTotal = counter('merge_requests_total', 'Merge requests by outcome', ['outcome']);
+const stageDuration = histogram('stage_duration_seconds', 'Time spent in each merge pipeline stage', {
+  labelNames: ['stage'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600]
+});
+const downloadedBytes = counter('downloaded_bytes_total', 'Bytes downloaded from input URLs');
+const uploadedBytes = counter('uploaded_bytes_total', 'Bytes uploaded to storage backends', ['storage']);
+const uploadStrategies = counter('uploads_total', 'Video uploads by storage backend and upload strategy', ['storage', 'strategy']);
+const activeFfmpeg = gauge('ffmpeg_processes_active', 'FFmpeg processes currently running');
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  render,
+  requestsTotal,
+  mergesTotal,
+  stageDuration,
+  downloadedBytes,
+  uploadedBytes,
+  uploadStrategies,
+  activeFfmpeg
+};
@@ -0,0 +1,296 @@
+const path = require('path');
+const { probeVideo, runFfmpeg } = require('./media');
+const { STDERR_TAIL_LINES, createLineBuffer, codedError } = require('./errors');
+
+// Pre-merge normalization: probe every clip and re-encode only the ones whose
+// streams would break a `-c copy` concat, so the fast path stays the default
+
+// Pick the most common value of key(item) across items
+function mostCommon(items, key) {
+  const counts = new Map();
+  for (const item of items) {
+    const value = JSON.stringify(key(item));
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best === null ? null : JSON.parse(best);
+}
+
+function defaultChannelLayout(channels) {
+  return channels === 1 ? 'mono' : 'stereo';
+}
+
+// Choose the common profile every clip must match: the majority's parameters
+function buildTargetProfile(infos) {
+  const withVideo = infos.filter(info => info.video);
+  const withAudio = infos.filter(info => info.audio);
+
+  const video = mostCommon(withVideo, info => ({
+    codec: info.video.codec,
+    width: info.video.width,
+    height: info.video.height,
+    frameRate: info.video.frameRate,
+    pixFmt: info.video.pixFmt,
+    rotation: info.video.rotation || 0,
+    sar: info.video.sar || '1:1'
+  }));
+
+  // Timescale for re-encoded clips comes from the first clip already matching the target
+  const reference = withVideo.find(info =>
+    info.video.width === video.width &&
+    info.video.height === video.height &&
+    info.video.frameRate === video.frameRate
+  );
+  video.timeBase = reference ? reference.video.timeBase : null;
+
+  const audio = withAudio.length === 0 ? null : mostCommon(withAudio, info => ({
+    codec: info.audio.codec,
+    sampleRate: info.audio.sampleRate,
+    channels: info.audio.channels,
+    channelLayout: info.audio.channelLayout || defaultChannelLayout(info.audio.channels)
+  }));
+
+  return { video, audio };
+}
+
+// List why a clip's streams differ from the target profile
+function compareToTarget(info, target) {
+  const videoReasons = [];
+  const audioReasons = [];
+
+  if (!info.video) {
+    videoReasons.push('no video stream');
+  } else {
+    if (info.video.codec !== target.video.codec) {
+      videoReasons.push(`video codec ${info.video.codec} != ${target.video.codec}`);
+    }
+    if (info.video.width !== target.video.width || info.video.height !== target.video.height) {
+      videoReasons.push(`resolution ${info.video.width}x${info.video.height} != ${target.video.width}x${target.video.height}`);
+    }
+    if (info.video.frameRate !== target.video.frameRate) {
+      videoReasons.push(`frame rate ${info.video.frameRate} != ${target.video.frameRate}`);
+    }
+    if (info.video.pixFmt !== target.video.pixFmt) {
+      videoReasons.push(`pixel format ${info.video.pixFmt} != ${target.video.pixFmt}`);
+    }
+    // The concat demuxer takes the display rotation and pixel shape of the first clip for all of them
+    if ((info.video.rotation || 0) !== target.video.rotation) {
+      videoReasons.push(`rotation ${info.video.rotation || 0} != ${target.video.rotation}`);
+    }
+    if ((info.video.sar || '1:1') !== target.video.sar) {
+      videoReasons.push(`sample aspect ratio ${info.video.sar || '1:1'} != ${target.video.sar}`);
+    }
+  }
+
+  if (target.audio) {
+    if (!info.audio) {
+      audioReasons.push('missing audio track (silence added)');
+    } else {
+      if (info.audio.codec !== target.audio.codec) {
+        audioReasons.push(`audio codec ${info.audio.codec} != ${target.audio.codec}`);
+      }
+      if (info.audio.sampleRate !== target.audio.sampleRate) {
+        audioReasons.push(`sample rate ${info.audio.sampleRate} != ${target.audio.sampleRate}`);
+      }
+      if (info.audio.channels !== target.audio.channels) {
+        audioReasons.push(`channels ${info.audio.channels} != ${target.audio.channels}`);
+      }
+    }
+  }
+
+  return { videoReasons, audioReasons };
+}
+
+// Re-encoding always produces libx264/aac with square pixels and no display rotation (ffmpeg applies the
+// rotation to the frames), so a target with any other codec, pixel shape or rotation is switched over
+function coerceEncodableTarget(target, comparisons) {
+  const needsVideoEncode = comparisons.some(c => c.videoReasons.length > 0);
+  const needsAudioEncode = comparisons.some(c => c.audioReasons.length > 0);
+
+  if (needsVideoEncode && target.video.codec !== 'h264') {
+    target.video.codec = 'h264';
+    target.video.pixFmt = 'yuv420p';
+  }
+  if (needsVideoEncode && target.video.rotation !== 0) {
+    // An upright target has the frame size the rotated clips are displayed at
+    if (target.video.rotation % 180 !== 0) {
+      [target.video.width, target.video.height] = [target.video.height, target.video.width];
+    }
+    target.video.rotation = 0;
+  }
+  if (needsVideoEncode) {
+    target.video.sar = '1:1';
+  }
+  if (needsAudioEncode && target.audio && target.audio.codec !== 'aac') {
+    target.audio.codec = 'aac';
+  }
+
+  return target;
+}
+
+// Build the ffmpeg args that bring one clip in line with the target profile
+function buildNormalizeArgs(inputPath, outputPath, info, target, encodeVideo, encodeAudio) {
+  const args = ['-i', inputPath];
+  const addSilence = target.audio && !info.audio;
+
+  if (addSilence) {
+    args.push(
+      '-f', 'lavfi',
+      '-t', String(info.duration),
+      '-i', `anullsrc=r=${target.audio.sampleRate}:cl=${target.audio.channelLayout}`
+    );
+  }
+
+  args.push('-map', '0:v:0');
+  if (target.audio) {
+    args.push('-map', addSilence ? '1:a:0' : '0:a:0');
+  }
+
+  if (encodeVideo) {
+    const { width, height, frameRate, pixFmt } = target.video;
+    args.push(
+      '-vf', [
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+        'setsar=1',
+        `fps=${frameRate}`,
+        `format=${pixFmt}`
+      ].join(','),
+      '-c:v', 'libx264',
+      '-preset', 'fast',
+      '-crf', '18'
+    );
+  } else {
+    args.push('-c:v', 'copy');
+  }
+
+  if (target.audio) {
+    if (encodeAudio) {
+      // Audio that ends before the video is padded with silence, so the clip keeps its full length
+      if (!addSilence) {
+        args.push('-af', 'apad');
+      }
+      args.push(
+        '-c:a', 'aac',
+        '-b:a', '192k',
+        '-ar', String(target.audio.sampleRate),
+        '-ac', String(target.audio.channels)
+      );
+    } else {
+      args.push('-c:a', 'copy');
+    }
+  }
+
+  // Matching the track timescale keeps timestamps consistent when the concat demuxer copies streams
+  const timescale = target.video.timeBase ? target.video.timeBase.split('/')[1] : null;
+  if (timescale) {
+    args.push('-video_track_timescale', timescale);
+  }
+
+  // The clip's own duration bounds the padded audio; the video is never cut short
+  args.push('-t', String(info.duration), '-movflags', '+faststart', '-y', outputPath);
+  return args;
+}
+
+// Decide the target profile and which clips (by probed info) must be re-encoded to match it
+// Returns { target, comparisons, clips } where clips[i] is { index, normalized, reasons }
+function planNormalization(infos) {
+  const target = buildTargetProfile(infos);
+  let comparisons = infos.map(info => compareToTarget(info, target));
+  coerceEncodableTarget(target, comparisons);
+  comparisons = infos.map(info => compareToTarget(info, target));
+
+  const clips = comparisons.map((comparison, index) => ({
+    index,
+    normalized: comparison.videoReasons.length > 0 || comparison.audioReasons.length > 0,
+    reasons: [...comparison.videoReasons, ...comparison.audioReasons]
+  }));
+
+  return { target, comparisons, clips };
+}
+
+// Probe all clips and normalize the odd ones out
+// Returns { files, report, createdFiles, infos } where files is the list to feed the merge
+async function normalizeClips(inputFiles, options = {}) {
+  const { sessionId, outputDir, onProgress, signal } = options;
+
+  console.log(`🔍 Analyzing ${inputFiles.length} clips for concat compatibility...`);
+  const infos = [];
+  for (let i = 0; i < inputFiles.length; i++) {
+    let info;
+    try {
+      info = await probeVideo(inputFiles[i]);
+    } catch (error) {
+      const probeError = codedError('INVALID_INPUT', `Input ${i + 1} is not a readable video file`, i);
+      // ffprobe's stderr follows the first line of the message
+      const stderr = createLineBuffer();
+      stderr.push(`${error.message.split('\n').slice(1).join('\n')}\n`);
+      probeError.stderr = stderr.lines().slice(-STDERR_TAIL_LINES);
+      throw probeError;
+    }
+    if (!info.video) {
+      throw codedError('INVALID_INPUT', `Input ${i + 1} has no video stream`, i);
+    }
+    infos.push(info);
+  }
+
+  const { target, comparisons, clips } = planNormalization(infos);
+  const toNormalize = clips.filter(clip => clip.normalized);
+  const report = {
+    applied: toNormalize.length > 0,
+    target,
+    clips
+  };
+
+  if (toNormalize.length === 0) {
+    console.log('✅ All clips share the same stream parameters, using stream copy');
+    return { files: inputFiles, report, createdFiles: [], infos };
+  }
+
+  console.log(`🔧 Normalizing ${toNormalize.length} of ${inputFiles.length} clips to a common profile...`);
+
+  const files = [...inputFiles];
+  const createdFiles = [];
+
+  for (let n = 0; n < toNormalize.length; n++) {
+    const { index, reasons } = toNormalize[n];
+    const { videoReasons, audioReasons } = comparisons[index];
+    const outputPath = path.join(outputDir, `${sessionId}_normalized_${index + 1}.mp4`);
+
+    console.log(`🔧 Clip ${index + 1}: ${reasons.join('; ')}`);
+    createdFiles.push(outputPath);
+
+    await runFfmpeg(
+      buildNormalizeArgs(inputFiles[index], outputPath, infos[index], target, videoReasons.length > 0, audioReasons.length > 0),
+      {
+        label: 'Normalize',
+        inputs: [{ path: inputFiles[index], index }],
+        totalDuration: infos[index].duration,
+        signal,
+        onProgress: onProgress
+          ? (percent) => onProgress(Math.round(((n + percent / 100) / toNormalize.length) * 100))
+          : null
+      }
+    );
+
+    files[index] = outputPath;
+  }
+
+  console.log('✅ Normalization complete');
+  return { files, report, createdFiles, infos };
+}
+
+module.exports = {
+  buildTargetProfile,
+  compareToTarget,
+  planNormalization,
+  normalizeClips
+};
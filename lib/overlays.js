@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+
+// Image (logo/watermark) and text overlays, drawn with overlay/drawtext during the render pass
+
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+
+// Bundled fonts so drawtext renders the same on every server
+const FONTS = {
+  sans: 'Lato-Regular.ttf',
+  'sans-light': 'Lato-Light.ttf',
+  mono: 'SourceCodePro-Regular.ttf',
+  'mono-bold': 'SourceCodePro-Bold.ttf'
+};
+
+const POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const MAX_OVERLAYS = 10;
+const MAX_TEXT_LENGTH = 500;
+
+// Color names or #RRGGBB, optionally with @alpha (e.g. "black@0.5")
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{6}|[a-zA-Z]+)(@(0(\.\d+)?|1(\.0+)?))?$/;
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Shared placement and timing fields for both overlay types
+function parsePlacement(spec, label, defaultPosition) {
+  const position = spec.position === undefined ? defaultPosition : spec.position;
+  if (!POSITIONS.includes(position)) {
+    return { error: `${label}.position must be one of: ${POSITIONS.join(', ')}` };
+  }
+
+  for (const field of ['x', 'y']) {
+    if (spec[field] !== undefined && !isNumberInRange(spec[field], 0, 10000)) {
+      return { error: `${label}.${field} must be a pixel offset from the top-left corner` };
+    }
+  }
+
+  const margin = spec.margin === undefined ? 20 : spec.margin;
+  if (!isNumberInRange(margin, 0, 1000)) {
+    return { error: `${label}.margin must be a number of pixels between 0 and 1000` };
+  }
+
+  const start = spec.start === undefined ? 0 : spec.start;
+  const end = spec.end === undefined ? null : spec.end;
+  if (!isNumberInRange(start, 0, Infinity)) {
+    return { error: `${label}.start must be a number of seconds` };
+  }
+  if (end !== null && !(isNumberInRange(end, 0, Infinity) && end > start)) {
+    return { error: `${label}.end must be a number of seconds after start` };
+  }
+
+  return {
+    placement: { position, x: spec.x, y: spec.y, margin, start, end }
+  };
+}
+
+function parseImageOverlay(spec, label) {
+  if (typeof spec.url !== 'string' || !spec.url) {
+    return { error: `${label}.url is required for image overlays` };
+  }
+
+  if (spec.scale !== undefined && !isNumberInRange(spec.scale, 0.01, 1)) {
+    return { error: `${label}.scale must be a fraction of the video width between 0.01 and 1` };
+  }
+
+  const opacity = spec.opacity === undefined ? 1 : spec.opacity;
+  if (!isNumberInRange(opacity, 0, 1)) {
+    return { error: `${label}.opacity must be a number between 0 and 1` };
+  }
+
+  const { placement, error } = parsePlacement(spec, label, 'top-right');
+  if (error) {
+    return { error };
+  }
+
+  return {
+    overlay: { type: 'image', url: spec.url, scale: spec.scale || null, opacity, ...placement }
+  };
+}
+
+function parseTextOverlay(spec, label) {
+  if (typeof spec.text !== 'string' || !spec.text.trim()) {
+    return { error: `${label}.text is required for text overlays` };
+  }
+  if (spec.text.length > MAX_TEXT_LENGTH) {
+    return { error: `${label}.text must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+
+  const font = spec.font === undefined ? 'sans' : spec.font;
+  if (!FONTS[font]) {
+    return { error: `${label}.font must be one of: ${Object.keys(FONTS).join(', ')}` };
+  }
+
+  const fontSize = spec.fontSize === undefined ? 48 : spec.fontSize;
+  if (!isNumberInRange(fontSize, 8, 400)) {
+    return { error: `${label}.fontSize must be a number of pixels between 8 and 400` };
+  }
+
+  const color = spec.color === undefined ? 'white' : spec.color;
+  const boxColor = spec.boxColor === undefined ? 'black@0.5' : spec.boxColor;
+  for (const [field, value] of [['color', color], ['boxColor', boxColor]]) {
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+      return { error: `${label}.${field} must be a color name or #RRGGBB, optionally with @opacity` };
+    }
+  }
+
+  if (spec.box !== undefined && typeof spec.box !== 'boolean') {
+    return { error: `${label}.box must be a boolean` };
+  }
+
+  const boxPadding = spec.boxPadding === undefined ? 10 : spec.boxPadding;
+  if (!isNumberInRange(boxPadding, 0, 200)) {
+    return { error: `${label}.boxPadding must be a number of pixels between 0 and 200` };
+  }
+
+  const { placement, error } = parsePlacement(spec, label, 'bottom');
+  if (error) {
+    return { error };
+  }
+
+  return {
+    overlay: {
+      type: 'text',
+      text: spec.text,
+      font,
+      fontSize,
+      color,
+      box: spec.box === true,
+      boxColor,
+      boxPadding,
+      ...placement
+    }
+  };
+}
+
+// Validate the request's overlays array; returns { overlays } (null when absent) or { error }
+function parseOverlays(option) {
+  if (option === undefined || option === null) {
+    return { overlays: null };
+  }
+
+  if (!Array.isArray(option)) {
+    return { error: 'overlays must be an array of image or text overlays' };
+  }
+  if (option.length > MAX_OVERLAYS) {
+    return { error: `Maximum ${MAX_OVERLAYS} overlays allowed per merge request` };
+  }
+
+  const overlays = [];
+  for (let i = 0; i < option.length; i++) {
+    const spec = option[i];
+    const label = `overlays[${i}]`;
+    let result;
+
+    if (spec && spec.type === 'image') {
+      result = parseImageOverlay(spec, label);
+    } else if (spec && spec.type === 'text') {
+      result = parseTextOverlay(spec, label);
+    } else {
+      result = { error: `${label}.type must be "image" or "text"` };
+    }
+
+    if (result.error) {
+      return { error: result.error };
+    }
+    overlays.push(result.overlay);
+  }
+
+  return { overlays: overlays.length > 0 ? overlays : null };
+}
+
+// x/y expressions for a placement; W/H are the frame size, w/h the overlay size in the filter's own variables
+function positionExpressions(overlay, { W, H, w, h }) {
+  const { position, margin } = overlay;
+  let x = `(${W}-${w})/2`;
+  let y = `(${H}-${h})/2`;
+
+  if (position.endsWith('left')) x = `${margin}`;
+  if (position.endsWith('right')) x = `${W}-${w}-${margin}`;
+  if (position.startsWith('top')) y = `${margin}`;
+  if (position.startsWith('bottom')) y = `${H}-${h}-${margin}`;
+
+  return {
+    x: overlay.x !== undefined ? `${overlay.x}` : x,
+    y: overlay.y !== undefined ? `${overlay.y}` : y
+  };
+}
+
+function enableExpression(overlay) {
+  if (overlay.end !== null) {
+    return `:enable='between(t,${overlay.start},${overlay.end})'`;
+  }
+  return overlay.start > 0 ? `:enable='gte(t,${overlay.start})'` : '';
+}
+
+// Filtergraph statements drawing the overlays onto the stream labelled `input`
+// Image overlays read inputs firstImageInput.. in order, text overlays read textFiles[i]; returns { filters, label }
+function buildOverlayFilter(overlays, { input, frameWidth, textFiles, firstImageInput = 1 }) {
+  const filters = [];
+  let current = input;
+  let imageInput = firstImageInput;
+
+  overlays.forEach((overlay, i) => {
+    const next = `ov${i}`;
+
+    if (overlay.type === 'image') {
+      const imageChain = [];
+      if (overlay.scale) {
+        imageChain.push(`scale=${Math.max(2, Math.round(frameWidth * overlay.scale))}:-1`);
+      }
+      imageChain.push('format=rgba', `colorchannelmixer=aa=${overlay.opacity}`);
+      filters.push(`[${imageInput}:v]${imageChain.join(',')}[img${i}]`);
+
+      const { x, y } = positionExpressions(overlay, { W: 'main_w', H: 'main_h', w: 'overlay_w', h: 'overlay_h' });
+      filters.push(`[${current}][img${i}]overlay=x=${x}:y=${y}${enableExpression(overlay)}[${next}]`);
+      imageInput++;
+    } else {
+      const { x, y } = positionExpressions(overlay, { W: 'w', H: 'h', w: 'text_w', h: 'text_h' });
+      const options = [
+        `fontfile='${path.join(FONTS_DIR, FONTS[overlay.font])}'`,
+        `textfile='${textFiles[i]}'`,
+        'expansion=none',
+        `fontsize=${overlay.fontSize}`,
+        `fontcolor=${overlay.color}`,
+        `x=${x}`,
+        `y=${y}`
+      ];
+      if (overlay.box) {
+        options.push('box=1', `boxcolor=${overlay.boxColor}`, `boxborderw=${overlay.boxPadding}`);
+      }
+      filters.push(`[${current}]drawtext=${options.join(':')}${enableExpression(overlay)}[${next}]`);
+    }
+
+    current = next;
+  });
+
+  return { filters, label: current };
+}
+
+// drawtext reads text from files so user text never needs filtergraph escaping
+// Returns one path per overlay (null for images); the caller removes them after the encode
+function writeTextFiles(overlays, basePath) {
+  return overlays.map((overlay, i) => {
+    if (overlay.type !== 'text') {
+      return null;
+    }
+    const textPath = `${basePath}.text${i}.txt`;
+    fs.writeFileSync(textPath, overlay.text);
+    return textPath;
+  });
+}
+
+module.exports = {
+  FONTS,
+  COLOR_PATTERN,
+  POSITIONS,
+  parseOverlays,
+  buildOverlayFilter,
+  writeTextFiles
+};
@@ -0,0 +1,118 @@
+const { COLOR_PATTERN } = require('./overlays');
+const { STREAMING_FORMATS } = require('./streaming');
+
+// Output presets: target frame size, aspect-ratio conversion (fit) and frame rate
+
+const FIT_MODES = ['contain', 'cover', 'pad'];
+
+const PRESETS = {
+  youtube: { width: 1920, height: 1080 },
+  'youtube-720p': { width: 1280, height: 720 },
+  'youtube-shorts': { width: 1080, height: 1920 },
+  reels: { width: 1080, height: 1920 },
+  tiktok: { width: 1080, height: 1920 },
+  'instagram-feed': { width: 1080, height: 1080 },
+  'instagram-portrait': { width: 1080, height: 1350 }
+};
+
+const MAX_DIMENSION = 4096;
+
+function isEvenDimension(value) {
+  return Number.isInteger(value) && value >= 16 && value <= MAX_DIMENSION && value % 2 === 0;
+}
+
+// Validate the request's output option: a preset name, or { preset, width, height, fit, padColor, fps }
+// Preset values can be overridden field by field; returns { output } (null when absent) or { error }
+// The streaming fields (format, renditions, segmentDuration) are parsed by parseStreamingOption
+function parseOutputOption(option) {
+  if (option === undefined || option === null) {
+    return { output: null };
+  }
+
+  if (typeof option === 'string') {
+    option = STREAMING_FORMATS.includes(option) ? { format: option } : { preset: option };
+  }
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return { error: 'output must be a preset name or { preset, width, height, fit, padColor, fps }' };
+  }
+
+  // A streaming format on its own keeps the merged frame as it is
+  if (option.format !== undefined && option.preset === undefined && option.width === undefined && option.height === undefined) {
+    return { output: null };
+  }
+
+  let base = {};
+  if (option.preset !== undefined) {
+    base = PRESETS[option.preset];
+    if (!base) {
+      return { error: `output.preset must be one of: ${Object.keys(PRESETS).join(', ')}` };
+    }
+  }
+
+  const width = option.width === undefined ? base.width : option.width;
+  const height = option.height === undefined ? base.height : option.height;
+  if (!isEvenDimension(width) || !isEvenDimension(height)) {
+    return { error: `output.width and output.height must be even integers between 16 and ${MAX_DIMENSION} (or use a preset)` };
+  }
+
+  const fit = option.fit === undefined ? 'pad' : option.fit;
+  if (!FIT_MODES.includes(fit)) {
+    return { error: `output.fit must be one of: ${FIT_MODES.join(', ')}` };
+  }
+
+  const padColor = option.padColor === undefined ? 'black' : option.padColor;
+  if (typeof padColor !== 'string' || !COLOR_PATTERN.test(padColor)) {
+    return { error: 'output.padColor must be a color name or #RRGGBB' };
+  }
+
+  const fps = option.fps === undefined ? null : option.fps;
+  if (fps !== null && !(typeof fps === 'number' && fps >= 1 && fps <= 120)) {
+    return { error: 'output.fps must be a number between 1 and 120' };
+  }
+
+  return {
+    output: {
+      preset: option.preset || null,
+      width,
+      height,
+      fit,
+      padColor,
+      fps
+    }
+  };
+}
+
+// Filtergraph statements converting the stream labelled `input` to the output frame; returns { filters, label }
+//   contain - scale to fit inside the frame, pad the rest with padColor
+//   cover   - scale to fill the frame, center crop the overflow
+//   pad     - scale to fit over a blurred, zoomed copy of the video
+function buildOutputFilter(output, input) {
+  const { width, height, fit, padColor, fps } = output;
+  const filters = [];
+  const tail = ['setsar=1'];
+  if (fps) {
+    tail.push(`fps=${fps}`);
+  }
+
+  if (fit === 'cover') {
+    filters.push(`[${input}]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},${tail.join(',')}[framed]`);
+  } else if (fit === 'contain') {
+    filters.push(`[${input}]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${padColor},${tail.join(',')}[framed]`);
+  } else {
+    filters.push(
+      `[${input}]split=2[bgsrc][fgsrc]`,
+      `[bgsrc]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:2[bg]`,
+      `[fgsrc]scale=${width}:${height}:force_original_aspect_ratio=decrease[fg]`,
+      `[bg][fg]overlay=x=(W-w)/2:y=(H-h)/2,${tail.join(',')}[framed]`
+    );
+  }
+
+  return { filters, label: 'framed' };
+}
+
+module.exports = {
+  PRESETS,
+  FIT_MODES,
+  parseOutputOption,
+  buildOutputFilter
+};
@@ -0,0 +1,275 @@
+const { probeVideo, fitWithin } = require('./media');
+const { startsOnKeyframe } = require('./clips');
+const { planNormalization } = require('./normalize');
+const { AUDIO_KBPS, buildLadder } = require('./streaming');
+const { RESIZE_THRESHOLD_MB, FORCE_RESIZE_MB } = require('./compress');
+
+// Dry run of the merge pipeline for POST /probe: input metadata, concat compatibility and
+// the path, duration and size a merge of the same request would produce - nothing is encoded
+
+const MB = 1024 * 1024;
+
+// Probe every clip; remote clips are read by ffprobe through options.proxy (urlPolicy.createProbeProxy), which only
+// fetches the ranges it needs under the URL policy, and fetched in full through options.fetchInput(clip, index) → filePath
+// when that fails
+// Resolves with one entry per clip: { info, source, fetch: partial|download|upload } or { error }
+async function probeInputs(clips, options = {}) {
+  const { proxy, fetchInput } = options;
+  const inputs = [];
+
+  for (let i = 0; i < clips.length; i++) {
+    const clip = clips[i];
+    if (clip.filePath) {
+      try {
+        inputs.push({ info: await probeVideo(clip.filePath), source: clip.filePath, fetch: 'upload' });
+      } catch (error) {
+        inputs.push({ error: `videoUrls[${i}] could not be probed: ${error.message}` });
+      }
+      continue;
+    }
+
+    try {
+      const source = proxy.urlFor(clip.url);
+      inputs.push({ info: await probeVideo(source), source, fetch: 'partial' });
+      continue;
+    } catch (error) {
+      const rejection = proxy.errorFor(clip.url);
+      if (rejection) {
+        inputs.push({ error: `videoUrls[${i}] rejected: ${rejection.message}` });
+        continue;
+      }
+      console.log(`⚠️ Partial probe of input ${i + 1} failed (${error.message.split('\n')[0]}), downloading it...`);
+    }
+
+    try {
+      const filePath = await fetchInput(clip, i);
+      inputs.push({ info: await probeVideo(filePath), source: filePath, fetch: 'download' });
+    } catch (error) {
+      inputs.push({ error: `videoUrls[${i}] could not be probed: ${error.message}` });
+    }
+  }
+
+  return inputs;
+}
+
+// Per-input metadata in the response
+function describeInput(clip, input, index) {
+  if (input.error) {
+    return { index, url: clip.url, error: input.error };
+  }
+
+  const { info } = input;
+  return {
+    index,
+    url: clip.url,
+    fetch: input.fetch,
+    duration: Number(info.duration.toFixed(3)),
+    size: info.size || null,
+    bitRate: info.bitRate || null,
+    video: info.video && {
+      codec: info.video.codec,
+      width: info.video.width,
+      height: info.video.height,
+      fps: info.video.fps,
+      pixFmt: info.video.pixFmt,
+      bitRate: info.video.bitRate || null,
+      rotation: info.video.rotation
+    },
+    audio: info.audio && {
+      codec: info.audio.codec,
+      sampleRate: info.audio.sampleRate,
+      channels: info.audio.channels,
+      channelLayout: info.audio.channelLayout,
+      bitRate: info.audio.bitRate || null
+    }
+  };
+}
+
+// Re-encodes apply the display rotation to the frames, so the output is upright at the displayed size
+function uprightVideo(video) {
+  const sideways = video.rotation % 180 !== 0;
+  return {
+    ...video,
+    width: sideways ? video.height : video.width,
+    height: sideways ? video.width : video.height,
+    rotation: 0
+  };
+}
+
+// How the trim stage would treat a clip ('none', 'copy' or 'reencode'), and the stream parameters it hands on
+// Re-encoded clips come out as h264/yuv420p with AAC audio, like processClips writes them
+async function planClip(clip, input) {
+  const { info } = input;
+  const start = clip.start || 0;
+  const end = clip.end !== null ? Math.min(clip.end, info.duration) : info.duration;
+  const processed = clip.start !== null || clip.end !== null || clip.speed !== 1 || clip.muteAudio;
+  if (!processed) {
+    return { method: 'none', duration: info.duration, info };
+  }
+
+  let copy = clip.speed === 1;
+  if (copy && start > 0) {
+    try {
+      copy = await startsOnKeyframe(input.source, start, info.video ? info.video.fps : 0);
+    } catch (error) {
+      copy = false;
+    }
+  }
+
+  const duration = (end - start) / clip.speed;
+  const audio = clip.muteAudio ? null : info.audio;
+  const planned = copy
+    ? { ...info, duration, audio }
+    : {
+      ...info,
+      duration,
+      video: info.video && uprightVideo({ ...info.video, codec: 'h264', pixFmt: 'yuv420p' }),
+      audio: audio && { ...audio, codec: 'aac' }
+    };
+
+  return { method: copy ? 'copy' : 'reencode', duration, info: planned };
+}
+
+// Bits per second of a probed input, falling back to size over duration
+function bitRateOf(info) {
+  if (info.bitRate) {
+    return info.bitRate;
+  }
+  return info.size && info.duration ? (info.size * 8) / info.duration : 0;
+}
+
+// Predict the resize/compress path processMerge takes for a merged file of sizeMB at frame
+function planProcessing(mergeRequest, frame, duration, sizeMB) {
+  const { output, overlays, subtitles, streaming, compression } = mergeRequest;
+  const steps = [];
+  let type = 'none';
+  let resized = false;
+
+  const pixelRatio = (next) => (next.width * next.height) / (frame.width * frame.height);
+
+  if (output || overlays || (subtitles && subtitles.mode === 'burn')) {
+    const foldResize = !output && !streaming && sizeMB > RESIZE_THRESHOLD_MB;
+    const next = output
+      ? { width: output.width, height: output.height }
+      : foldResize ? fitWithin(frame.width, frame.height, 1280, 720) : frame;
+    resized = foldResize && pixelRatio(next) < 1;
+    sizeMB *= pixelRatio(next);
+    frame = next;
+    type = resized ? 'resized' : 'rendered';
+    steps.push(resized ? 'render+resize' : 'render');
+  }
+
+  if (!streaming && sizeMB > RESIZE_THRESHOLD_MB && !resized) {
+    const next = fitWithin(frame.width, frame.height, 1280, 720);
+    // The resize is only kept when it shrinks the file or the file is very large
+    if (pixelRatio(next) < 1 || sizeMB > FORCE_RESIZE_MB) {
+      sizeMB *= pixelRatio(next);
+      frame = next;
+      type = 'resized';
+      steps.push('resize');
+    }
+  }
+
+  if (compression.targetSizeMB && sizeMB > compression.targetSizeMB) {
+    sizeMB = compression.targetSizeMB;
+    type = 'compressed';
+    steps.push('compress');
+  }
+
+  let renditions = null;
+  if (streaming) {
+    const ladder = buildLadder(streaming.renditions, frame);
+    const kbps = ladder.reduce((sum, rung) => sum + rung.videoBitrate + AUDIO_KBPS, 0);
+    renditions = ladder.map(rung => rung.name);
+    sizeMB = (kbps * 1000 * duration) / 8 / MB;
+    steps.push(`package-${streaming.format}`);
+  }
+
+  return { type, steps, width: frame.width, height: frame.height, renditions, sizeMB };
+}
+
+// Build the /probe report from the parsed merge request and probeInputs' results
+async function buildProbeReport(mergeRequest, inputs) {
+  const { clips, transitions } = mergeRequest;
+  const report = {
+    inputs: clips.map((clip, i) => describeInput(clip, inputs[i], i)),
+    compatibility: null,
+    estimate: null,
+    processing: null
+  };
+
+  const unusable = report.inputs.filter(input => input.error || !input.video);
+  if (unusable.length > 0) {
+    report.compatibility = {
+      streamCopy: false,
+      mergeable: false,
+      reasons: unusable.map(input => input.error || `Input ${input.index + 1} has no video stream`)
+    };
+    return report;
+  }
+
+  const planned = [];
+  for (let i = 0; i < clips.length; i++) {
+    planned.push(await planClip(clips[i], inputs[i]));
+  }
+
+  const normalization = planNormalization(planned.map(clip => clip.info));
+  const reasons = [];
+  normalization.clips.forEach(clip => {
+    if (clip.normalized) {
+      reasons.push(`Input ${clip.index + 1} needs normalization: ${clip.reasons.join('; ')}`);
+    }
+  });
+  planned.forEach((clip, i) => {
+    if (clip.method === 'reencode') {
+      reasons.push(`Input ${i + 1} is re-encoded by its ${clips[i].speed !== 1 ? 'speed change' : 'trim (start is not on a keyframe)'}`);
+    }
+  });
+  if (transitions) {
+    reasons.push('Transitions are rendered with an xfade re-encode');
+  }
+
+  report.compatibility = {
+    streamCopy: reasons.length === 0,
+    mergeable: true,
+    mergeMethod: transitions ? 'xfade' : 'concat-copy',
+    reasons,
+    target: normalization.target,
+    clips: planned.map((clip, i) => ({
+      index: i,
+      trim: clip.method,
+      normalize: normalization.clips[i].normalized,
+      duration: Number(clip.duration.toFixed(3))
+    }))
+  };
+
+  // Transitions overlap the clips they join
+  const overlap = (transitions || []).reduce((sum, transition) => sum + (transition ? transition.duration : 0), 0);
+  const duration = Math.max(0, planned.reduce((sum, clip) => sum + clip.duration, 0) - overlap);
+
+  // Clips keep roughly their source bitrate through copies and the CRF 18 re-encodes
+  const mergedBytes = planned.reduce((sum, clip, i) => sum + (bitRateOf(inputs[i].info) * clip.duration) / 8, 0)
+    * (duration / (duration + overlap || 1));
+  const frame = { width: normalization.target.video.width, height: normalization.target.video.height };
+  const processing = planProcessing(mergeRequest, frame, duration, mergedBytes / MB);
+
+  report.estimate = {
+    duration: Number(duration.toFixed(3)),
+    mergedSizeMB: Number((mergedBytes / MB).toFixed(2)),
+    sizeMB: Number(processing.sizeMB.toFixed(2)),
+    sizeBytes: Math.round(processing.sizeMB * MB)
+  };
+  report.processing = {
+    type: processing.type,
+    steps: processing.steps,
+    width: processing.width,
+    height: processing.height,
+    renditions: processing.renditions
+  };
+  return report;
+}
+
+module.exports = {
+  probeInputs,
+  buildProbeReport
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const { probeVideo, fitWithin, runFfmpeg } = require('./media');
+const { buildOverlayFilter, writeTextFiles } = require('./overlays');
+const { buildOutputFilter } = require('./presets');
+
+// Single re-encode applying, in order: output preset, overlays, burned-in subtitles and the fallback resize
+
+// options:
+//   output              - parsed output preset (frame size, fit, fps)
+//   overlays/imagePaths - overlays and the downloaded image for each image overlay, in order
+//   burnFilter          - subtitles filter for burned-in captions
+//   maxWidth/maxHeight  - fold the size-triggered resize into this encode
+//   onProgress/signal   - percent progress and cancellation, passed to runFfmpeg
+// Overlays are positioned on the preset frame and scaled with it, so they look the same with or without a resize
+async function renderVideo(inputPath, outputPath, options = {}) {
+  const { output, overlays = [], imagePaths = [], burnFilter } = options;
+  const info = await probeVideo(inputPath);
+  const frame = output ? { width: output.width, height: output.height } : { width: info.video.width, height: info.video.height };
+  const scaleTo = options.maxWidth ? fitWithin(frame.width, frame.height, options.maxWidth, options.maxHeight) : null;
+  const resized = Boolean(scaleTo && (scaleTo.width !== frame.width || scaleTo.height !== frame.height));
+  const textFiles = writeTextFiles(overlays, outputPath);
+
+  const filters = [];
+  let label = '0:v';
+
+  if (output) {
+    const framed = buildOutputFilter(output, label);
+    filters.push(...framed.filters);
+    label = framed.label;
+  }
+
+  if (overlays.length > 0) {
+    const overlaid = buildOverlayFilter(overlays, { input: label, frameWidth: frame.width, textFiles });
+    filters.push(...overlaid.filters);
+    label = overlaid.label;
+  }
+
+  const finalChain = burnFilter ? [burnFilter] : [];
+  if (resized) {
+    finalChain.push(`scale=${scaleTo.width}:${scaleTo.height}`, 'setsar=1');
+  }
+  finalChain.push('format=yuv420p');
+  filters.push(`[${label}]${finalChain.join(',')}[vout]`);
+
+  const steps = [
+    output && `${output.preset || 'custom'} ${output.width}x${output.height} (${output.fit})`,
+    overlays.length > 0 && `${overlays.length} overlays`,
+    burnFilter && 'subtitles',
+    resized && `resize to ${scaleTo.width}x${scaleTo.height}`
+  ].filter(Boolean);
+  console.log(`🖼️ Rendering: ${steps.join(', ')}...`);
+
+  const args = ['-i', inputPath];
+  imagePaths.forEach(imagePath => args.push('-i', imagePath));
+  args.push(
+    '-filter_complex', filters.join(';'),
+    '-map', '[vout]',
+    '-map', '0:a?',
+    '-c:v', 'libx264',
+    '-preset', resized ? 'slow' : 'fast',
+    '-crf', '18',
+    '-c:a', 'copy',
+    '-movflags', '+faststart',
+    '-y',
+    outputPath
+  );
+
+  try {
+    await runFfmpeg(args, {
+      label: 'Render',
+      totalDuration: info.duration,
+      onProgress: options.onProgress,
+      signal: options.signal
+    });
+  } finally {
+    textFiles.filter(Boolean).forEach(textPath => fs.rmSync(textPath, { force: true }));
+  }
+
+  const finalFrame = resized ? scaleTo : frame;
+  return {
+    output: output || null,
+    overlays: overlays.map(overlay => overlay.type),
+    subtitlesBurned: Boolean(burnFilter),
+    resized,
+    resolution: `${finalFrame.width}x${finalFrame.height}`
+  };
+}
+
+module.exports = {
+  renderVideo
+};
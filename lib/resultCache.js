@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// Merge results keyed by a hash of the normalized request, so an identical request
+// is answered with the already-uploaded video instead of being merged again
+
+const RESULTS_FILE = path.join(DATA_DIR, 'result-cache.json');
+// Entries also end a day before their video's retention runs out, so a cached URL is never about to be deleted
+const TTL_DAYS = process.env.RESULT_CACHE_TTL_DAYS !== undefined ? Math.max(0, parseFloat(process.env.RESULT_CACHE_TTL_DAYS) || 0) : 30;
+const MAX_ENTRIES = parseInt(process.env.RESULT_CACHE_MAX_ENTRIES, 10) || 1000;
+
+// Request fields that decide what gets produced; delivery details (async, callbackUrl) are left out
+const KEY_FIELDS = ['clips', 'autoTrim', 'transitions', 'audio', 'overlays', 'subtitles', 'thumbnails', 'output', 'streaming', 'compression', 'storage', 'retentionDays', 'apiKeyId'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const entries = new Map(); // key -> { response, jobId, createdAt, expiresAt }
+
+function isEnabled() {
+  return TTL_DAYS > 0;
+}
+
+function saveResults() {
+  try {
+    writeJsonFile(RESULTS_FILE, Object.fromEntries(entries));
+  } catch (error) {
+    console.error(`❌ Failed to save result cache: ${error.message}`);
+  }
+}
+
+function loadResults() {
+  if (!isEnabled()) {
+    return;
+  }
+
+  try {
+    const now = new Date().toISOString();
+    for (const [key, entry] of Object.entries(readJsonFile(RESULTS_FILE, {}))) {
+      if (entry.expiresAt > now) {
+        entries.set(key, entry);
+      }
+    }
+    console.log(`🗄️ Loaded ${entries.size} cached merge results`);
+  } catch (error) {
+    console.error(`❌ Failed to load result cache: ${error.message}`);
+  }
+}
+
+// JSON with object keys sorted, so equal requests hash equally whatever order their fields came in
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Cache key for a parsed merge request, or null when it can't be cached
+// Requests with uploaded files are never cached - their content isn't known from the request
+function requestKey(mergeRequest) {
+  if (!isEnabled() || mergeRequest.clips.some(clip => clip.filePath)) {
+    return null;
+  }
+
+  const fields = {};
+  for (const field of KEY_FIELDS) {
+    fields[field] = mergeRequest[field];
+  }
+  return crypto.createHash('sha256').update(stableStringify(fields)).digest('hex');
+}
+
+// Cached entry for key, or null when there is none or it has expired
+function get(key) {
+  const entry = key ? entries.get(key) : null;
+  if (!entry) {
+    return null;
+  }
+  if (entry.expiresAt <= new Date().toISOString()) {
+    entries.delete(key);
+    saveResults();
+    return null;
+  }
+  return entry;
+}
+
+// Remember a successful merge response; the video's retention (expiresAt) and urlExpiresAt (presigned URLs)
+// cap the entry's lifetime
+function set(key, response, jobId) {
+  if (!key) {
+    return;
+  }
+
+  const now = new Date();
+  const limits = [now.getTime() + TTL_DAYS * DAY_MS];
+  if (response.expiresAt) {
+    limits.push(new Date(response.expiresAt).getTime() - DAY_MS);
+  }
+  if (response.urlExpiresAt) {
+    limits.push(new Date(response.urlExpiresAt).getTime());
+  }
+  const expiresAt = new Date(Math.min(...limits)).toISOString();
+  if (expiresAt <= now.toISOString()) {
+    return;
+  }
+
+  entries.delete(key); // re-insert so Map order stays oldest first
+  entries.set(key, { response, jobId, createdAt: now.toISOString(), expiresAt });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  saveResults();
+}
+
+// Forget results whose video was deleted from storage (e.g. by the auto-cleanup)
+function forgetStorageId(storageName, storageId) {
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (entry.response.storage === storageName && entry.response.storageId === storageId) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    saveResults();
+  }
+}
+
+function getStats() {
+  return {
+    enabled: isEnabled(),
+    entries: entries.size,
+    ttlDays: TTL_DAYS
+  };
+}
+
+module.exports = {
+  isEnabled,
+  loadResults,
+  requestKey,
+  get,
+  set,
+  forgetStorageId,
+  getStats
+};
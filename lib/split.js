@@ -0,0 +1,240 @@
+const { probeVideo, getKeyframeIndex, runFfmpeg } = require('./media');
+const { parseTimestamp, processClips } = require('./clips');
+const { STDERR_TAIL_LINES, createLineBuffer, codedError } = require('./errors');
+
+// Splitting one video into parts for POST /split-video: cut points are planned by fixed duration, maximum size,
+// explicit timestamps or scene changes, then every part is cut through processClips (stream copy on keyframes)
+
+const MODES = ['duration', 'size', 'points', 'scenes'];
+const MAX_PARTS = parseInt(process.env.SPLIT_MAX_PARTS, 10) || 100;
+const SNAP_WINDOW = 0.25; // duration mode moves a cut back to a keyframe at most this share of the part length
+const SIZE_HEADROOM = 0.97; // size mode leaves room for the container overhead packet sizes don't include
+const SCENE_SCAN_WIDTH = 320; // scene scores are computed on a downscaled copy, which is much faster and barely differs
+const MB = 1024 * 1024;
+
+// Client mistakes that only show once the source is known (answered with 400 instead of 500)
+const REQUEST_ERROR_CODES = ['CUT_OUT_OF_RANGE', 'TOO_MANY_PARTS', 'PART_TOO_LARGE'];
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Validate a /split-video body: { videoUrl, mode, duration | maxSizeMB | points | sceneThreshold, minDuration }
+// Returns { split } or { error }
+function parseSplitRequest(body) {
+  const videoUrl = body.videoUrl !== undefined ? body.videoUrl : body.url;
+  if (typeof videoUrl !== 'string' || !videoUrl.trim()) {
+    return { error: 'videoUrl is required' };
+  }
+  if (!MODES.includes(body.mode)) {
+    return { error: `mode must be one of: ${MODES.join(', ')}` };
+  }
+
+  const split = { videoUrl: videoUrl.trim(), mode: body.mode };
+
+  if (body.mode === 'duration') {
+    if (!isNumberInRange(body.duration, 1, 3600)) {
+      return { error: 'duration must be the part length in seconds, between 1 and 3600' };
+    }
+    split.duration = body.duration;
+  }
+
+  if (body.mode === 'size') {
+    if (!isNumberInRange(body.maxSizeMB, 1, 4096)) {
+      return { error: 'maxSizeMB must be between 1 and 4096' };
+    }
+    split.maxSizeMB = body.maxSizeMB;
+  }
+
+  if (body.mode === 'points') {
+    if (!Array.isArray(body.points) || body.points.length === 0) {
+      return { error: 'points must be a non-empty array of cut timestamps' };
+    }
+    if (body.points.length >= MAX_PARTS) {
+      return { error: `points allows at most ${MAX_PARTS - 1} cuts` };
+    }
+    const points = body.points.map(parseTimestamp);
+    for (let i = 0; i < points.length; i++) {
+      if (!(points[i] > 0)) {
+        return { error: `points[${i}] must be a positive number of seconds or a "HH:MM:SS.mmm" timestamp` };
+      }
+      if (i > 0 && points[i] <= points[i - 1]) {
+        return { error: `points[${i}] must be later than points[${i - 1}]` };
+      }
+    }
+    split.points = points;
+  }
+
+  if (body.mode === 'scenes') {
+    const sceneThreshold = body.sceneThreshold !== undefined ? body.sceneThreshold : 0.4;
+    const minDuration = body.minDuration !== undefined ? body.minDuration : 2;
+    if (!isNumberInRange(sceneThreshold, 0.05, 0.95)) {
+      return { error: 'sceneThreshold must be a scene-change score between 0.05 and 0.95' };
+    }
+    if (!isNumberInRange(minDuration, 0.5, 600)) {
+      return { error: 'minDuration must be between 0.5 and 600 seconds' };
+    }
+    split.sceneThreshold = sceneThreshold;
+    split.minDuration = minDuration;
+  }
+
+  return { split };
+}
+
+// Fixed-length parts; a cut moves back to a keyframe within the snap window so the next part can be stream-copied
+function planByDuration(duration, partLength, keyframes) {
+  const cuts = [];
+  let start = 0;
+  while (duration - start > partLength + 0.001) {
+    const target = start + partLength;
+    const snapped = keyframes.filter(time => time <= target && time >= target - partLength * SNAP_WINDOW && time > start);
+    start = snapped.length > 0 ? snapped[snapped.length - 1] : target;
+    cuts.push(start);
+  }
+  return cuts;
+}
+
+// Parts of at most maxSizeMB: each part runs to the last keyframe that keeps its packets within the budget
+// Every cut is on a keyframe, so all parts are stream copies and their sizes follow the packet sizes
+// index is getKeyframeIndex's { keyframes: [{ time, offset }], totalBytes }
+function planBySize(index, maxSizeMB) {
+  const budget = maxSizeMB * MB * SIZE_HEADROOM;
+  const { keyframes, totalBytes } = index;
+
+  const cuts = [];
+  let startBytes = 0;
+  let startTime = 0;
+  while (totalBytes - startBytes > budget) {
+    let cut = null;
+    for (const keyframe of keyframes) {
+      if (keyframe.time > startTime && keyframe.offset - startBytes <= budget) {
+        cut = keyframe;
+      }
+    }
+    if (!cut) {
+      throw codedError('PART_TOO_LARGE', `The keyframe interval at ${startTime.toFixed(3)}s is larger than ${maxSizeMB}MB, so no part can start there without exceeding maxSizeMB`);
+    }
+    startTime = cut.time;
+    startBytes = cut.offset;
+    cuts.push(startTime);
+  }
+  return cuts;
+}
+
+// Frame times where the scene-change score goes over the threshold, at least minDuration apart and from the ends
+async function planByScenes(filePath, duration, settings, signal) {
+  const changes = [];
+  await runFfmpeg([
+    '-i', filePath,
+    '-map', '0:v:0',
+    '-vf', `scale=${SCENE_SCAN_WIDTH}:-2,select='gt(scene,${settings.sceneThreshold})',showinfo`,
+    '-f', 'null', '-'
+  ], {
+    label: 'Scene detection',
+    inputs: [{ path: filePath, index: 0 }],
+    signal,
+    onLine: (line) => {
+      const match = /Parsed_showinfo.*pts_time:\s*([\d.]+)/.exec(line);
+      if (match) {
+        changes.push(parseFloat(match[1]));
+      }
+    }
+  });
+
+  const cuts = [];
+  for (const time of changes) {
+    const previous = cuts.length > 0 ? cuts[cuts.length - 1] : 0;
+    if (time - previous >= settings.minDuration && duration - time >= settings.minDuration) {
+      cuts.push(time);
+    }
+  }
+  return cuts;
+}
+
+function round3(value) {
+  return Number(value.toFixed(3));
+}
+
+// Plan the cuts for a downloaded source and cut it into parts
+// Returns { sourceDuration, files, createdFiles, parts: [{ index, start, end, duration, method }] }
+async function splitVideo(filePath, split, options = {}) {
+  const { sessionId, outputDir, onProgress, signal } = options;
+  let info;
+  try {
+    info = await probeVideo(filePath);
+  } catch (error) {
+    const probeError = codedError('INVALID_INPUT', 'The video is not a readable video file', 0);
+    // ffprobe's stderr follows the first line of the message
+    const stderr = createLineBuffer();
+    stderr.push(`${error.message.split('\n').slice(1).join('\n')}\n`);
+    probeError.stderr = stderr.lines().slice(-STDERR_TAIL_LINES);
+    throw probeError;
+  }
+  if (!info.video) {
+    throw codedError('INVALID_INPUT', 'The video has no video stream', 0);
+  }
+  const { duration } = info;
+
+  let cuts;
+  if (split.mode === 'points') {
+    const outside = split.points.find(point => point >= duration);
+    if (outside !== undefined) {
+      throw codedError('CUT_OUT_OF_RANGE', `Cut point ${outside}s is not before the end of the video (${round3(duration)}s)`);
+    }
+    cuts = split.points;
+  } else if (split.mode === 'scenes') {
+    console.log(`🎬 Detecting scene changes (threshold ${split.sceneThreshold})...`);
+    cuts = await planByScenes(filePath, duration, split, signal);
+  } else {
+    const index = await getKeyframeIndex(filePath);
+    cuts = split.mode === 'duration'
+      ? planByDuration(duration, split.duration, index.keyframes.map(keyframe => keyframe.time))
+      : planBySize(index, split.maxSizeMB);
+  }
+
+  if (cuts.length + 1 > MAX_PARTS) {
+    throw codedError('TOO_MANY_PARTS', `The split would produce ${cuts.length + 1} parts; at most ${MAX_PARTS} are allowed`);
+  }
+
+  const bounds = [0, ...cuts, duration];
+  const ranges = cuts.length === 0
+    ? [{ start: null, end: null }]
+    : bounds.slice(0, -1).map((start, i) => ({ start: i > 0 ? start : null, end: i < cuts.length ? bounds[i + 1] : null }));
+  console.log(`✂️ Splitting ${round3(duration)}s into ${ranges.length} parts by ${split.mode}...`);
+
+  let result;
+  try {
+    result = await processClips(ranges.map(() => filePath), ranges.map(range => ({ ...range, speed: 1, muteAudio: false })), {
+      sessionId,
+      outputDir,
+      name: 'part',
+      onProgress,
+      signal
+    });
+  } catch (error) {
+    // processClips attributes failures to the part; there is only one input here
+    if (error.inputIndex !== undefined && error.inputIndex !== null) {
+      error.inputIndex = 0;
+    }
+    throw error;
+  }
+
+  return {
+    sourceDuration: round3(duration),
+    files: result.files,
+    createdFiles: result.createdFiles,
+    parts: ranges.map((range, index) => {
+      const start = bounds[index];
+      const end = bounds[index + 1];
+      return { index, start: round3(start), end: round3(end), duration: round3(end - start), method: result.report[index].method };
+    })
+  };
+}
+
+module.exports = {
+  REQUEST_ERROR_CODES,
+  parseSplitRequest,
+  planByDuration,
+  planBySize,
+  splitVideo
+};
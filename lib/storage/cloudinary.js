@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const progressStream = require('progress-stream');
+const { errorMessage } = require('../errors');
+
+// Cloudinary storage backend: size-based upload strategies into the merged-videos folder
+
+const FOLDER = 'merged-videos';
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Context stored with every asset so the cleanup knows when it is due (see storage/index.js)
+function retentionContext(retainUntil) {
+  return retainUntil ? { retain_until: retainUntil } : undefined;
+}
+
+// Enhanced upload function with multiple strategies
+// Resolves with { result, strategy }: the Cloudinary upload result and the strategy that actually uploaded the file
+async function uploadToCloudinary(filePath, publicId, onProgress = null, retainUntil = null) {
+  try {
+    console.log(`🚀 Enhanced upload starting: ${filePath}`);
+    
+    // Check file size for strategy selection
+    const stats = fs.statSync(filePath);
+    const fileSizeMB = stats.size / (1024 * 1024);
+    
+    console.log(`📊 Video file size: ${fileSizeMB.toFixed(2)}MB`);
+    
+    // Strategy 1: Very large files (>200MB) - Use streaming upload with proper async config
+    if (fileSizeMB > 200) {
+      console.log('🌊 Very large file detected, using streaming upload...');
+      return { result: await uploadLargeFileWithStreaming(filePath, publicId, onProgress, retainUntil), strategy: 'streaming' };
+    }
+    
+    // Strategy 2: Large files (100-200MB) - Use upload_large with proper eager_async
+    else if (fileSizeMB > 100) {
+      console.log('📦 Large file detected, using chunked upload with eager_async...');
+      
+      try {
+        const result = await cloudinary.uploader.upload_large(filePath, {
+          resource_type: 'video',
+          public_id: publicId,
+          folder: FOLDER,
+          chunk_size: 6000000, // 6MB chunks
+          eager_async: true,
+          eager: [
+            { 
+              format: 'mp4',
+              video_codec: 'auto',
+              quality: 'auto'
+            }
+          ],
+          // Don't process synchronously - let Cloudinary handle async
+          use_filename: false,
+          unique_filename: true,
+          context: retentionContext(retainUntil)
+        });
+        
+        console.log(`✅ Chunked upload successful: ${result.secure_url}`);
+        return { result, strategy: 'chunked' };
+      } catch (chunkError) {
+        console.log('⚠️ Chunked upload failed, trying streaming fallback...');
+        return { result: await uploadLargeFileWithStreaming(filePath, publicId, onProgress, retainUntil), strategy: 'streaming' };
+      }
+    }
+    
+    // Strategy 3: Medium files (50-100MB) - Use async processing with proper config
+    else if (fileSizeMB > 50) {
+      console.log('🔄 Medium file detected, using async upload...');
+      
+      const result = await cloudinary.uploader.upload(filePath, {
+        resource_type: 'video',
+        public_id: publicId,
+        folder: FOLDER,
+        eager_async: true,
+        eager: [
+          { 
+            format: 'mp4',
+            video_codec: 'auto',
+            quality: 'auto'
+          }
+        ],
+        use_filename: false,
+        unique_filename: true,
+        context: retentionContext(retainUntil)
+      });
+      
+      console.log(`✅ Async upload successful: ${result.secure_url}`);
+      return { result, strategy: 'async' };
+    }
+    
+    // Strategy 4: Small files (<50MB) - Use regular sync upload
+    else {
+      console.log('⚡ Small file detected, using sync upload...');
+      
+      const result = await cloudinary.uploader.upload(filePath, {
+        resource_type: 'video',
+        public_id: publicId,
+        folder: FOLDER,
+        quality: 'auto',
+        format: 'mp4',
+        context: retentionContext(retainUntil)
+      });
+      
+      console.log(`✅ Sync upload successful: ${result.secure_url}`);
+      return { result, strategy: 'sync' };
+    }
+    
+  } catch (error) {
+    // The SDK can reject with plain objects, so the message isn't always a string
+    const message = errorMessage(error);
+    console.error(`❌ Upload strategy failed: ${message}`);
+    
+    // Final fallback: Use raw upload without any transformations
+    if (message.includes('too large') || message.includes('synchronously')) {
+      console.log('🔧 Attempting raw upload without transformations...');
+      
+      try {
+        const result = await cloudinary.uploader.upload(filePath, {
+          resource_type: 'video',
+          public_id: publicId + '_raw',
+          folder: FOLDER,
+          // No eager transformations - just upload the file as-is
+          use_filename: false,
+          unique_filename: true,
+          context: retentionContext(retainUntil)
+        });
+        
+        console.log(`✅ Raw upload successful: ${result.secure_url}`);
+        return { result, strategy: 'raw' };
+      } catch (rawError) {
+        console.error(`❌ Raw upload also failed: ${errorMessage(rawError)}`);
+        
+        // Last resort: Try unsigned upload
+        try {
+          console.log('🔧 Last resort: Trying unsigned upload...');
+          const result = await cloudinary.uploader.unsigned_upload(filePath, 'ml_default', {
+            resource_type: 'video',
+            folder: FOLDER
+          });
+          
+          console.log(`✅ Unsigned upload successful: ${result.secure_url}`);
+          return { result, strategy: 'unsigned' };
+        } catch (unsignedError) {
+          console.error(`❌ All upload methods failed: ${errorMessage(unsignedError)}`);
+          throw new Error(`All upload methods failed. Original: ${message}, Raw: ${errorMessage(rawError)}, Unsigned: ${errorMessage(unsignedError)}`);
+        }
+      }
+    }
+    
+    throw error;
+  }
+}
+
+// Stream-based upload for very large files
+async function uploadLargeFileWithStreaming(filePath, publicId, onProgress = null, retainUntil = null) {
+  return new Promise((resolve, reject) => {
+    console.log('🌊 Using streaming upload for very large file...');
+    
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        resource_type: 'video',
+        public_id: publicId,
+        folder: FOLDER,
+        chunk_size: 6000000, // 6MB chunks
+        // No eager transformations for very large files - just upload raw
+        use_filename: false,
+        unique_filename: true,
+        context: retentionContext(retainUntil)
+      },
+      (error, result) => {
+        if (error) {
+          console.error('Streaming upload error:', error);
+          reject(error);
+        } else {
+          console.log('✅ Streaming upload successful:', result.secure_url);
+          resolve(result);
+        }
+      }
+    );
+
+    // Pipe file to upload stream, reporting bytes sent when a progress callback is given
+    const fileStream = fs.createReadStream(filePath);
+    if (onProgress) {
+      const progress = progressStream({ length: fs.statSync(filePath).size, time: 1000 });
+      progress.on('progress', (p) => onProgress(Math.round(p.percentage)));
+      fileStream.pipe(progress).pipe(uploadStream);
+    } else {
+      fileStream.pipe(uploadStream);
+    }
+    
+    fileStream.on('error', (error) => {
+      console.error('File stream error:', error);
+      reject(error);
+    });
+  });
+}
+
+function isConfigured() {
+  return Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+}
+
+// Non-video assets (options.kind 'image' or 'raw', e.g. subtitle files) are small single-request uploads
+async function uploadAsset(filePath, publicId, kind, retainUntil) {
+  const resourceType = kind === 'image' ? 'image' : 'raw';
+  const result = await cloudinary.uploader.upload(filePath, {
+    resource_type: resourceType,
+    // Raw assets keep their extension so they are served with the right content type
+    public_id: resourceType === 'raw' ? `${publicId}${path.extname(filePath)}` : publicId,
+    folder: FOLDER,
+    context: retentionContext(retainUntil)
+  });
+
+  return {
+    url: result.secure_url,
+    id: result.public_id,
+    strategy: 'sync'
+  };
+}
+
+async function upload(filePath, options = {}) {
+  const { publicId, onProgress, kind = 'video', retainUntil } = options;
+  if (kind !== 'video') {
+    return uploadAsset(filePath, publicId, kind, retainUntil);
+  }
+  
+  const { result, strategy } = await uploadToCloudinary(filePath, publicId, onProgress, retainUntil);
+
+  return {
+    url: result.secure_url,
+    id: result.public_id,
+    strategy
+  };
+}
+
+// Delete an (emptied) folder after its sub-folders, deepest first
+async function deleteFolderTree(folderPath) {
+  const { folders } = await cloudinary.api.sub_folders(folderPath);
+  for (const folder of folders) {
+    await deleteFolderTree(folder.path);
+  }
+  await cloudinary.api.delete_folder(folderPath);
+}
+
+// Folder ids ("merged-videos/<publicId>/", e.g. HLS segments) delete every asset under the prefix, then the folders
+async function removeFolder(prefix) {
+  for (const resourceType of ['raw', 'image', 'video']) {
+    let result;
+    do {
+      result = await cloudinary.api.delete_resources_by_prefix(prefix, { resource_type: resourceType });
+    } while (result.partial);
+  }
+  await deleteFolderTree(prefix.slice(0, -1));
+}
+
+// Ids don't carry their resource type, so try video first, then images and raw files
+async function remove(id) {
+  if (id.endsWith('/')) {
+    return removeFolder(id);
+  }
+  for (const resourceType of ['video', 'image', 'raw']) {
+    const result = await cloudinary.uploader.destroy(id, { resource_type: resourceType });
+    if (result.result !== 'not found') {
+      return;
+    }
+  }
+}
+
+// One page of assets in the merged-videos folder (optionally narrowed by a publicId prefix), newest first
+// Assets in a sub-folder (segmented streams) are reported once as the folder id; the cursor is Cloudinary's next_cursor
+async function list(options = {}) {
+  const { prefix = '', cursor, limit = 100 } = options;
+  let search = cloudinary.search
+    .expression(prefix ? `public_id:${FOLDER}/${prefix}*` : `folder:${FOLDER}/*`)
+    .with_field('context')
+    .sort_by('created_at', 'desc')
+    .max_results(Math.min(limit, 500));
+  if (cursor) {
+    search = search.next_cursor(cursor);
+  }
+  const result = await search.execute();
+
+  const items = new Map(); // id -> { id, createdAt, retainUntil }
+  for (const resource of result.resources) {
+    const parts = resource.public_id.split('/');
+    const id = parts.length > 2 ? `${parts[0]}/${parts[1]}/` : resource.public_id;
+    if (!items.has(id)) {
+      items.set(id, {
+        id,
+        createdAt: resource.created_at,
+        retainUntil: (resource.context && resource.context.retain_until) || null
+      });
+    }
+  }
+
+  return {
+    items: Array.from(items.values()),
+    nextCursor: result.next_cursor || null
+  };
+}
+
+module.exports = {
+  name: 'cloudinary',
+  label: 'Cloudinary CDN',
+  isConfigured,
+  upload,
+  remove,
+  list
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const cloudinaryStorage = require('./cloudinary');
+const s3Storage = require('./s3');
+const localStorage = require('./local');
+const metrics = require('../metrics');
+const { uploadError } = require('../errors');
+
+// Storage adapter registry. Every adapter exposes:
+//   name, label, isConfigured(), upload(filePath, { publicId, onProgress, kind, retainUntil }) -> { url, id, strategy, expiresAt },
+//   remove(id), list({ prefix, cursor, limit }) -> { items: [{ id, createdAt, retainUntil }], nextCursor }
+// retainUntil (ISO date) is stored with the asset (context, object metadata or a sidecar file) and read back by list;
+// assets stored without it fall back to DEFAULT_RETENTION_DAYS after creation
+// expiresAt is set when the URL stops working before the file is deleted (presigned URLs), otherwise null/absent
+// Adapters whose URLs may be presigned also expose isPresigned(); segmented streams are refused while it is true
+// publicIds may contain "/" to store files in a folder; ids ending in "/" name a whole folder,
+// which list reports once and remove deletes with everything in it
+
+const DEFAULT_RETENTION_DAYS = parseFloat(process.env.RETENTION_DAYS) || 30;
+const MAX_RETENTION_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Count uploaded bytes, and the strategy each video upload ended up using
+// Whatever an adapter throws comes out as a coded upload error (see errors.js)
+function instrument(adapter) {
+  return {
+    ...adapter,
+    async upload(filePath, options = {}) {
+      let result;
+      try {
+        result = await adapter.upload(filePath, options);
+      } catch (error) {
+        throw uploadError(adapter.label, error);
+      }
+      metrics.uploadedBytes.inc({ storage: adapter.name }, fs.statSync(filePath).size);
+      if (!options.kind || options.kind === 'video') {
+        metrics.uploadStrategies.inc({ storage: adapter.name, strategy: result.strategy });
+      }
+      return result;
+    }
+  };
+}
+
+const adapters = {
+  cloudinary: instrument(cloudinaryStorage),
+  s3: instrument(s3Storage),
+  local: instrument(localStorage)
+};
+
+const BACKEND_NAMES = Object.keys(adapters);
+
+function getDefaultBackend() {
+  return process.env.STORAGE_BACKEND || 'cloudinary';
+}
+
+// Look up an adapter by name (falls back to the configured default), or null if unknown
+function getStorage(name) {
+  return adapters[name || getDefaultBackend()] || null;
+}
+
+// Upload a folder tree (e.g. HLS segments) keeping its layout, so relative URLs between the files still resolve
+// files are paths relative to dirPath; resolves with { urls: { [relativePath]: url }, id } where id is the folder id
+async function uploadDirectory(backend, dirPath, files, options = {}) {
+  const { publicId, onProgress, retainUntil } = options;
+  const sizes = files.map(file => fs.statSync(path.join(dirPath, file)).size);
+  const totalBytes = sizes.reduce((sum, size) => sum + size, 0) || 1;
+  const urls = {};
+  let uploadedBytes = 0;
+  let folderId = null;
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const extension = path.extname(file);
+    const uploaded = await backend.upload(path.join(dirPath, file), {
+      publicId: `${publicId}/${file.slice(0, file.length - extension.length)}`,
+      kind: 'raw',
+      retainUntil
+    });
+    urls[file] = uploaded.url;
+
+    // Every backend ids the file by its path, so the folder id is the id minus the relative path
+    if (!folderId) {
+      folderId = uploaded.id.slice(0, uploaded.id.length - file.length);
+    }
+
+    uploadedBytes += sizes[i];
+    if (onProgress) onProgress(Math.round((uploadedBytes / totalBytes) * 100));
+  }
+
+  return { urls, id: folderId };
+}
+
+// Validate a request's retentionDays; returns { retentionDays } (the default when absent) or { error }
+function parseRetentionDays(value) {
+  if (value === undefined || value === null) {
+    return { retentionDays: DEFAULT_RETENTION_DAYS };
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > MAX_RETENTION_DAYS) {
+    return { error: `retentionDays must be a number of days between 0 and ${MAX_RETENTION_DAYS}` };
+  }
+  return { retentionDays: value };
+}
+
+// ISO date retentionDays from now
+function retainUntilFor(retentionDays) {
+  return new Date(Date.now() + retentionDays * DAY_MS).toISOString();
+}
+
+// When a listed asset is due for deletion
+function expiryOf(item) {
+  return item.retainUntil || new Date(new Date(item.createdAt).getTime() + DEFAULT_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+// Merge public id an asset id belongs to ("merged-videos/merged_<ms>_<uuid>_poster" -> "merged_<ms>_<uuid>")
+// Split parts group under their split's id ("split_<ms>_<uuid>_part_001" -> "split_<ms>_<uuid>")
+function mergeIdOf(id) {
+  const match = id.match(/(merged|split)_\d+_[0-9a-f-]{36}/);
+  return match ? match[0] : id;
+}
+
+// One page of stored merges, newest first: assets of the same merge (video, thumbnails, subtitles) are grouped
+// A merge whose assets straddle a page boundary shows up on both pages
+async function listMerges(backend, options = {}) {
+  const { items, nextCursor } = await backend.list(options);
+  const now = new Date().toISOString();
+  const merges = new Map();
+
+  for (const item of items) {
+    const publicId = mergeIdOf(item.id);
+    const expiresAt = expiryOf(item);
+    const merge = merges.get(publicId);
+    if (!merge) {
+      merges.set(publicId, { publicId, createdAt: item.createdAt, expiresAt, expired: expiresAt <= now, storageIds: [item.id] });
+      continue;
+    }
+    merge.storageIds.push(item.id);
+    merge.createdAt = item.createdAt < merge.createdAt ? item.createdAt : merge.createdAt;
+    merge.expiresAt = expiresAt > merge.expiresAt ? expiresAt : merge.expiresAt;
+    merge.expired = merge.expiresAt <= now;
+  }
+
+  return { merges: Array.from(merges.values()), nextCursor };
+}
+
+// Every asset id on the backend that is past its retention, paging through the whole listing
+async function listExpired(backend, now = new Date()) {
+  const cutoff = now.toISOString();
+  const expired = new Set();
+  let cursor;
+
+  do {
+    const page = await backend.list({ cursor, limit: 500 });
+    for (const item of page.items) {
+      if (expiryOf(item) <= cutoff) {
+        expired.add(item.id);
+      }
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return [...expired];
+}
+
+// Delete every asset of one merge; resolves with the removed ids (empty when nothing matched)
+async function removeMerge(backend, publicId) {
+  const ids = new Set();
+  let cursor;
+
+  do {
+    const page = await backend.list({ prefix: publicId, cursor, limit: 500 });
+    for (const item of page.items) {
+      ids.add(item.id);
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  for (const id of ids) {
+    await backend.remove(id);
+  }
+  return [...ids];
+}
+
+// Configuration status of every backend, for /health
+function describeBackends() {
+  const status = {};
+  for (const name of BACKEND_NAMES) {
+    status[name] = adapters[name].isConfigured() ? 'configured' : 'not configured';
+  }
+  return status;
+}
+
+module.exports = {
+  BACKEND_NAMES,
+  DEFAULT_RETENTION_DAYS,
+  getDefaultBackend,
+  getStorage,
+  uploadDirectory,
+  parseRetentionDays,
+  retainUntilFor,
+  listMerges,
+  listExpired,
+  removeMerge,
+  describeBackends
+};
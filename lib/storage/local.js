@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../jsonFile');
+
+// Local-disk storage backend; files are served back by GET /files/:id
+
+const STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(DATA_DIR, 'files');
+const FILE_ID_PATTERN = /^[\w.-]+$/;
+// Retention sidecars, one per top-level file or folder; dot-names are never served by /files
+const META_DIR = path.join(STORAGE_DIR, '.meta');
+
+function isConfigured() {
+  return true;
+}
+
+// Base URL the /files route is reachable at
+function getPublicBaseUrl() {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+  }
+  return `http://${process.env.DOMAIN || 'localhost'}:${process.env.PORT || 3000}`;
+}
+
+// Absolute path of a stored file or folder ("a/b.ts", "a/"), or null for ids that could escape the storage directory
+function resolveFilePath(id) {
+  const segments = id.endsWith('/') ? id.slice(0, -1).split('/') : id.split('/');
+  if (segments.some(segment => !FILE_ID_PATTERN.test(segment) || segment.startsWith('.'))) {
+    return null;
+  }
+  return path.join(STORAGE_DIR, ...segments);
+}
+
+function metaPath(id) {
+  return path.join(META_DIR, `${id.split('/')[0]}.json`);
+}
+
+async function upload(filePath, options = {}) {
+  const { publicId, onProgress, retainUntil } = options;
+  const id = `${publicId}${path.extname(filePath)}`;
+  const targetPath = resolveFilePath(id);
+  if (!targetPath) {
+    throw new Error(`Invalid local storage id: ${id}`);
+  }
+
+  await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+
+  console.log(`💾 Storing file locally: ${id}`);
+  await fs.promises.copyFile(filePath, targetPath);
+  if (retainUntil) {
+    await fs.promises.mkdir(META_DIR, { recursive: true });
+    await fs.promises.writeFile(metaPath(id), JSON.stringify({ retainUntil }));
+  }
+  if (onProgress) onProgress(100);
+
+  return {
+    url: `${getPublicBaseUrl()}/files/${id}`,
+    id,
+    strategy: 'local'
+  };
+}
+
+// Folder ids remove the folder with everything in it
+async function remove(id) {
+  const filePath = resolveFilePath(id);
+  if (filePath && fs.existsSync(filePath)) {
+    await fs.promises.rm(filePath, { recursive: id.endsWith('/') });
+  }
+  if (filePath && !id.slice(0, -1).includes('/')) {
+    await fs.promises.rm(metaPath(id), { force: true });
+  }
+}
+
+function readRetainUntil(name) {
+  try {
+    return JSON.parse(fs.readFileSync(metaPath(name), 'utf8')).retainUntil || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Stored files and folders, newest first; the cursor is an offset into that order
+async function list(options = {}) {
+  const { prefix = '', cursor, limit = 100 } = options;
+  if (!fs.existsSync(STORAGE_DIR)) {
+    return { items: [], nextCursor: null };
+  }
+
+  const items = [];
+  for (const name of await fs.promises.readdir(STORAGE_DIR)) {
+    if (name.startsWith('.') || !name.startsWith(prefix)) {
+      continue;
+    }
+    const stats = await fs.promises.stat(path.join(STORAGE_DIR, name));
+    if (stats.isFile() || stats.isDirectory()) {
+      items.push({ id: stats.isDirectory() ? `${name}/` : name, createdAt: stats.mtime.toISOString() });
+    }
+  }
+  items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const offset = parseInt(cursor, 10) || 0;
+  const page = items.slice(offset, offset + limit).map(item => ({ ...item, retainUntil: readRetainUntil(item.id.replace(/\/$/, '')) }));
+  return {
+    items: page,
+    nextCursor: offset + limit < items.length ? String(offset + limit) : null
+  };
+}
+
+module.exports = {
+  name: 'local',
+  label: 'Local disk',
+  STORAGE_DIR,
+  isConfigured,
+  resolveFilePath,
+  upload,
+  remove,
+  list
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const AWS = require('aws-sdk');
+
+// S3-compatible storage backend (AWS S3, MinIO, DigitalOcean Spaces...) using multipart uploads
+
+const PREFIX = 'merged-videos/';
+const PART_SIZE = 10 * 1024 * 1024; // 10MB parts
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60; // S3 SigV4 limit
+
+let client = null;
+
+function isConfigured() {
+  return Boolean(process.env.S3_BUCKET && process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY);
+}
+
+function getClient() {
+  if (!client) {
+    client = new AWS.S3({
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      region: process.env.S3_REGION || 'us-east-1',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      signatureVersion: 'v4'
+    });
+  }
+  return client;
+}
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment'
+};
+
+function isPresigned() {
+  return process.env.S3_PRESIGNED_URLS === 'true';
+}
+
+function presignSeconds() {
+  return Math.min(parseInt(process.env.S3_PRESIGN_EXPIRES, 10) || MAX_PRESIGN_SECONDS, MAX_PRESIGN_SECONDS);
+}
+
+// Public or presigned URL for an object key
+function getObjectUrl(key, location) {
+  if (isPresigned()) {
+    return getClient().getSignedUrl('getObject', {
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Expires: presignSeconds()
+    });
+  }
+
+  if (process.env.S3_PUBLIC_URL) {
+    return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+  }
+
+  return location;
+}
+
+async function upload(filePath, options = {}) {
+  const { publicId, onProgress, retainUntil } = options;
+  const ext = path.extname(filePath);
+  const key = `${PREFIX}${publicId}${ext}`;
+  const fileSizeMB = fs.statSync(filePath).size / (1024 * 1024);
+
+  console.log(`🪣 S3 multipart upload starting: ${key} (${fileSizeMB.toFixed(2)}MB)`);
+
+  const managedUpload = getClient().upload(
+    {
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentType: CONTENT_TYPES[ext] || 'application/octet-stream',
+      Metadata: retainUntil ? { 'retain-until': retainUntil } : {}
+    },
+    { partSize: PART_SIZE, queueSize: 2 }
+  );
+
+  if (onProgress) {
+    managedUpload.on('httpUploadProgress', (progress) => {
+      if (progress.total) {
+        onProgress(Math.round((progress.loaded / progress.total) * 100));
+      }
+    });
+  }
+
+  const result = await managedUpload.promise();
+  console.log(`✅ S3 upload successful: ${result.Location}`);
+
+  // Presigned URLs stop working before the object is deleted, so callers get their expiry
+  return {
+    url: getObjectUrl(key, result.Location),
+    id: key,
+    strategy: 'multipart',
+    expiresAt: isPresigned() ? new Date(Date.now() + presignSeconds() * 1000).toISOString() : null
+  };
+}
+
+// Folder ids ("merged-videos/<publicId>/") delete every object under the prefix
+async function remove(id) {
+  if (!id.endsWith('/')) {
+    await getClient().deleteObject({ Bucket: process.env.S3_BUCKET, Key: id }).promise();
+    return;
+  }
+
+  let continuationToken;
+  do {
+    const page = await getClient().listObjectsV2({
+      Bucket: process.env.S3_BUCKET,
+      Prefix: id,
+      ContinuationToken: continuationToken
+    }).promise();
+
+    const objects = (page.Contents || []).map(object => ({ Key: object.Key }));
+    if (objects.length > 0) {
+      await getClient().deleteObjects({ Bucket: process.env.S3_BUCKET, Delete: { Objects: objects, Quiet: true } }).promise();
+    }
+
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (continuationToken);
+}
+
+// One page of objects under merged-videos/ (optionally narrowed by a publicId prefix), newest first within the page
+// Objects in a sub-folder are reported once as the folder id; the cursor is the S3 continuation token
+// Listings don't carry metadata, so retainUntil is read with a HEAD of one object per item
+async function list(options = {}) {
+  const { prefix = '', cursor, limit = 100 } = options;
+  const page = await getClient().listObjectsV2({
+    Bucket: process.env.S3_BUCKET,
+    Prefix: `${PREFIX}${prefix}`,
+    ContinuationToken: cursor || undefined,
+    MaxKeys: limit
+  }).promise();
+
+  const items = new Map(); // id -> { id, createdAt, key }
+  for (const object of page.Contents || []) {
+    const slash = object.Key.indexOf('/', PREFIX.length);
+    const id = slash === -1 ? object.Key : object.Key.slice(0, slash + 1);
+    const createdAt = object.LastModified.toISOString();
+    const item = items.get(id);
+    if (!item) {
+      items.set(id, { id, createdAt, key: object.Key });
+    } else if (createdAt > item.createdAt) {
+      item.createdAt = createdAt;
+    }
+  }
+
+  const results = [];
+  for (const { id, createdAt, key } of items.values()) {
+    const head = await getClient().headObject({ Bucket: process.env.S3_BUCKET, Key: key }).promise();
+    results.push({ id, createdAt, retainUntil: (head.Metadata && head.Metadata['retain-until']) || null });
+  }
+  results.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    items: results,
+    nextCursor: page.IsTruncated ? page.NextContinuationToken : null
+  };
+}
+
+module.exports = {
+  name: 's3',
+  label: 'S3-compatible object storage',
+  isConfigured,
+  isPresigned,
+  upload,
+  remove,
+  list
+};
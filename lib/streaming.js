@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { probeVideo, runFfmpeg } = require('./media');
+
+// Adaptive-bitrate packaging: encode a rendition ladder and segment it as HLS or DASH
+
+const STREAMING_FORMATS = ['hls', 'dash'];
+const DEFAULT_RENDITIONS = [1080, 720, 480];
+const MIN_RENDITION = 144;
+const MAX_RENDITION = 2160;
+const MAX_RENDITIONS = 5;
+const DEFAULT_SEGMENT_SECONDS = 6;
+const AUDIO_KBPS = 128;
+
+// Entry file written at the root of the segment folder
+const MANIFEST_NAMES = { hls: 'master.m3u8', dash: 'manifest.mpd' };
+
+// Validate the streaming part of the request's output option: "hls", "dash",
+// or { format, renditions, segmentDuration } next to any preset fields
+// Returns { streaming } (null for plain MP4 output) or { error }
+function parseStreamingOption(option) {
+  if (typeof option === 'string') {
+    option = STREAMING_FORMATS.includes(option) ? { format: option } : {};
+  }
+  if (!option || typeof option !== 'object' || option.format === undefined || option.format === 'mp4') {
+    return { streaming: null };
+  }
+
+  if (!STREAMING_FORMATS.includes(option.format)) {
+    return { error: `output.format must be one of: mp4, ${STREAMING_FORMATS.join(', ')}` };
+  }
+
+  const renditions = option.renditions === undefined ? DEFAULT_RENDITIONS : option.renditions;
+  if (!Array.isArray(renditions) || renditions.length === 0 || renditions.length > MAX_RENDITIONS) {
+    return { error: `output.renditions must be an array of 1 to ${MAX_RENDITIONS} heights` };
+  }
+  for (const height of renditions) {
+    if (!Number.isInteger(height) || height % 2 !== 0 || height < MIN_RENDITION || height > MAX_RENDITION) {
+      return { error: `output.renditions entries must be even integers between ${MIN_RENDITION} and ${MAX_RENDITION}` };
+    }
+  }
+
+  const segmentDuration = option.segmentDuration === undefined ? DEFAULT_SEGMENT_SECONDS : option.segmentDuration;
+  if (!(typeof segmentDuration === 'number' && segmentDuration >= 2 && segmentDuration <= 15)) {
+    return { error: 'output.segmentDuration must be a number of seconds between 2 and 15' };
+  }
+
+  return {
+    streaming: {
+      format: option.format,
+      renditions: [...new Set(renditions)].sort((a, b) => b - a),
+      segmentDuration
+    }
+  };
+}
+
+// Frame size and bitrate of each rung; rungs are measured on the short side so portrait video works too
+// Rungs above the source are dropped (the source size stands in when none fit)
+function buildLadder(renditions, source) {
+  const shortSide = Math.min(source.width, source.height);
+  let rungs = renditions.filter(rung => rung <= shortSide);
+  if (rungs.length === 0) {
+    rungs = [shortSide - (shortSide % 2)];
+  }
+
+  return rungs.map(rung => {
+    const scale = rung / shortSide;
+    const width = Math.round((source.width * scale) / 2) * 2;
+    const height = Math.round((source.height * scale) / 2) * 2;
+    // ~5 Mbps at 1080p, scaled by pixel count
+    const videoBitrate = Math.max(400, Math.round((5000 * width * height) / (1920 * 1080)));
+    return { name: `${rung}p`, width, height, videoBitrate };
+  });
+}
+
+function ladderArgs(ladder, segmentDuration) {
+  const split = ladder.map((rung, i) => `[s${i}]`).join('');
+  const scales = ladder.map((rung, i) => `[s${i}]scale=${rung.width}:${rung.height},setsar=1[v${i}]`);
+  const args = ['-filter_complex', [`[0:v]split=${ladder.length}${split}`, ...scales].join(';')];
+
+  const rateArgs = [];
+  ladder.forEach((rung, i) => {
+    rateArgs.push(
+      `-b:v:${i}`, `${rung.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(rung.videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${Math.round(rung.videoBitrate * 1.5)}k`
+    );
+  });
+
+  // Keyframes on every segment boundary keep the renditions switchable
+  const codecArgs = [
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-pix_fmt', 'yuv420p',
+    '-sc_threshold', '0',
+    '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+    ...rateArgs,
+    '-c:a', 'aac',
+    '-b:a', `${AUDIO_KBPS}k`,
+    '-ac', '2'
+  ];
+
+  return { args, codecArgs };
+}
+
+// HLS: one variant playlist per rung under stream_<n>/, each with its own copy of the audio
+function hlsArgs(ladder, hasAudio, outputDir, segmentDuration) {
+  const args = [];
+  ladder.forEach((rung, i) => {
+    args.push('-map', `[v${i}]`);
+    if (hasAudio) {
+      args.push('-map', '0:a:0');
+    }
+    fs.mkdirSync(path.join(outputDir, `stream_${i}`), { recursive: true });
+  });
+
+  const streamMap = ladder.map((rung, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(' ');
+  args.push(
+    '-f', 'hls',
+    '-hls_time', String(segmentDuration),
+    '-hls_playlist_type', 'vod',
+    '-hls_flags', 'independent_segments',
+    '-hls_segment_filename', path.join(outputDir, 'stream_%v', 'segment_%03d.ts'),
+    '-var_stream_map', streamMap,
+    '-y',
+    path.join(outputDir, 'stream_%v', 'playlist.m3u8')
+  );
+  return args;
+}
+
+// Master playlist listing the variant playlists, highest rung first
+// Written here rather than by the muxer so BANDWIDTH is the ladder's peak rate including audio
+function writeHlsMaster(ladder, hasAudio, outputDir) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  ladder.forEach((rung, i) => {
+    const peakKbps = Math.round(rung.videoBitrate * 1.07) + (hasAudio ? AUDIO_KBPS : 0);
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${peakKbps * 1000},RESOLUTION=${rung.width}x${rung.height}`);
+    lines.push(`stream_${i}/playlist.m3u8`);
+  });
+  fs.writeFileSync(path.join(outputDir, MANIFEST_NAMES.hls), `${lines.join('\n')}\n`);
+}
+
+// DASH: video rungs share one adaptation set, the single audio stream gets its own
+function dashArgs(ladder, hasAudio, outputDir, segmentDuration) {
+  const args = [];
+  ladder.forEach((rung, i) => args.push('-map', `[v${i}]`));
+  const videoStreams = ladder.map((rung, i) => i).join(',');
+  let adaptationSets = `id=0,streams=${videoStreams}`;
+  if (hasAudio) {
+    args.push('-map', '0:a:0');
+    adaptationSets += ` id=1,streams=${ladder.length}`;
+  }
+
+  args.push(
+    '-f', 'dash',
+    '-seg_duration', String(segmentDuration),
+    '-use_template', '1',
+    '-use_timeline', '1',
+    '-adaptation_sets', adaptationSets,
+    '-init_seg_name', 'init-$RepresentationID$.m4s',
+    '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+    '-y',
+    path.join(outputDir, MANIFEST_NAMES.dash)
+  );
+  return args;
+}
+
+// Relative paths of every file under dir, with forward slashes
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(path.join(dir, entry.name), relative));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+// Encode the ladder and write the segment tree into outputDir (created if missing)
+// Resolves with { format, manifest, renditions, segmentDuration, files }
+async function packageStream(inputPath, outputDir, streaming, options = {}) {
+  const info = await probeVideo(inputPath);
+  const ladder = buildLadder(streaming.renditions, info.video);
+  const hasAudio = Boolean(info.audio);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  console.log(`📡 Packaging ${streaming.format.toUpperCase()} ladder: ${ladder.map(rung => `${rung.width}x${rung.height}@${rung.videoBitrate}k`).join(', ')}`);
+
+  const { args: filterArgs, codecArgs } = ladderArgs(ladder, streaming.segmentDuration);
+  const muxArgs = streaming.format === 'hls'
+    ? hlsArgs(ladder, hasAudio, outputDir, streaming.segmentDuration)
+    : dashArgs(ladder, hasAudio, outputDir, streaming.segmentDuration);
+
+  await runFfmpeg(['-i', inputPath, ...filterArgs, ...codecArgs, ...muxArgs], {
+    label: `${streaming.format.toUpperCase()} packaging`,
+    totalDuration: info.duration,
+    onProgress: options.onProgress,
+    signal: options.signal
+  });
+  if (streaming.format === 'hls') {
+    writeHlsMaster(ladder, hasAudio, outputDir);
+  }
+
+  return {
+    format: streaming.format,
+    manifest: MANIFEST_NAMES[streaming.format],
+    renditions: ladder.map(rung => ({ ...rung, audioBitrate: hasAudio ? AUDIO_KBPS : 0 })),
+    segmentDuration: streaming.segmentDuration,
+    files: listFiles(outputDir)
+  };
+}
+
+module.exports = {
+  STREAMING_FORMATS,
+  AUDIO_KBPS,
+  parseStreamingOption,
+  buildLadder,
+  packageStream
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg } = require('./media');
+
+// Per-clip SRT/WebVTT captions shifted onto the merged timeline, then burned in, muxed or uploaded
+
+const SUBTITLE_MODES = ['soft', 'burn', 'sidecar'];
+const SUBTITLE_FORMATS = ['vtt', 'srt'];
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+
+// Font family of the bundled fonts/ file used when burning subtitles in
+const BURN_FONT = 'Lato';
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+
+// Validate the request's subtitles option; returns { subtitles } or { error }
+// hasClipSubtitles says whether any clip brought a subtitle file
+function parseSubtitleOptions(option, hasClipSubtitles) {
+  if (option === undefined || option === null) {
+    return { subtitles: hasClipSubtitles ? { mode: 'soft', format: 'vtt', language: 'und', fontSize: 24 } : null };
+  }
+
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return { error: 'subtitles must be an object like { mode, format, language, fontSize }' };
+  }
+  if (!hasClipSubtitles) {
+    return { error: 'subtitles needs at least one videoUrls entry with a subtitles URL' };
+  }
+
+  const mode = option.mode === undefined ? 'soft' : option.mode;
+  if (!SUBTITLE_MODES.includes(mode)) {
+    return { error: `subtitles.mode must be one of: ${SUBTITLE_MODES.join(', ')}` };
+  }
+
+  const format = option.format === undefined ? 'vtt' : option.format;
+  if (!SUBTITLE_FORMATS.includes(format)) {
+    return { error: `subtitles.format must be one of: ${SUBTITLE_FORMATS.join(', ')}` };
+  }
+
+  const language = option.language === undefined ? 'und' : option.language;
+  if (typeof language !== 'string' || !/^[a-z]{3}$/.test(language)) {
+    return { error: 'subtitles.language must be a three-letter ISO 639-2 code like "eng"' };
+  }
+
+  const fontSize = option.fontSize === undefined ? 24 : option.fontSize;
+  if (typeof fontSize !== 'number' || fontSize < 8 || fontSize > 120) {
+    return { error: 'subtitles.fontSize must be a number between 8 and 120' };
+  }
+
+  return { subtitles: { mode, format, language, fontSize } };
+}
+
+// "01:02:03,456", "01:02:03.456" or "02:03.456" to seconds
+function parseCueTime(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(value.trim());
+  if (!match) {
+    return NaN;
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+// Parse SRT or WebVTT text into [{ start, end, text }]; header, NOTE and STYLE blocks are skipped
+function parseSubtitles(content) {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      continue;
+    }
+
+    // VTT cue settings may follow the end time ("00:01.000 --> 00:02.000 align:start")
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const start = parseCueTime(startText);
+    const end = parseCueTime(rest.trim().split(/\s+/)[0]);
+    const text = lines.slice(timingIndex + 1).join('\n').trim();
+
+    if (!isNaN(start) && !isNaN(end) && end > start && text) {
+      cues.push({ start, end, text });
+    }
+  }
+
+  return cues;
+}
+
+// Map cues from a clip's source timeline onto the merged timeline
+// Cues outside the clip's start/end are dropped, the rest are clipped, sped up/slowed down and offset
+function shiftCues(cues, { start, end, speed, offset, duration }) {
+  const clipStart = start || 0;
+  const clipEnd = end === null || end === undefined ? Infinity : end;
+  const shifted = [];
+
+  for (const cue of cues) {
+    const cueStart = Math.max(cue.start, clipStart);
+    const cueEnd = Math.min(cue.end, clipEnd);
+    if (cueEnd <= cueStart) {
+      continue;
+    }
+
+    const mappedStart = offset + (cueStart - clipStart) / speed;
+    const mappedEnd = Math.min(offset + (cueEnd - clipStart) / speed, offset + duration);
+    if (mappedEnd > mappedStart) {
+      shifted.push({ start: mappedStart, end: mappedEnd, text: cue.text });
+    }
+  }
+
+  return shifted;
+}
+
+// Combine per-clip subtitle files into one cue list on the merged timeline
+// durations are the processed clip lengths; each transition overlaps the next clip with the previous one
+function buildCombinedCues(clips, subtitleFiles, durations, transitions) {
+  const cues = [];
+  let offset = 0;
+
+  clips.forEach((clip, i) => {
+    if (i > 0) {
+      const transition = transitions && transitions[i - 1];
+      offset += durations[i - 1] - (transition ? transition.duration : 0);
+    }
+    if (!subtitleFiles[i]) {
+      return;
+    }
+
+    const clipCues = parseSubtitles(fs.readFileSync(subtitleFiles[i], 'utf8'));
+    cues.push(...shiftCues(clipCues, { ...clip, offset, duration: durations[i] }));
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+function formatSubtitles(cues, format) {
+  if (format === 'vtt') {
+    const body = cues.map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}`);
+    return `WEBVTT\n\n${body.join('\n\n')}\n`;
+  }
+
+  const body = cues.map((cue, i) => `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}`);
+  return `${body.join('\n\n')}\n`;
+}
+
+function writeSubtitles(cues, filePath, format) {
+  fs.writeFileSync(filePath, formatSubtitles(cues, format));
+  return filePath;
+}
+
+// subtitles filter expression rendering an SRT file with the bundled font
+function buildBurnFilter(srtPath, options) {
+  return `subtitles=filename='${srtPath}':fontsdir='${FONTS_DIR}':force_style='FontName=${BURN_FONT},FontSize=${options.fontSize}'`;
+}
+
+// Add the subtitles as a soft mov_text track; video and audio are copied
+async function muxSubtitles(videoPath, srtPath, outputPath, options = {}) {
+  console.log('💬 Muxing subtitle track...');
+
+  await runFfmpeg([
+    '-i', videoPath,
+    '-i', srtPath,
+    '-map', '0:v',
+    '-map', '0:a?',
+    '-map', '1:s',
+    '-c:v', 'copy',
+    '-c:a', 'copy',
+    '-c:s', 'mov_text',
+    '-metadata:s:s:0', `language=${options.language || 'und'}`,
+    '-movflags', '+faststart',
+    '-y',
+    outputPath
+  ], {
+    label: 'Subtitles',
+    totalDuration: options.totalDuration,
+    onProgress: options.onProgress,
+    signal: options.signal
+  });
+
+  return outputPath;
+}
+
+module.exports = {
+  SUBTITLE_MODES,
+  MAX_SUBTITLE_BYTES,
+  parseSubtitleOptions,
+  parseSubtitles,
+  shiftCues,
+  buildCombinedCues,
+  formatSubtitles,
+  writeSubtitles,
+  buildBurnFilter,
+  muxSubtitles
+};
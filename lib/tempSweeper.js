@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Removes files and folders left in the temp directory by crashed or killed requests
+
+const TEMP_MAX_AGE_HOURS = parseFloat(process.env.TEMP_MAX_AGE_HOURS) || 6;
+
+// Delete entries of dir not modified for TEMP_MAX_AGE_HOURS, unless isActive(entryPath) says a job still owns them
+// Resolves with { removed, bytes }
+async function sweepTempDir(dir, isActive = () => false) {
+  const cutoff = Date.now() - TEMP_MAX_AGE_HOURS * 60 * 60 * 1000;
+  let removed = 0;
+  let bytes = 0;
+
+  if (!fs.existsSync(dir)) {
+    return { removed, bytes };
+  }
+
+  for (const name of await fs.promises.readdir(dir)) {
+    const entryPath = path.join(dir, name);
+    try {
+      const stats = await fs.promises.stat(entryPath);
+      if (stats.mtimeMs >= cutoff || isActive(entryPath)) {
+        continue;
+      }
+      await fs.promises.rm(entryPath, { recursive: true, force: true });
+      removed++;
+      bytes += stats.isFile() ? stats.size : 0;
+      console.log(`🧹 Swept orphaned temp file: ${name}`);
+    } catch (error) {
+      console.error(`⚠️ Could not sweep ${name}: ${error.message}`);
+    }
+  }
+
+  return { removed, bytes };
+}
+
+module.exports = {
+  TEMP_MAX_AGE_HOURS,
+  sweepTempDir
+};
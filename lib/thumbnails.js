@@ -0,0 +1,271 @@
+const fs = require('fs');
+const { probeVideo, runFfmpeg } = require('./media');
+
+// Poster frame, animated preview and storyboard sprite (with a WebVTT tile index) for the merged video
+
+const PREVIEW_FORMATS = ['webp', 'gif'];
+const MAX_STORYBOARD_TILES = 100;
+const POSTER_SAMPLES = 100; // frames the "best" poster is chosen from
+
+const DEFAULTS = {
+  poster: { at: 'best', width: 1280 },
+  preview: { format: 'webp', start: 0, duration: 3, width: 320, fps: 10 },
+  storyboard: { interval: 5, columns: 5, width: 160 }
+};
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Each output may be true (defaults), false/absent (skipped) or an object of overrides
+function withDefaults(option, name) {
+  if (option === undefined || option === false || option === null) {
+    return { value: null };
+  }
+  if (option === true) {
+    return { value: { ...DEFAULTS[name] } };
+  }
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return { error: `thumbnails.${name} must be true or an options object` };
+  }
+  return { value: { ...DEFAULTS[name], ...option } };
+}
+
+function parsePoster(option) {
+  const { value: poster, error } = withDefaults(option, 'poster');
+  if (error || !poster) {
+    return { error, poster };
+  }
+  if (poster.at !== 'best' && !isNumberInRange(poster.at, 0, Infinity)) {
+    return { error: 'thumbnails.poster.at must be "best" or a timestamp in seconds' };
+  }
+  if (!isNumberInRange(poster.width, 16, 3840)) {
+    return { error: 'thumbnails.poster.width must be between 16 and 3840 pixels' };
+  }
+  return { poster };
+}
+
+function parsePreview(option) {
+  const { value: preview, error } = withDefaults(option, 'preview');
+  if (error || !preview) {
+    return { error, preview };
+  }
+  if (!PREVIEW_FORMATS.includes(preview.format)) {
+    return { error: `thumbnails.preview.format must be one of: ${PREVIEW_FORMATS.join(', ')}` };
+  }
+  if (!isNumberInRange(preview.start, 0, Infinity)) {
+    return { error: 'thumbnails.preview.start must be a timestamp in seconds' };
+  }
+  if (!isNumberInRange(preview.duration, 0.5, 10)) {
+    return { error: 'thumbnails.preview.duration must be between 0.5 and 10 seconds' };
+  }
+  if (!isNumberInRange(preview.width, 16, 1280)) {
+    return { error: 'thumbnails.preview.width must be between 16 and 1280 pixels' };
+  }
+  if (!isNumberInRange(preview.fps, 1, 30)) {
+    return { error: 'thumbnails.preview.fps must be between 1 and 30' };
+  }
+  return { preview };
+}
+
+function parseStoryboard(option) {
+  const { value: storyboard, error } = withDefaults(option, 'storyboard');
+  if (error || !storyboard) {
+    return { error, storyboard };
+  }
+  if (!isNumberInRange(storyboard.interval, 0.5, 600)) {
+    return { error: 'thumbnails.storyboard.interval must be between 0.5 and 600 seconds' };
+  }
+  if (!Number.isInteger(storyboard.columns) || storyboard.columns < 1 || storyboard.columns > 20) {
+    return { error: 'thumbnails.storyboard.columns must be an integer between 1 and 20' };
+  }
+  if (!isNumberInRange(storyboard.width, 16, 640)) {
+    return { error: 'thumbnails.storyboard.width must be between 16 and 640 pixels' };
+  }
+  return { storyboard };
+}
+
+// Validate the request's thumbnails option; true enables all three outputs with defaults
+// Returns { thumbnails } (null when nothing is requested) or { error }
+function parseThumbnailOptions(option) {
+  if (option === undefined || option === null || option === false) {
+    return { thumbnails: null };
+  }
+  if (option === true) {
+    option = { poster: true, preview: true, storyboard: true };
+  }
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return { error: 'thumbnails must be true or { poster, preview, storyboard }' };
+  }
+
+  const { poster, error: posterError } = parsePoster(option.poster);
+  const { preview, error: previewError } = parsePreview(option.preview);
+  const { storyboard, error: storyboardError } = parseStoryboard(option.storyboard);
+  const error = posterError || previewError || storyboardError;
+  if (error) {
+    return { error };
+  }
+
+  if (!poster && !preview && !storyboard) {
+    return { thumbnails: null };
+  }
+  return { thumbnails: { poster, preview, storyboard } };
+}
+
+// Poster JPEG at a timestamp, or the most representative frame picked by the thumbnail filter
+async function createPoster(videoPath, outputPath, poster, info, signal) {
+  const scale = `scale=${Math.min(poster.width, info.video.width)}:-2`;
+  let args;
+
+  if (poster.at === 'best') {
+    // thumbnail keeps the frame closest to the average of its batch; the batch is sampled evenly across the
+    // whole video, so the pick represents all of it rather than the opening seconds
+    const samples = Math.max(1, Math.min(POSTER_SAMPLES, Math.floor(info.duration * (info.video.fps || 25))));
+    args = ['-i', videoPath, '-an', '-vf', `fps=${samples}/${Math.max(info.duration, 0.1).toFixed(3)},thumbnail=${samples},${scale}`, '-frames:v', '1'];
+  } else {
+    const at = Math.min(poster.at, Math.max(0, info.duration - 0.1));
+    args = ['-ss', at.toFixed(3), '-i', videoPath, '-vf', scale, '-frames:v', '1'];
+  }
+
+  await runFfmpeg([...args, '-q:v', '3', '-y', outputPath], { label: 'Poster', signal });
+  return { at: poster.at };
+}
+
+// Short looping animated WebP or GIF
+async function createPreview(videoPath, outputPath, preview, info, signal) {
+  const start = Math.min(preview.start, Math.max(0, info.duration - preview.duration));
+  const duration = Math.min(preview.duration, info.duration);
+  const base = `fps=${preview.fps},scale=${Math.min(preview.width, info.video.width)}:-2:flags=lanczos`;
+
+  const args = ['-ss', start.toFixed(3), '-t', duration.toFixed(3), '-i', videoPath, '-an'];
+  if (preview.format === 'gif') {
+    // A palette generated from the clip keeps GIF colours from banding
+    args.push('-filter_complex', `[0:v]${base},split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-loop', '0');
+  } else {
+    args.push('-vf', base, '-c:v', 'libwebp', '-lossless', '0', '-q:v', '70', '-loop', '0');
+  }
+
+  await runFfmpeg([...args, '-y', outputPath], { label: 'Preview', totalDuration: duration, signal });
+  return { format: preview.format, start, duration };
+}
+
+// Layout of a storyboard sprite: one tile every interval seconds, capped at MAX_STORYBOARD_TILES
+function storyboardLayout(storyboard, info) {
+  const interval = Math.max(storyboard.interval, info.duration / MAX_STORYBOARD_TILES);
+  const tiles = Math.max(1, Math.ceil(info.duration / interval));
+  const columns = Math.min(storyboard.columns, tiles);
+  const tileWidth = Math.round(storyboard.width / 2) * 2;
+  const tileHeight = Math.round((tileWidth * info.video.height) / info.video.width / 2) * 2;
+
+  return { interval, tiles, columns, rows: Math.ceil(tiles / columns), tileWidth, tileHeight };
+}
+
+async function createStoryboardSprite(videoPath, outputPath, layout, signal) {
+  const { interval, columns, rows, tileWidth, tileHeight } = layout;
+  await runFfmpeg([
+    '-i', videoPath,
+    '-an',
+    '-vf', `fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`,
+    '-frames:v', '1',
+    '-q:v', '4',
+    '-y',
+    outputPath
+  ], { label: 'Storyboard', signal });
+}
+
+// WebVTT index mapping each time range to its tile in the sprite (#xywh media fragments)
+function buildStoryboardVtt(layout, duration, spriteUrl) {
+  const format = (seconds) => {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor((ms % 3600000) / 60000))}:${pad(Math.floor((ms % 60000) / 1000))}.${pad(ms % 1000, 3)}`;
+  };
+
+  const cues = [];
+  for (let i = 0; i < layout.tiles; i++) {
+    const start = i * layout.interval;
+    const end = Math.min((i + 1) * layout.interval, duration);
+    const x = (i % layout.columns) * layout.tileWidth;
+    const y = Math.floor(i / layout.columns) * layout.tileHeight;
+    cues.push(`${format(start)} --> ${format(end)}\n${spriteUrl}#xywh=${x},${y},${layout.tileWidth},${layout.tileHeight}`);
+  }
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+// Generate the requested outputs from videoPath; nothing is uploaded yet, so a cancelled merge leaves no assets behind
+// Temporary files are created as `${basePath}_<name>.<ext>` and pushed onto tempFiles for the caller to clean up
+// Resolves with the files for uploadThumbnails
+async function generateThumbnails(videoPath, thumbnails, options) {
+  const { basePath, tempFiles, signal, onProgress = () => {} } = options;
+  const info = await probeVideo(videoPath);
+  const generated = { duration: info.duration };
+  const steps = ['poster', 'preview', 'storyboard'].filter(name => thumbnails[name]);
+  let done = 0;
+  const stepDone = () => onProgress(Math.round((++done / steps.length) * 100));
+
+  if (thumbnails.poster) {
+    const posterPath = `${basePath}_poster.jpg`;
+    tempFiles.push(posterPath);
+    const details = await createPoster(videoPath, posterPath, thumbnails.poster, info, signal);
+    generated.poster = { path: posterPath, details };
+    stepDone();
+  }
+
+  if (thumbnails.preview) {
+    const previewPath = `${basePath}_preview.${thumbnails.preview.format}`;
+    tempFiles.push(previewPath);
+    const details = await createPreview(videoPath, previewPath, thumbnails.preview, info, signal);
+    generated.preview = { path: previewPath, details };
+    stepDone();
+  }
+
+  if (thumbnails.storyboard) {
+    const layout = storyboardLayout(thumbnails.storyboard, info);
+    const spritePath = `${basePath}_storyboard.jpg`;
+    const vttPath = `${basePath}_storyboard.vtt`;
+    tempFiles.push(spritePath, vttPath);
+
+    await createStoryboardSprite(videoPath, spritePath, layout, signal);
+    generated.storyboard = { spritePath, vttPath, layout };
+    stepDone();
+  }
+
+  return generated;
+}
+
+// Upload generateThumbnails' files next to the video and build the response report
+// upload(filePath, suffix, kind) stores a file and resolves with { url, id }
+async function uploadThumbnails(generated, upload) {
+  const report = {};
+
+  for (const name of ['poster', 'preview']) {
+    if (generated[name]) {
+      const uploaded = await upload(generated[name].path, name, 'image');
+      report[name] = { url: uploaded.url, storageId: uploaded.id, ...generated[name].details };
+    }
+  }
+
+  if (generated.storyboard) {
+    const { spritePath, vttPath, layout } = generated.storyboard;
+    const sprite = await upload(spritePath, 'storyboard', 'image');
+    // The index points at the sprite's final URL, so it is written once the sprite is stored
+    fs.writeFileSync(vttPath, buildStoryboardVtt(layout, generated.duration, sprite.url));
+    const vtt = await upload(vttPath, 'storyboard_index', 'raw');
+
+    report.storyboard = {
+      url: vtt.url,
+      spriteUrl: sprite.url,
+      storageIds: [sprite.id, vtt.id],
+      ...layout
+    };
+  }
+
+  return report;
+}
+
+module.exports = {
+  PREVIEW_FORMATS,
+  parseThumbnailOptions,
+  generateThumbnails,
+  uploadThumbnails
+};
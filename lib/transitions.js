@@ -0,0 +1,219 @@
+const { probeVideo, runFfmpeg } = require('./media');
+const { codedError } = require('./errors');
+
+// Clip transitions built as an xfade/acrossfade filtergraph (always re-encodes)
+
+const XFADE_TYPES = [
+  'fade', 'fadeblack', 'fadewhite', 'fadegrays', 'dissolve', 'distance', 'pixelize', 'radial',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+  'circlecrop', 'rectcrop', 'circleclose', 'circleopen',
+  'horzclose', 'horzopen', 'vertclose', 'vertopen',
+  'diagbl', 'diagbr', 'diagtl', 'diagtr',
+  'hlslice', 'hrslice', 'vuslice', 'vdslice',
+  'hblur', 'squeezeh', 'squeezev'
+];
+
+// Friendly names mapped onto xfade transitions
+const TYPE_ALIASES = {
+  crossfade: 'fade',
+  wipe: 'wipeleft',
+  slide: 'slideleft'
+};
+
+const DEFAULT_DURATION = 1;
+const MAX_DURATION = 5;
+
+// Validate one transition spec; "cut" (or null) means a hard cut at that boundary
+function parseTransition(spec, label) {
+  if (spec === null || spec === 'cut' || (spec && spec.type === 'cut')) {
+    return { transition: null };
+  }
+
+  if (typeof spec === 'string') {
+    spec = { type: spec };
+  }
+
+  if (!spec || typeof spec !== 'object' || typeof spec.type !== 'string') {
+    return { error: `${label} must be a transition type or { type, duration }` };
+  }
+
+  const type = TYPE_ALIASES[spec.type] || spec.type;
+  if (!XFADE_TYPES.includes(type)) {
+    return { error: `${label}.type "${spec.type}" is not supported. Use one of: cut, ${Object.keys(TYPE_ALIASES).join(', ')}, ${XFADE_TYPES.join(', ')}` };
+  }
+
+  const duration = spec.duration === undefined ? DEFAULT_DURATION : spec.duration;
+  if (typeof duration !== 'number' || duration <= 0 || duration > MAX_DURATION) {
+    return { error: `${label}.duration must be a number of seconds greater than 0 and at most ${MAX_DURATION}` };
+  }
+
+  return { transition: { type, duration } };
+}
+
+// Expand the request's transitions option into one entry per clip boundary
+// Accepts a single global spec or an array with one spec per boundary; returns { transitions } or { error }
+function parseTransitions(option, clipCount) {
+  const boundaries = Math.max(0, clipCount - 1);
+
+  if (option === undefined || option === null) {
+    return { transitions: null };
+  }
+
+  if (Array.isArray(option)) {
+    if (option.length !== boundaries) {
+      return { error: `transitions array must have ${boundaries} entries (one per clip boundary)` };
+    }
+
+    const transitions = [];
+    for (let i = 0; i < option.length; i++) {
+      const { transition, error } = parseTransition(option[i], `transitions[${i}]`);
+      if (error) {
+        return { error };
+      }
+      transitions.push(transition);
+    }
+    return { transitions: transitions.some(Boolean) ? transitions : null };
+  }
+
+  const { transition, error } = parseTransition(option, 'transitions');
+  if (error) {
+    return { error };
+  }
+  // A single clip has no boundary to apply it to
+  return { transitions: transition && boundaries > 0 ? new Array(boundaries).fill(transition) : null };
+}
+
+// First transition that doesn't fit between the clips it joins (durations are the clips' output lengths in seconds):
+// each must be shorter than both the output so far and the next clip
+// Returns { index, clipIndex, duration, maxDuration } or null
+function findOversizedTransition(durations, transitions) {
+  let length = durations[0];
+
+  for (let i = 1; i < durations.length; i++) {
+    const transition = transitions[i - 1];
+    if (!transition) {
+      length += durations[i];
+      continue;
+    }
+
+    const maxDuration = Math.min(length, durations[i]);
+    if (transition.duration >= maxDuration) {
+      return { index: i - 1, clipIndex: i, duration: transition.duration, maxDuration };
+    }
+    length += durations[i] - transition.duration;
+  }
+  return null;
+}
+
+// Build the filtergraph chaining clips pairwise with xfade/acrossfade (or concat for hard cuts)
+// Offsets come from the running output length: each xfade starts `duration` before the current end
+function buildTransitionFilter(durations, transitions, hasAudio) {
+  // Requests are checked up front (validateClipRanges); clips can still shrink later, e.g. through autoTrim
+  const oversized = findOversizedTransition(durations, transitions);
+  if (oversized) {
+    throw codedError(
+      'TRANSITION_TOO_LONG',
+      `Transition ${oversized.index} (${oversized.duration}s) is longer than the clips it joins (${oversized.maxDuration.toFixed(3)}s)`,
+      oversized.clipIndex
+    );
+  }
+
+  const filters = [];
+
+  for (let i = 0; i < durations.length; i++) {
+    filters.push(`[${i}:v]settb=AVTB,setpts=PTS-STARTPTS[v${i}]`);
+    if (hasAudio) {
+      filters.push(`[${i}:a]asetpts=PTS-STARTPTS[a${i}]`);
+    }
+  }
+
+  let videoLabel = 'v0';
+  let audioLabel = 'a0';
+  let length = durations[0];
+
+  for (let i = 1; i < durations.length; i++) {
+    const transition = transitions[i - 1];
+    const nextVideo = `vx${i}`;
+    const nextAudio = `ax${i}`;
+
+    if (transition) {
+      const offset = length - transition.duration;
+      filters.push(`[${videoLabel}][v${i}]xfade=transition=${transition.type}:duration=${transition.duration}:offset=${offset.toFixed(3)}[${nextVideo}]`);
+      if (hasAudio) {
+        filters.push(`[${audioLabel}][a${i}]acrossfade=d=${transition.duration}:c1=tri:c2=tri[${nextAudio}]`);
+      }
+      length += durations[i] - transition.duration;
+    } else {
+      if (hasAudio) {
+        filters.push(`[${videoLabel}][${audioLabel}][v${i}][a${i}]concat=n=2:v=1:a=1[${nextVideo}][${nextAudio}]`);
+      } else {
+        filters.push(`[${videoLabel}][v${i}]concat=n=2:v=1:a=0[${nextVideo}]`);
+      }
+      length += durations[i];
+    }
+
+    videoLabel = nextVideo;
+    audioLabel = nextAudio;
+  }
+
+  return {
+    filter: filters.join(';'),
+    videoLabel,
+    audioLabel: hasAudio ? audioLabel : null,
+    outputDuration: length
+  };
+}
+
+// Merge normalized clips with transitions; inputs must share resolution, frame rate and audio layout
+async function mergeWithTransitions(inputFiles, outputFile, transitions, options = {}) {
+  console.log(`🎬 Merging ${inputFiles.length} videos with transitions...`);
+
+  const infos = [];
+  for (const file of inputFiles) {
+    infos.push(await probeVideo(file));
+  }
+
+  const hasAudio = infos.every(info => info.audio);
+  const { filter, videoLabel, audioLabel, outputDuration } = buildTransitionFilter(
+    infos.map(info => info.duration),
+    transitions,
+    hasAudio
+  );
+
+  const args = [];
+  inputFiles.forEach(file => args.push('-i', file));
+  args.push('-filter_complex', filter, '-map', `[${videoLabel}]`);
+  if (audioLabel) {
+    args.push('-map', `[${audioLabel}]`, '-c:a', 'aac', '-b:a', '192k');
+  }
+  args.push(
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '18',
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    '-y',
+    outputFile
+  );
+
+  await runFfmpeg(args, {
+    label: 'Transitions',
+    inputs: inputFiles.map((file, index) => ({ path: file, index })),
+    totalDuration: outputDuration,
+    onProgress: options.onProgress,
+    signal: options.signal
+  });
+
+  console.log('Video merging with transitions completed successfully');
+  return { outputDuration };
+}
+
+module.exports = {
+  XFADE_TYPES,
+  parseTransitions,
+  findOversizedTransition,
+  buildTransitionFilter,
+  mergeWithTransitions
+};
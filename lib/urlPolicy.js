@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+
+// SSRF protection for remote inputs: scheme and host lists, private-address rejection
+// (checked on every redirect and again at connect time), and a redirect limit
+
+const ALLOWED_SCHEMES = parseList(process.env.URL_ALLOWED_SCHEMES || 'http,https').map(scheme => scheme.replace(/:$/, ''));
+const ALLOWED_HOSTS = parseList(process.env.URL_ALLOWED_HOSTS);
+const DENIED_HOSTS = parseList(process.env.URL_DENIED_HOSTS);
+const MAX_REDIRECTS = process.env.URL_MAX_REDIRECTS !== undefined ? parseInt(process.env.URL_MAX_REDIRECTS, 10) : 5;
+const ALLOW_PRIVATE = process.env.URL_ALLOW_PRIVATE === 'true';
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function policyError(message) {
+  const error = new Error(message);
+  error.code = 'URL_REJECTED';
+  error.retryable = false;
+  return error;
+}
+
+// "example.com" matches exactly; "*.example.com" matches example.com and any subdomain
+function hostMatches(host, patterns) {
+  return patterns.some(pattern => {
+    if (pattern.startsWith('*.')) {
+      const base = pattern.slice(2);
+      return host === base || host.endsWith(`.${base}`);
+    }
+    return host === pattern;
+  });
+}
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((total, octet) => (total << 8) + parseInt(octet, 10), 0) >>> 0;
+}
+
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].map(([base, bits]) => ({ base: ipv4ToInt(base), mask: bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0 }));
+
+// The eight 16-bit groups of an IPv6 address (a trailing dotted IPv4 part counts as two groups)
+function ipv6Groups(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const value = ipv4ToInt(dotted[1]);
+    text = `${text.slice(0, dotted.index)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+function groupsToIpv4(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+// IPv4 address carried inside an IPv6 one: mapped (::ffff:0:0/96), translated (::ffff:0:0:0/96),
+// compatible (::/96), NAT64 (64:ff9b::/96) and 6to4 (2002::/16); null for any other address
+function embeddedIpv4(groups) {
+  const zeroUntil = (end) => groups.slice(0, end).every(group => group === 0);
+  if (zeroUntil(5) && groups[5] === 0xffff) {
+    return groupsToIpv4(groups[6], groups[7]);
+  }
+  if (zeroUntil(4) && groups[4] === 0xffff && groups[5] === 0) {
+    return groupsToIpv4(groups[6], groups[7]);
+  }
+  if (zeroUntil(6) && (groups[6] !== 0 || groups[7] > 1)) {
+    return groupsToIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return groupsToIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return groupsToIpv4(groups[1], groups[2]);
+  }
+  return null;
+}
+
+// True for loopback, private, link-local, CGNAT, multicast and reserved addresses
+// IPv6 forms that embed an IPv4 address are judged by that address
+function isBlockedAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return BLOCKED_IPV4_RANGES.some(range => ((value & range.mask) >>> 0) === range.base);
+  }
+
+  if (net.isIPv6(address)) {
+    const groups = ipv6Groups(address);
+    const ipv4 = embeddedIpv4(groups);
+    if (ipv4) {
+      return isBlockedAddress(ipv4);
+    }
+    const unspecifiedOrLoopback = groups.slice(0, 7).every(group => group === 0) && groups[7] <= 1;
+    return unspecifiedOrLoopback ||
+      (groups[0] & 0xfe00) === 0xfc00 ||  // fc00::/7 unique local
+      (groups[0] & 0xffc0) === 0xfe80 ||  // fe80::/10 link-local
+      (groups[0] & 0xff00) === 0xff00;    // ff00::/8 multicast
+  }
+
+  return true;
+}
+
+// dns.lookup replacement for the HTTP agents, so the address actually connected to is checked too
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked && !ALLOW_PRIVATE) {
+      return callback(policyError(`${hostname} resolves to a private or reserved address (${blocked})`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const guardedAgents = {
+  'http:': new http.Agent({ lookup: guardedLookup }),
+  'https:': new https.Agent({ lookup: guardedLookup })
+};
+
+// Check a URL against the policy; options.allowedDomains further restricts hosts (e.g. per API key)
+// Throws an error with code URL_REJECTED when the URL is not allowed
+async function assertUrlAllowed(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw policyError('Invalid URL');
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '');
+  if (!ALLOWED_SCHEMES.includes(scheme)) {
+    throw policyError(`Scheme "${scheme}" is not allowed (allowed: ${ALLOWED_SCHEMES.join(', ')})`);
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (hostMatches(host, DENIED_HOSTS)) {
+    throw policyError(`Host ${host} is denied`);
+  }
+  if (ALLOWED_HOSTS.length > 0 && !hostMatches(host, ALLOWED_HOSTS)) {
+    throw policyError(`Host ${host} is not in the allowed host list`);
+  }
+  if (options.allowedDomains && options.allowedDomains.length > 0 && !hostMatches(host, options.allowedDomains.map(d => d.toLowerCase()))) {
+    throw policyError(`Host ${host} is not allowed for this API key`);
+  }
+
+  if (ALLOW_PRIVATE) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    throw policyError(`Host ${host} could not be resolved`);
+  }
+
+  const blocked = addresses.find(isBlockedAddress);
+  if (blocked) {
+    throw policyError(`Host ${host} resolves to a private or reserved address (${blocked})`);
+  }
+}
+
+// fetch() that applies the policy to the URL and to every redirect hop (at most URL_MAX_REDIRECTS)
+// Resolves with the final response; response.finalUrl holds the URL it came from
+async function safeFetch(url, fetchOptions = {}, policyOptions = {}) {
+  let currentUrl = url;
+
+  for (let redirects = 0; ; redirects++) {
+    await assertUrlAllowed(currentUrl, policyOptions);
+
+    const response = await fetch(currentUrl, {
+      ...fetchOptions,
+      redirect: 'manual',
+      agent: (parsedUrl) => guardedAgents[parsedUrl.protocol]
+    });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw policyError(`Too many redirects (more than ${MAX_REDIRECTS})`);
+      }
+      currentUrl = new URL(location, currentUrl).toString();
+      continue;
+    }
+
+    response.finalUrl = currentUrl;
+    return response;
+  }
+}
+
+// Loopback HTTP proxy for ffprobe: it reads remote inputs through proxy.urlFor(url) instead of the URL itself,
+// so every (ranged) request it makes goes through safeFetch and the policy, redirects and DNS checks apply
+// proxy.errorFor(url) holds the policy rejection that made a read fail; close() when done
+async function createProbeProxy(policyOptions = {}) {
+  const targets = new Map();
+  const errors = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = targets.get(req.url.slice(1));
+    if (!url || (req.method !== 'GET' && req.method !== 'HEAD')) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    try {
+      const headers = req.headers.range ? { Range: req.headers.range } : {};
+      const response = await safeFetch(url, { method: req.method, headers, signal: controller.signal }, policyOptions);
+      // safeFetch has followed the redirects it allows; anything left must not send ffprobe elsewhere
+      if (response.status >= 300 && response.status < 400) {
+        res.writeHead(502);
+        return res.end();
+      }
+      const forwarded = {};
+      for (const name of ['content-type', 'content-length', 'content-range', 'accept-ranges']) {
+        if (response.headers.get(name)) {
+          forwarded[name] = response.headers.get(name);
+        }
+      }
+      res.writeHead(response.status, forwarded);
+      response.body.on('error', () => res.destroy());
+      response.body.pipe(res);
+    } catch (error) {
+      if (error.code === 'URL_REJECTED') {
+        errors.set(url, error);
+      }
+      if (!res.headersSent) {
+        res.writeHead(error.code === 'URL_REJECTED' ? 403 : 502);
+      }
+      res.end();
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const { port } = server.address();
+
+  return {
+    urlFor(url) {
+      const token = crypto.randomUUID();
+      targets.set(token, url);
+      return `http://127.0.0.1:${port}/${token}`;
+    },
+    errorFor(url) {
+      return errors.get(url) || null;
+    },
+    close() {
+      server.close();
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    }
+  };
+}
+
+// Check every remote clip URL; returns null or a structured rejection naming the offending index
+async function checkClipUrls(clips, policyOptions = {}) {
+  for (let i = 0; i < clips.length; i++) {
+    if (!clips[i].url) {
+      continue;
+    }
+    try {
+      await assertUrlAllowed(clips[i].url, policyOptions);
+    } catch (error) {
+      return { error: `videoUrls[${i}] rejected: ${error.message}`, code: 'URL_REJECTED', index: i, url: clips[i].url };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  isBlockedAddress,
+  assertUrlAllowed,
+  safeFetch,
+  createProbeProxy,
+  checkClipUrls
+};
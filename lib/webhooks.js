@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const path = require('path');
+const { safeFetch } = require('./urlPolicy');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// Completion webhooks: signed POSTs with exponential-backoff retries and a persisted delivery log
+const DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.json');
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 15000;
+const MAX_DELIVERY_RECORDS = 1000;
+
+const deliveries = new Map();
+const retryTimers = new Map();
+const inFlight = new Set(); // ids of deliveries with an attempt waiting on the receiver
+
+function isConfigured() {
+  return Boolean(process.env.WEBHOOK_SECRET);
+}
+
+// Check that a callback URL is an absolute http(s) URL
+function isValidCallbackUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can also reject replayed deliveries
+function signPayload(timestamp, body) {
+  return crypto
+    .createHmac('sha256', process.env.WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+function saveDeliveries() {
+  try {
+    writeJsonFile(DELIVERIES_FILE, Array.from(deliveries.values()));
+  } catch (error) {
+    console.error(`❌ Failed to save webhook deliveries: ${error.message}`);
+  }
+}
+
+// Drop the oldest settled deliveries once the log grows past MAX_DELIVERY_RECORDS
+function pruneDeliveries() {
+  if (deliveries.size <= MAX_DELIVERY_RECORDS) {
+    return;
+  }
+
+  const settled = Array.from(deliveries.values())
+    .filter(delivery => delivery.status !== 'pending')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  while (deliveries.size > MAX_DELIVERY_RECORDS && settled.length > 0) {
+    deliveries.delete(settled.shift().id);
+  }
+}
+
+function scheduleAttempt(delivery, delayMs) {
+  if (retryTimers.has(delivery.id)) {
+    clearTimeout(retryTimers.get(delivery.id));
+  }
+
+  delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+  const timer = setTimeout(() => {
+    retryTimers.delete(delivery.id);
+    attemptDelivery(delivery.id);
+  }, delayMs);
+  retryTimers.set(delivery.id, timer);
+}
+
+// Send one delivery attempt; non-2xx responses and network errors are retried with backoff
+async function attemptDelivery(deliveryId) {
+  const delivery = deliveries.get(deliveryId);
+  if (!delivery || delivery.status !== 'pending' || inFlight.has(deliveryId)) {
+    return;
+  }
+  inFlight.add(deliveryId);
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+  const startedAt = Date.now();
+
+  try {
+    const response = await safeFetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ffmpeg-video-merger-webhook',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(timestamp, body)}`
+      },
+      body,
+      timeout: TIMEOUT_MS
+    });
+
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  inFlight.delete(deliveryId);
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  delivery.updatedAt = attempt.at;
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+    console.log(`📨 Webhook ${delivery.id} delivered to ${delivery.url}`);
+  } else if (delivery.attempts.length - delivery.attemptOffset >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.error(`❌ Webhook ${delivery.id} failed after ${MAX_ATTEMPTS} attempts: ${attempt.error}`);
+  } else {
+    const delayMs = RETRY_BASE_MS * Math.pow(2, delivery.attempts.length - delivery.attemptOffset - 1);
+    scheduleAttempt(delivery, delayMs);
+    console.log(`⚠️ Webhook ${delivery.id} attempt failed (${attempt.error}), retrying in ${Math.round(delayMs / 1000)}s`);
+  }
+
+  saveDeliveries();
+}
+
+// Queue a webhook delivery for a finished or failed job
+function sendWebhook(url, event, jobId, payload, apiKeyId = null) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: uuidv4(),
+    jobId,
+    apiKeyId,
+    url,
+    event,
+    payload,
+    status: 'pending',
+    attempts: [],
+    attemptOffset: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  deliveries.set(delivery.id, delivery);
+  pruneDeliveries();
+  saveDeliveries();
+  attemptDelivery(delivery.id);
+  return delivery;
+}
+
+// True while an attempt of the delivery is waiting on the receiver
+function isInFlight(deliveryId) {
+  return inFlight.has(deliveryId);
+}
+
+// Re-send a delivery by hand, giving it a fresh round of retries
+// Refused (null) while an attempt is in flight; a scheduled retry is replaced, so the receiver gets one request
+function redeliver(deliveryId) {
+  const delivery = deliveries.get(deliveryId);
+  if (!delivery || inFlight.has(deliveryId)) {
+    return null;
+  }
+
+  if (retryTimers.has(deliveryId)) {
+    clearTimeout(retryTimers.get(deliveryId));
+    retryTimers.delete(deliveryId);
+  }
+  delivery.status = 'pending';
+  delivery.attemptOffset = delivery.attempts.length;
+  delivery.updatedAt = new Date().toISOString();
+  saveDeliveries();
+  attemptDelivery(delivery.id);
+  return delivery;
+}
+
+function getDelivery(deliveryId) {
+  return deliveries.get(deliveryId) || null;
+}
+
+// List deliveries newest first, optionally filtered by job, status and owning API key
+function listDeliveries({ jobId, status, apiKeyId, limit = 50, offset = 0 } = {}) {
+  let results = Array.from(deliveries.values());
+
+  if (apiKeyId) {
+    results = results.filter(delivery => delivery.apiKeyId === apiKeyId);
+  }
+  if (jobId) {
+    results = results.filter(delivery => delivery.jobId === jobId);
+  }
+  if (status) {
+    results = results.filter(delivery => delivery.status === status);
+  }
+
+  results.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: results.length,
+    deliveries: results.slice(offset, offset + limit)
+  };
+}
+
+// Load the delivery log and resume retries that were pending when the process stopped
+function loadDeliveries() {
+  try {
+    const records = readJsonFile(DELIVERIES_FILE, []);
+    let resumed = 0;
+
+    for (const delivery of records) {
+      deliveries.set(delivery.id, delivery);
+      if (delivery.status === 'pending') {
+        const delayMs = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+        scheduleAttempt(delivery, delayMs);
+        resumed++;
+      }
+    }
+
+    console.log(`📨 Loaded ${deliveries.size} webhook deliveries (${resumed} pending)`);
+  } catch (error) {
+    console.error(`❌ Failed to load webhook deliveries: ${error.message}`);
+  }
+}
+
+module.exports = {
+  isConfigured,
+  isValidCallbackUrl,
+  signPayload,
+  sendWebhook,
+  isInFlight,
+  redeliver,
+  getDelivery,
+  listDeliveries,
+  loadDeliveries
+};
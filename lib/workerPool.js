@@ -0,0 +1,94 @@
+// Bounded worker pool: at most MAX_CONCURRENT_JOBS merges run (and spawn ffmpeg) at once,
+// the rest wait in a FIFO queue of at most MAX_QUEUE_DEPTH entries
+
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1);
+const MAX_QUEUE_DEPTH = process.env.MAX_QUEUE_DEPTH !== undefined ? Math.max(0, parseInt(process.env.MAX_QUEUE_DEPTH, 10) || 0) : 20;
+
+const queue = []; // waiting tasks, oldest first
+const running = new Map(); // id -> task
+
+function cancelledError() {
+  const error = new Error('Job cancelled');
+  error.code = 'JOB_CANCELLED';
+  return error;
+}
+
+// True when a new task would have to wait and the queue has no room left
+function isFull() {
+  return running.size >= MAX_CONCURRENT_JOBS && queue.length >= MAX_QUEUE_DEPTH;
+}
+
+// Start queued tasks while there are free slots
+function drain() {
+  while (running.size < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    const task = queue.shift();
+    running.set(task.id, task);
+    console.log(`⚙️ Starting job ${task.id} (${running.size}/${MAX_CONCURRENT_JOBS} running, ${queue.length} queued)`);
+
+    if (task.onStart) {
+      task.onStart();
+    }
+
+    Promise.resolve()
+      .then(() => task.work(task.controller.signal))
+      .then(task.resolve, (error) => task.reject(task.controller.signal.aborted ? cancelledError() : error))
+      .finally(() => {
+        running.delete(task.id);
+        drain();
+      });
+  }
+}
+
+// Queue work(signal) under id; resolves or rejects with its outcome once it has run
+// options.onStart is called when the task leaves the queue; the signal aborts when the task is cancelled
+// Callers check isFull() first - the queue depth is not enforced here
+function submit(id, work, options = {}) {
+  return new Promise((resolve, reject) => {
+    queue.push({ id, work, onStart: options.onStart, controller: new AbortController(), resolve, reject });
+    drain();
+  });
+}
+
+// Cancel a queued or running task: queued tasks are dropped, running ones get their signal aborted
+// Returns 'queued', 'running', or null for unknown ids
+function cancel(id) {
+  const index = queue.findIndex(task => task.id === id);
+  if (index !== -1) {
+    const [task] = queue.splice(index, 1);
+    console.log(`🛑 Removed job ${id} from the queue`);
+    task.reject(cancelledError());
+    return 'queued';
+  }
+
+  const task = running.get(id);
+  if (task) {
+    console.log(`🛑 Cancelling running job ${id}`);
+    task.controller.abort();
+    return 'running';
+  }
+
+  return null;
+}
+
+// 1-based position in the queue, or null when the task is running or unknown
+function queuePosition(id) {
+  const index = queue.findIndex(task => task.id === id);
+  return index === -1 ? null : index + 1;
+}
+
+function getStats() {
+  return {
+    running: running.size,
+    queued: queue.length,
+    maxConcurrentJobs: MAX_CONCURRENT_JOBS,
+    maxQueueDepth: MAX_QUEUE_DEPTH
+  };
+}
+
+module.exports = {
+  isFull,
+  submit,
+  cancel,
+  queuePosition,
+  getStats
+};
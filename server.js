@@ -5,284 +5,330 @@ const fs = require('fs');
 const path = require('path');
 const fetch = require('node-fetch');
 const { v4: uuidv4 } = require('uuid');
-const cloudinary = require('cloudinary').v2;
 const cron = require('node-cron');
 const ffmpeg = require('fluent-ffmpeg');
 const AWS = require('aws-sdk');
 const streamBuffers = require('stream-buffers');
 const progressStream = require('progress-stream');
 const FormData = require('form-data');
+const multer = require('multer');
 require('dotenv').config();
+const logger = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const jobStore = require('./lib/jobStore');
+const webhooks = require('./lib/webhooks');
+const { probeVideo, fitWithin, runFfmpeg } = require('./lib/media');
+const { codedError } = require('./lib/errors');
+const { normalizeClips } = require('./lib/normalize');
+const { parseClipInputs, validateClipRanges, processClips } = require('./lib/clips');
+const { downloadAll, cachedDownload } = require('./lib/download');
+const downloadCache = require('./lib/downloadCache');
+const resultCache = require('./lib/resultCache');
+const urlPolicy = require('./lib/urlPolicy');
+const { parseAutoTrimOption, autoTrimClips } = require('./lib/autoTrim');
+const { parseTransitions, mergeWithTransitions } = require('./lib/transitions');
+const { REQUEST_ERROR_CODES: AUDIO_REQUEST_ERROR_CODES, parseAudioOption, mixBackgroundMusic } = require('./lib/audio');
+const { parseOverlays } = require('./lib/overlays');
+const { PRESETS, parseOutputOption } = require('./lib/presets');
+const { renderVideo } = require('./lib/render');
+const { probeInputs, buildProbeReport } = require('./lib/probe');
+const { REQUEST_ERROR_CODES, parseSplitRequest, splitVideo } = require('./lib/split');
+const { parseStreamingOption, packageStream } = require('./lib/streaming');
+const { REQUEST_ERROR_CODES: COMPRESS_REQUEST_ERROR_CODES, DEFAULT_TARGET_MB, RESIZE_THRESHOLD_MB, FORCE_RESIZE_MB, COMPRESS_FALLBACK_MB, parseCompressionOptions, compressVideoSmart } = require('./lib/compress');
+const subtitleTools = require('./lib/subtitles');
+const { parseThumbnailOptions, generateThumbnails, uploadThumbnails } = require('./lib/thumbnails');
+const storage = require('./lib/storage');
+const localStorage = require('./lib/storage/local');
+const apiKeys = require('./lib/apiKeys');
+const workerPool = require('./lib/workerPool');
+const tempSweeper = require('./lib/tempSweeper');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Every console line becomes a JSON log entry tagged with the request/job it belongs to
+logger.installConsole();
+
+// Gauges read from the worker pool at scrape time
+metrics.gauge('queue_depth', 'Merges waiting in the worker pool queue', { collect: () => workerPool.getStats().queued });
+metrics.gauge('jobs_running', 'Merges currently running in the worker pool', { collect: () => workerPool.getStats().running });
+
+// Request IDs: taken from X-Request-Id when the caller sends a sane one, echoed back, and attached to every log line
+app.use((req, res, next) => {
+  const given = req.get('x-request-id');
+  const requestId = given && /^[\w.-]{1,100}$/.test(given) ? given : uuidv4();
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metrics.requestsTotal.inc({ method: req.method, route, status: res.statusCode });
+  });
+  
+  logger.runWithContext({ requestId }, next);
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
 // Temporary directory for video processing
 const TEMP_DIR = path.join(__dirname, 'temp');
 if (!fs.existsSync(TEMP_DIR)) {
   fs.mkdirSync(TEMP_DIR, { recursive: true });
 }
 
-// Auto-cleanup: Remove videos older than 30 days from Cloudinary
-// Runs daily at 2 AM
-cron.schedule('0 2 * * *', async () => {
-  try {
-    console.log('🗑️ Starting auto-cleanup of 30+ day old videos...');
-    
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    // Search for videos older than 30 days
-    const result = await cloudinary.search
-      .expression('folder:merged-videos AND created_at<' + thirtyDaysAgo.toISOString())
-      .sort_by([['created_at', 'desc']])
-      .max_results(100)
-      .execute();
-    
-    for (const resource of result.resources) {
-      try {
-        await cloudinary.uploader.destroy(resource.public_id, { resource_type: 'video' });
-        console.log(`🗑️ Deleted old video: ${resource.public_id}`);
-      } catch (error) {
-        console.error(`❌ Failed to delete ${resource.public_id}:`, error.message);
-      }
+// Multipart uploads stream straight to TEMP_DIR
+const MAX_UPLOAD_FILE_MB = parseInt(process.env.MAX_UPLOAD_FILE_MB, 10) || 500;
+const MAX_UPLOAD_TOTAL_MB = parseInt(process.env.MAX_UPLOAD_TOTAL_MB, 10) || 1024;
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: TEMP_DIR,
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '') || '.mp4';
+      cb(null, `upload_${uuidv4()}${ext}`);
     }
-    
-    console.log(`🗑️ Cleanup complete. Processed ${result.resources.length} old videos.`);
-  } catch (error) {
-    console.error('❌ Auto-cleanup error:', error.message);
+  }),
+  limits: {
+    fileSize: MAX_UPLOAD_FILE_MB * 1024 * 1024,
+    files: 10
   }
 });
 
-// Helper function to download video from URL
-async function downloadVideo(url, filename) {
-  try {
-    console.log(`Downloading video from: ${url}`);
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+// Enforce the total upload size from Content-Length, then hand off to multer with JSON errors
+function receiveUploads(req, res, next) {
+  const contentLength = parseInt(req.headers['content-length'], 10);
+  if (contentLength > MAX_UPLOAD_TOTAL_MB * 1024 * 1024) {
+    return res.status(413).json({
+      success: false,
+      error: `Total upload size exceeds ${MAX_UPLOAD_TOTAL_MB}MB`
+    });
+  }
+  
+  upload.array('files', 10)(req, res, (error) => {
+    if (error) {
+      cleanupFiles((req.files || []).map(file => file.path));
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? `Each uploaded file must be at most ${MAX_UPLOAD_FILE_MB}MB` : error.message
+      });
     }
     
-    const buffer = await response.buffer();
-    const filepath = path.join(TEMP_DIR, filename);
-    fs.writeFileSync(filepath, buffer);
+    // Chunked requests carry no Content-Length, so check the total again once files are on disk
+    const totalBytes = (req.files || []).reduce((sum, file) => sum + file.size, 0);
+    if (totalBytes > MAX_UPLOAD_TOTAL_MB * 1024 * 1024) {
+      cleanupFiles(req.files.map(file => file.path));
+      return res.status(413).json({
+        success: false,
+        error: `Total upload size exceeds ${MAX_UPLOAD_TOTAL_MB}MB`
+      });
+    }
     
-    console.log(`Video downloaded successfully: ${filename}`);
-    return filepath;
-  } catch (error) {
-    console.error(`Error downloading video: ${error.message}`);
-    throw error;
+    next();
+  });
+}
+
+// Restore persisted job records
+jobStore.loadJobs();
+webhooks.loadDeliveries();
+apiKeys.loadKeys();
+downloadCache.loadIndex();
+resultCache.loadResults();
+
+// True when the request carries the ADMIN_TOKEN in X-Admin-Token
+function isAdminRequest(req) {
+  const token = req.headers['x-admin-token'];
+  if (!process.env.ADMIN_TOKEN || !token) {
+    return false;
   }
+  const expected = Buffer.from(process.env.ADMIN_TOKEN);
+  const given = Buffer.from(String(token));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
 }
 
-// Helper function to merge videos using FFmpeg
-function mergeVideos(inputFiles, outputFile) {
-  return new Promise((resolve, reject) => {
-    console.log(`Merging ${inputFiles.length} videos...`);
-    
-    // Create input list file for FFmpeg
-    const listFile = path.join(TEMP_DIR, `input_list_${uuidv4()}.txt`);
-    const listContent = inputFiles.map(file => `file '${file}'`).join('\n');
-    fs.writeFileSync(listFile, listContent);
-    
-    // FFmpeg command to concatenate videos with quality preservation
-    const ffmpegArgs = [
-      '-f', 'concat',
-      '-safe', '0',
-      '-i', listFile,
-      '-c', 'copy', // Copy streams without re-encoding (preserves quality)
-      '-avoid_negative_ts', 'make_zero',
-      '-fflags', '+genpts',
-      '-y', // Overwrite output file
-      outputFile
-    ];
-    
-    console.log(`Running FFmpeg with args: ${ffmpegArgs.join(' ')}`);
-    
-    const ffmpeg = spawn('ffmpeg', ffmpegArgs);
-    
-    ffmpeg.stdout.on('data', (data) => {
-      console.log(`FFmpeg stdout: ${data}`);
+// API key authentication and per-key rate limiting
+// Keys come from X-API-Key or "Authorization: Bearer <key>"; the admin token bypasses key checks
+function authenticate(req, res, next) {
+  req.apiKey = null;
+  
+  if (isAdminRequest(req)) {
+    return next();
+  }
+  
+  const authHeader = req.headers.authorization || '';
+  const rawKey = req.headers['x-api-key'] || (authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null);
+  
+  if (!rawKey) {
+    if (!apiKeys.isRequired()) {
+      return next();
+    }
+    return res.status(401).json({
+      success: false,
+      error: 'API key required',
+      message: 'Send your API key in the X-API-Key header'
     });
-    
-    ffmpeg.stderr.on('data', (data) => {
-      console.log(`FFmpeg stderr: ${data}`);
+  }
+  
+  const record = apiKeys.findKey(rawKey);
+  if (!record) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
     });
-    
-    ffmpeg.on('close', (code) => {
-      // Clean up list file
-      fs.unlinkSync(listFile);
-      
-      if (code === 0) {
-        console.log('Video merging completed successfully');
-        resolve();
-      } else {
-        console.error(`FFmpeg process exited with code ${code}`);
-        reject(new Error(`FFmpeg failed with exit code ${code}`));
-      }
+  }
+  
+  const rate = apiKeys.checkRateLimit(record);
+  if (!rate.allowed) {
+    res.set('Retry-After', String(rate.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: `Rate limit of ${record.limits.requestsPerMinute} requests per minute exceeded`,
+      retryAfter: rate.retryAfter
     });
-    
-    ffmpeg.on('error', (error) => {
-      console.error(`FFmpeg error: ${error.message}`);
-      reject(error);
+  }
+  
+  req.apiKey = record;
+  next();
+}
+
+// Requests made with an API key only see that key's jobs and deliveries
+function ownerScope(req) {
+  return req.apiKey ? req.apiKey.id : undefined;
+}
+
+function canAccess(req, record) {
+  return !req.apiKey || record.apiKeyId === req.apiKey.id;
+}
+
+// Admin routes require ADMIN_TOKEN
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(500).json({
+      success: false,
+      error: 'ADMIN_TOKEN configuration missing'
     });
-  });
+  }
+  
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin token required',
+      message: 'Send the admin token in the X-Admin-Token header'
+    });
+  }
+  
+  next();
 }
 
-// Helper function to upload video to Cloudinary
-// Enhanced upload function with multiple strategies
-async function uploadToCloudinary(filePath, publicId) {
-  try {
-    console.log(`🚀 Enhanced upload starting: ${filePath}`);
-    
-    // Check file size for strategy selection
-    const stats = fs.statSync(filePath);
-    const fileSizeMB = stats.size / (1024 * 1024);
-    
-    console.log(`📊 Video file size: ${fileSizeMB.toFixed(2)}MB`);
-    
-    // Strategy 1: Very large files (>200MB) - Use streaming upload with proper async config
-    if (fileSizeMB > 200) {
-      console.log('🌊 Very large file detected, using streaming upload...');
-      return await uploadLargeFileWithStreaming(filePath, publicId);
-    }
-    
-    // Strategy 2: Large files (100-200MB) - Use upload_large with proper eager_async
-    else if (fileSizeMB > 100) {
-      console.log('📦 Large file detected, using chunked upload with eager_async...');
-      
-      try {
-        const result = await cloudinary.uploader.upload_large(filePath, {
-          resource_type: 'video',
-          public_id: publicId,
-          folder: 'merged-videos',
-          chunk_size: 6000000, // 6MB chunks
-          eager_async: true,
-          eager: [
-            { 
-              format: 'mp4',
-              video_codec: 'auto',
-              quality: 'auto'
-            }
-          ],
-          // Don't process synchronously - let Cloudinary handle async
-          use_filename: false,
-          unique_filename: true,
-          expiration: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60)
-        });
-        
-        console.log(`✅ Chunked upload successful: ${result.secure_url}`);
-        return result.secure_url;
-      } catch (chunkError) {
-        console.log('⚠️ Chunked upload failed, trying streaming fallback...');
-        return await uploadLargeFileWithStreaming(filePath, publicId);
-      }
-    }
-    
-    // Strategy 3: Medium files (50-100MB) - Use async processing with proper config
-    else if (fileSizeMB > 50) {
-      console.log('🔄 Medium file detected, using async upload...');
-      
-      const result = await cloudinary.uploader.upload(filePath, {
-        resource_type: 'video',
-        public_id: publicId,
-        folder: 'merged-videos',
-        eager_async: true,
-        eager: [
-          { 
-            format: 'mp4',
-            video_codec: 'auto',
-            quality: 'auto'
-          }
-        ],
-        use_filename: false,
-        unique_filename: true,
-        expiration: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60)
-      });
-      
-      console.log(`✅ Async upload successful: ${result.secure_url}`);
-      return result.secure_url;
-    }
-    
-    // Strategy 4: Small files (<50MB) - Use regular sync upload
-    else {
-      console.log('⚡ Small file detected, using sync upload...');
-      
-      const result = await cloudinary.uploader.upload(filePath, {
-        resource_type: 'video',
-        public_id: publicId,
-        folder: 'merged-videos',
-        quality: 'auto',
-        format: 'mp4',
-        expiration: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60)
-      });
-      
-      console.log(`✅ Sync upload successful: ${result.secure_url}`);
-      return result.secure_url;
+// Retention cleanup: remove assets past their retention (per-request retentionDays, stored with the asset)
+// from every configured storage backend, paging through the full listing. Runs daily at 2 AM
+async function runRetentionCleanup() {
+  console.log('🗑️ Starting retention cleanup of expired videos...');
+  const summary = {};
+  
+  for (const name of storage.BACKEND_NAMES) {
+    const backend = storage.getStorage(name);
+    if (!backend.isConfigured()) {
+      continue;
     }
     
-  } catch (error) {
-    console.error(`❌ Upload strategy failed: ${error.message}`);
-    
-    // Final fallback: Use raw upload without any transformations
-    if (error.message.includes('too large') || error.message.includes('synchronously')) {
-      console.log('🔧 Attempting raw upload without transformations...');
+    try {
+      const expiredIds = await storage.listExpired(backend);
+      let deleted = 0;
       
-      try {
-        const result = await cloudinary.uploader.upload(filePath, {
-          resource_type: 'video',
-          public_id: publicId + '_raw',
-          folder: 'merged-videos',
-          // No eager transformations - just upload the file as-is
-          use_filename: false,
-          unique_filename: true,
-          expiration: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60)
-        });
-        
-        console.log(`✅ Raw upload successful: ${result.secure_url}`);
-        return result.secure_url;
-      } catch (rawError) {
-        console.error(`❌ Raw upload also failed: ${rawError.message}`);
-        
-        // Last resort: Try unsigned upload
+      for (const id of expiredIds) {
         try {
-          console.log('🔧 Last resort: Trying unsigned upload...');
-          const result = await cloudinary.uploader.unsigned_upload(filePath, 'ml_default', {
-            resource_type: 'video',
-            folder: 'merged-videos'
-          });
-          
-          console.log(`✅ Unsigned upload successful: ${result.secure_url}`);
-          return result.secure_url;
-        } catch (unsignedError) {
-          console.error(`❌ All upload methods failed: ${unsignedError.message}`);
-          throw new Error(`All upload methods failed. Original: ${error.message}, Raw: ${rawError.message}, Unsigned: ${unsignedError.message}`);
+          await backend.remove(id);
+          resultCache.forgetStorageId(name, id);
+          deleted++;
+          console.log(`🗑️ Deleted expired video from ${name}: ${id}`);
+        } catch (error) {
+          console.error(`❌ Failed to delete ${id} from ${name}:`, error.message);
         }
       }
+      
+      summary[name] = { expired: expiredIds.length, deleted };
+      console.log(`🗑️ Cleanup complete for ${name}. Deleted ${deleted} of ${expiredIds.length} expired assets.`);
+    } catch (error) {
+      summary[name] = { error: error.message };
+      console.error(`❌ Auto-cleanup error (${name}):`, error.message);
     }
-    
-    throw error;
+  }
+  
+  return summary;
+}
+
+cron.schedule('0 2 * * *', runRetentionCleanup);
+
+// Merges waiting or running in the worker pool, by session ID; their temp files are off limits to the sweeper
+const activeMerges = new Map();
+
+// True when a temp path belongs to an active merge: named after its session, or one of its uploaded clips
+function isActiveTempFile(filePath) {
+  const name = path.basename(filePath);
+  for (const [sessionId, mergeRequest] of activeMerges) {
+    if (name.includes(sessionId) || mergeRequest.clips.some(clip => clip.filePath === filePath)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Temp sweeper: hourly, remove temp files older than TEMP_MAX_AGE_HOURS that no active merge owns
+cron.schedule('30 * * * *', async () => {
+  const { removed, bytes } = await tempSweeper.sweepTempDir(TEMP_DIR, isActiveTempFile);
+  if (removed > 0) {
+    console.log(`🧹 Temp sweep removed ${removed} orphaned entries (${(bytes / 1024 / 1024).toFixed(2)}MB)`);
+  }
+});
+
+// Helper function to merge videos using FFmpeg
+// options.totalDuration (seconds) enables percent progress via options.onProgress; aborting options.signal kills it
+// Failures name the clip they come from (inputFiles are in clip order)
+async function mergeVideos(inputFiles, outputFile, options = {}) {
+  const { totalDuration, onProgress, signal } = options;
+  console.log(`Merging ${inputFiles.length} videos...`);
+  
+  // Create input list file for FFmpeg
+  const listFile = path.join(TEMP_DIR, `input_list_${uuidv4()}.txt`);
+  const listContent = inputFiles.map(file => `file '${file}'`).join('\n');
+  fs.writeFileSync(listFile, listContent);
+  
+  // FFmpeg command to concatenate videos with quality preservation
+  const ffmpegArgs = [
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', listFile,
+    '-c', 'copy', // Copy streams without re-encoding (preserves quality)
+    '-avoid_negative_ts', 'make_zero',
+    '-fflags', '+genpts',
+    '-y', // Overwrite output file
+    outputFile
+  ];
+  
+  try {
+    await runFfmpeg(ffmpegArgs, {
+      totalDuration,
+      onProgress,
+      signal,
+      inputs: inputFiles.map((file, index) => ({ path: file, index }))
+    });
+    console.log('Video merging completed successfully');
+  } finally {
+    // Clean up list file
+    fs.rmSync(listFile, { force: true });
   }
 }
 
-// Helper function to clean up temporary files
+// Helper function to clean up temporary files (and folders, e.g. HLS segment trees)
 function cleanupFiles(files) {
   files.forEach(file => {
     try {
       if (fs.existsSync(file)) {
-        fs.unlinkSync(file);
+        fs.rmSync(file, { recursive: true });
         console.log(`Cleaned up: ${file}`);
       }
     } catch (error) {
@@ -291,62 +337,19 @@ function cleanupFiles(files) {
   });
 }
 
-// Smart video compression function using fluent-ffmpeg
-function compressVideoSmart(inputPath, outputPath, targetSizeMB = 90) {
-  return new Promise((resolve, reject) => {
-    console.log(`🎞️ Smart compression: targeting ${targetSizeMB}MB`);
-    
-    // Get video info first
-    ffmpeg.ffprobe(inputPath, (err, metadata) => {
-      if (err) {
-        console.error('FFprobe error:', err);
-        return reject(err);
-      }
-      
-      const duration = metadata.format.duration;
-      const currentSizeMB = metadata.format.size / (1024 * 1024);
-      
-      // Calculate optimal bitrate
-      const targetBitrate = Math.floor((targetSizeMB * 8 * 1024) / duration * 0.95); // 95% of target for safety
-      
-      console.log(`📊 Video duration: ${duration}s, Current: ${currentSizeMB.toFixed(2)}MB, Target bitrate: ${targetBitrate}k`);
-      
-      ffmpeg(inputPath)
-        .videoCodec('libx264')
-        .audioCodec('aac')
-        .videoBitrate(`${targetBitrate}k`)
-        .audioBitrate('128k')
-        .addOptions([
-          '-preset fast',
-          '-crf 23',
-          '-profile:v baseline',
-          '-level 3.0',
-          '-pix_fmt yuv420p',
-          '-movflags +faststart'
-        ])
-        .on('start', (commandLine) => {
-          console.log('🎬 Compression started:', commandLine);
-        })
-        .on('progress', (progress) => {
-          if (progress.percent) {
-            console.log(`🎞️ Compression progress: ${Math.round(progress.percent)}%`);
-          }
-        })
-        .on('end', () => {
-          console.log('✅ Video compression completed successfully');
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error('❌ Compression error:', err);
-          reject(err);
-        })
-        .save(outputPath);
-    });
-  });
+// Every temp file and folder of a merge session (all of them carry the session id in their name)
+function sessionTempFiles(sessionId) {
+  if (!fs.existsSync(TEMP_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(TEMP_DIR)
+    .filter(name => name.includes(sessionId))
+    .map(name => path.join(TEMP_DIR, name));
 }
 
 // Quality-preserving smart resize function - only reduces resolution, keeps quality
-function resizeVideoSmart(inputPath, outputPath, maxWidth = 1280, maxHeight = 720) {
+// Aborting signal (job cancellation) kills the encode
+function resizeVideoSmart(inputPath, outputPath, maxWidth = 1280, maxHeight = 720, onProgress = null, signal = null) {
   return new Promise((resolve, reject) => {
     console.log(`📐 Smart resize: targeting max ${maxWidth}x${maxHeight} while preserving quality`);
     
@@ -365,24 +368,7 @@ function resizeVideoSmart(inputPath, outputPath, maxWidth = 1280, maxHeight = 72
       console.log(`📊 Current resolution: ${currentWidth}x${currentHeight}, Size: ${currentSizeMB.toFixed(2)}MB`);
       
       // Calculate new dimensions while maintaining aspect ratio
-      let newWidth = currentWidth;
-      let newHeight = currentHeight;
-      
-      if (currentWidth > maxWidth || currentHeight > maxHeight) {
-        const aspectRatio = currentWidth / currentHeight;
-        
-        if (currentWidth > currentHeight) {
-          newWidth = maxWidth;
-          newHeight = Math.round(maxWidth / aspectRatio);
-        } else {
-          newHeight = maxHeight;
-          newWidth = Math.round(maxHeight * aspectRatio);
-        }
-        
-        // Ensure dimensions are even (required for h264)
-        newWidth = newWidth % 2 === 0 ? newWidth : newWidth - 1;
-        newHeight = newHeight % 2 === 0 ? newHeight : newHeight - 1;
-      }
+      const { width: newWidth, height: newHeight } = fitWithin(currentWidth, currentHeight, maxWidth, maxHeight);
       
       console.log(`📐 New resolution: ${newWidth}x${newHeight}`);
       
@@ -394,7 +380,8 @@ function resizeVideoSmart(inputPath, outputPath, maxWidth = 1280, maxHeight = 72
         return;
       }
       
-      ffmpeg(inputPath)
+      let started = false;
+      const command = ffmpeg(inputPath)
         .videoCodec('libx264')
         .audioCodec('aac')
         .size(`${newWidth}x${newHeight}`)
@@ -403,65 +390,44 @@ function resizeVideoSmart(inputPath, outputPath, maxWidth = 1280, maxHeight = 72
           '-crf 18',           // High quality (lower = better)
           '-profile:v high',   // High profile for better compression
           '-level 4.0',
+          '-map 0:v:0',
+          '-map 0:a?',
           '-pix_fmt yuv420p',
           '-movflags +faststart',
           '-avoid_negative_ts make_zero'
         ])
         .on('start', (commandLine) => {
+          started = true;
+          metrics.activeFfmpeg.inc();
           console.log('📐 Resize started:', commandLine);
         })
         .on('progress', (progress) => {
           if (progress.percent) {
             console.log(`📐 Resize progress: ${Math.round(progress.percent)}%`);
+            if (onProgress) onProgress(Math.min(100, Math.round(progress.percent)));
           }
         })
         .on('end', () => {
+          metrics.activeFfmpeg.dec();
           console.log('✅ Video resize completed successfully');
           resolve();
         })
         .on('error', (err) => {
+          // Errors before 'start' (e.g. spawn failures) never had a process counted
+          if (started) {
+            metrics.activeFfmpeg.dec();
+          }
           console.error('❌ Resize error:', err);
           reject(err);
-        })
-        .save(outputPath);
-    });
-  });
-}
-
-// Stream-based upload for very large files
-async function uploadLargeFileWithStreaming(filePath, publicId) {
-  return new Promise((resolve, reject) => {
-    console.log('🌊 Using streaming upload for very large file...');
-    
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        resource_type: 'video',
-        public_id: publicId,
-        folder: 'merged-videos',
-        chunk_size: 6000000, // 6MB chunks
-        // No eager transformations for very large files - just upload raw
-        use_filename: false,
-        unique_filename: true,
-        expiration: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60)
-      },
-      (error, result) => {
-        if (error) {
-          console.error('Streaming upload error:', error);
-          reject(error);
-        } else {
-          console.log('✅ Streaming upload successful:', result.secure_url);
-          resolve(result.secure_url);
+        });
+      
+      if (signal) {
+        if (signal.aborted) {
+          return reject(signal.reason);
         }
+        signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
       }
-    );
-
-    // Pipe file to upload stream
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(uploadStream);
-    
-    fileStream.on('error', (error) => {
-      console.error('File stream error:', error);
-      reject(error);
+      command.save(outputPath);
     });
   });
 }
@@ -476,92 +442,397 @@ app.get('/health', (req, res) => {
     version: '2.4.0',
     time: new Date().toISOString(),
     cloudinary: process.env.CLOUDINARY_CLOUD_NAME ? 'configured' : 'not configured',
-    autoCleanup: 'enabled (30 days)',
+    storage: {
+      default: storage.getDefaultBackend(),
+      backends: storage.describeBackends()
+    },
+    workers: workerPool.getStats(),
+    cache: {
+      downloads: downloadCache.getStats(),
+      results: resultCache.getStats()
+    },
+    autoCleanup: `enabled (default ${storage.DEFAULT_RETENTION_DAYS} days, per-request retentionDays)`,
+    tempSweep: `files older than ${tempSweeper.TEMP_MAX_AGE_HOURS} hours`,
     qualityPreservation: 'enhanced (smart resize + raw upload)',
     largeFileHandling: 'enhanced (resize > compression > raw upload)',
     uploadStrategies: ['sync (<50MB)', 'async (50-100MB)', 'chunked (100-200MB)', 'streaming (>200MB)', 'raw fallback']
   });
 });
 
+// Prometheus metrics; when METRICS_TOKEN is set, scrapers must send it as a bearer token
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Metrics token required',
+      message: 'Send METRICS_TOKEN as Authorization: Bearer <token>'
+    });
+  }
+  
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
 // API info endpoint
 app.get('/', (req, res) => {
   res.json({
     service: 'FFmpeg Video Merger API',
     version: '2.2.0',
-    description: 'Merge videos and upload to Cloudinary with auto-cleanup and large file support',
+    description: 'Merge videos and upload to Cloudinary, S3 or local disk with auto-cleanup and large file support',
     features: [
       'Video merging with quality preservation',
-      'Cloudinary CDN hosting',
-      'Auto-cleanup after 30 days',
+      'Direct file uploads (multipart) mixed with URLs',
+      'Per-clip trimming, speed and muting',
+      'Automatic trimming of black frames and silence at clip edges',
+      'Automatic normalization of mixed-codec/mixed-resolution clips',
+      'Input probing with a stream-copy compatibility report and output size estimate',
+      'Splitting a video into parts by duration, size, cut points or scene changes',
+      'Transitions between clips (xfade/acrossfade)',
+      'Background music with fades, looping and ducking under speech',
+      'Logo/watermark and text overlays',
+      'Output presets for YouTube, Reels/TikTok and Instagram aspect ratios',
+      'HLS/DASH adaptive streaming with a 1080/720/480 bitrate ladder',
+      'Per-clip SRT/WebVTT subtitles merged onto the final timeline',
+      'Poster frame, animated preview and storyboard sprite thumbnails',
+      'Cloudinary CDN, S3-compatible or local disk storage',
+      `Auto-cleanup after ${storage.DEFAULT_RETENTION_DAYS} days, or per-request retentionDays`,
       'Large file async processing (>100MB)',
+      'Bounded worker pool with a FIFO queue and job cancellation',
+      'Download cache for input clips and a result cache for repeated requests',
+      'Signed completion webhooks with retries',
+      'Structured JSON logs with request IDs and Prometheus metrics',
+      'API keys with per-key rate limits and monthly quotas',
       'n8n integration ready'
     ],
     endpoints: {
       health: 'GET /health',
-      merge: 'POST /merge-videos'
+      metrics: 'GET /metrics (Prometheus text format)',
+      merge: 'POST /merge-videos',
+      mergeUpload: 'POST /merge-videos/upload (multipart: files, inputs, options)',
+      probe: 'POST /probe (same body as /merge-videos; analyzes inputs and predicts the merge without running it)',
+      split: 'POST /split-video ({ videoUrl, mode: duration|size|points|scenes, duration, maxSizeMB, points, sceneThreshold, minDuration, storage, retentionDays })',
+      jobs: 'GET /jobs',
+      jobStatus: 'GET /jobs/:id',
+      cancelJob: 'DELETE /jobs/:id',
+      webhookDeliveries: 'GET /webhooks/deliveries',
+      redeliverWebhook: 'POST /webhooks/deliveries/:id/redeliver',
+      files: 'GET /files/:id (local storage backend; nested paths for stream segments)',
+      createApiKey: 'POST /admin/api-keys (X-Admin-Token)',
+      listApiKeys: 'GET /admin/api-keys (X-Admin-Token)',
+      revokeApiKey: 'DELETE /admin/api-keys/:id (X-Admin-Token)',
+      listStoredMerges: 'GET /admin/merges?storage=&cursor=&limit= (X-Admin-Token)',
+      deleteStoredMerge: 'DELETE /admin/merges/:publicId?storage= (X-Admin-Token)'
     },
+    authentication: apiKeys.isRequired() ? 'required - send X-API-Key or Authorization: Bearer <key>' : 'optional',
     usage: {
       endpoint: '/merge-videos',
       method: 'POST',
       body: {
-        videoUrls: ['array of video URLs to merge']
+        videoUrls: ['array of video URLs, or { url, start, end, speed, muteAudio, subtitles } clip objects, to merge in order'],
+        autoTrim: 'optional true or { black, silence, minDuration, blackThreshold, silenceThreshold } - cut black frames and silence off clip edges',
+        async: 'optional boolean - return a job ID immediately and poll GET /jobs/:id',
+        transitions: 'optional { type, duration } for every boundary, or an array with one entry (or "cut") per boundary',
+        audio: 'optional { url, mode: mix|replace|keep, volume, fadeIn, fadeOut, loop, duck } background music',
+        targetSizeMB: 'optional number - two-pass compress the result to at most this size',
+        minVideoBitrate: 'optional quality floor in kbps for targetSizeMB (default 300)',
+        output: `optional preset name (${Object.keys(PRESETS).join(', ')}), "hls", "dash", or { preset, width, height, fit: contain|cover|pad, padColor, fps, format: mp4|hls|dash, renditions, segmentDuration }`,
+        subtitles: 'optional { mode: soft|burn|sidecar, format: vtt|srt, language, fontSize } for clips with a subtitles URL',
+        thumbnails: 'optional true or { poster: { at: seconds|"best", width }, preview: { format: webp|gif, start, duration, width, fps }, storyboard: { interval, columns, width } }',
+        overlays: 'optional array of { type: "image", url, position, scale, opacity, start, end } or { type: "text", text, font, fontSize, color, box, position, start, end }',
+        storage: `optional storage backend: ${storage.BACKEND_NAMES.join(', ')}`,
+        retentionDays: `optional number of days to keep the output before the cleanup deletes it (default ${storage.DEFAULT_RETENTION_DAYS})`,
+        noCache: 'optional boolean - skip the download and result caches and merge from fresh downloads',
+        callbackUrl: 'optional URL - receives a signed POST with the result when the merge finishes or fails'
       }
     },
-    storage: 'Cloudinary CDN',
+    storage: storage.getStorage() ? storage.getStorage().label : 'not configured',
     domain: process.env.DOMAIN || 'videomerger.duckdns.org'
   });
 });
 
-// Main video merge endpoint
-app.post('/merge-videos', async (req, res) => {
-  console.log('\n--- New merge request ---');
-  console.log('Request body:', JSON.stringify(req.body, null, 2));
-  
-  const { videoUrls } = req.body;
+// Validate a merge request body, returning an error message or null
+function validateMergeRequest(body) {
+  const { videoUrls } = body;
   
-  // Validation
   if (!videoUrls || !Array.isArray(videoUrls) || videoUrls.length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'videoUrls array is required and must contain at least one URL'
-    });
+    return 'videoUrls array is required and must contain at least one URL';
   }
   
   if (videoUrls.length > 10) {
-    return res.status(400).json({
-      success: false,
-      error: 'Maximum 10 videos allowed per merge request'
-    });
+    return 'Maximum 10 videos allowed per merge request';
   }
   
-  // Check Cloudinary configuration
-  if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-    return res.status(500).json({
-      success: false,
-      error: 'Cloudinary configuration missing'
-    });
+  if (body.storage !== undefined && !storage.BACKEND_NAMES.includes(body.storage)) {
+    return `storage must be one of: ${storage.BACKEND_NAMES.join(', ')}`;
   }
   
-  const sessionId = uuidv4();
+  if (body.callbackUrl !== undefined && body.callbackUrl !== null && !webhooks.isValidCallbackUrl(body.callbackUrl)) {
+    return 'callbackUrl must be an absolute http(s) URL';
+  }
+  
+  if (body.noCache !== undefined && typeof body.noCache !== 'boolean') {
+    return 'noCache must be a boolean';
+  }
+  
+  return null;
+}
+
+// Parse the validated request body into the options the merge pipeline uses
+// Returns { mergeRequest } or { error }
+function buildMergeRequest(body, uploadedFiles = [], apiKey = null) {
+  const { clips, error: clipError } = parseClipInputs(body.videoUrls, uploadedFiles);
+  if (clipError) {
+    return { error: clipError };
+  }
+  
+  const { transitions, error: transitionError } = parseTransitions(body.transitions, clips.length);
+  if (transitionError) {
+    return { error: transitionError };
+  }
+  
+  const { audio, error: audioError } = parseAudioOption(body.audio);
+  if (audioError) {
+    return { error: audioError };
+  }
+  
+  const { overlays, error: overlayError } = parseOverlays(body.overlays);
+  if (overlayError) {
+    return { error: overlayError };
+  }
+  
+  const { compression, error: compressionError } = parseCompressionOptions(body);
+  if (compressionError) {
+    return { error: compressionError };
+  }
+  
+  const { output, error: outputError } = parseOutputOption(body.output);
+  if (outputError) {
+    return { error: outputError };
+  }
+  
+  const { streaming, error: streamingError } = parseStreamingOption(body.output);
+  if (streamingError) {
+    return { error: streamingError };
+  }
+  if (streaming && compression.targetSizeMB) {
+    return { error: 'targetSizeMB applies to MP4 output and cannot be combined with HLS/DASH streaming' };
+  }
+  // Playlists reference segments by relative path, which only works when every object has a plain public URL
+  const backend = storage.getStorage(body.storage);
+  if (streaming && backend.isPresigned && backend.isPresigned()) {
+    return { error: 'HLS/DASH streaming needs public object URLs: S3 storage has S3_PRESIGNED_URLS=true, and its playlists would point at unsigned segment URLs' };
+  }
+  
+  const { subtitles, error: subtitleError } = subtitleTools.parseSubtitleOptions(
+    body.subtitles,
+    clips.some(clip => clip.subtitles)
+  );
+  if (subtitleError) {
+    return { error: subtitleError };
+  }
+  // Segmented streams can't carry the mov_text track, so clip subtitles default to a sidecar file there
+  if (streaming && subtitles && subtitles.mode === 'soft') {
+    if (body.subtitles !== undefined) {
+      return { error: 'subtitles.mode "soft" is not available with HLS/DASH streaming; use "burn" or "sidecar"' };
+    }
+    subtitles.mode = 'sidecar';
+  }
+  
+  const { thumbnails, error: thumbnailError } = parseThumbnailOptions(body.thumbnails);
+  if (thumbnailError) {
+    return { error: thumbnailError };
+  }
+  
+  const { autoTrim, error: autoTrimError } = parseAutoTrimOption(body.autoTrim);
+  if (autoTrimError) {
+    return { error: autoTrimError };
+  }
+  
+  const { retentionDays, error: retentionError } = storage.parseRetentionDays(body.retentionDays);
+  if (retentionError) {
+    return { error: retentionError };
+  }
+  
+  const mergeRequest = {
+    clips,
+    autoTrim,
+    transitions,
+    audio,
+    overlays,
+    subtitles,
+    thumbnails,
+    output,
+    streaming,
+    compression,
+    storage: backend.name,
+    retentionDays,
+    apiKeyId: apiKey ? apiKey.id : null,
+    urlPolicy: { allowedDomains: apiKey ? apiKey.allowedDomains : [] },
+    callbackUrl: body.callbackUrl || null,
+    noCache: body.noCache === true
+  };
+  mergeRequest.resultKey = resultCache.requestKey(mergeRequest);
+  
+  return { mergeRequest };
+}
+
+// Full merge pipeline: download, trim, normalize, merge, resize/compress, upload
+// mergeRequest is built by buildMergeRequest; reportProgress(stage, percent, details) is called as the pipeline advances
+// Aborting signal (job cancellation) kills the running ffmpeg or download and fails the merge
+async function processMerge(sessionId, mergeRequest, reportProgress = () => {}, signal = null) {
+  const { clips, autoTrim, transitions, audio, overlays, subtitles, thumbnails, output, streaming, compression } = mergeRequest;
+  const backend = storage.getStorage(mergeRequest.storage);
   const downloadedFiles = [];
   
   try {
-    // Download all videos
-    console.log(`Downloading ${videoUrls.length} videos...`);
-    for (let i = 0; i < videoUrls.length; i++) {
-      const filename = `${sessionId}_video_${i + 1}.mp4`;
-      const filePath = await downloadVideo(videoUrls[i], filename);
-      downloadedFiles.push(filePath);
+    // Download all remote videos in parallel, streaming to disk; uploaded clips are already local
+    const inputFiles = clips.map((clip, i) => clip.filePath || path.join(TEMP_DIR, `${sessionId}_video_${i + 1}.mp4`));
+    const remoteIndexes = clips.map((clip, i) => i).filter(i => !clips[i].filePath);
+    downloadedFiles.push(...inputFiles); // Add to cleanup list, including any partial downloads
+    
+    const downloads = clips.map((clip, index) => ({
+      index,
+      bytes: 0,
+      total: 0,
+      percent: clip.filePath ? 100 : 0
+    }));
+    
+    console.log(`Downloading ${remoteIndexes.length} videos...`);
+    reportProgress('downloading', 0, { downloads });
+    const cacheOutcomes = await downloadAll(
+      remoteIndexes.map(i => ({ url: clips[i].url, filepath: inputFiles[i], inputIndex: i })),
+      {
+        policy: mergeRequest.urlPolicy,
+        signal,
+        cache: true,
+        noCache: mergeRequest.noCache,
+        onProgress: (n, bytes, total) => {
+          const entry = downloads[remoteIndexes[n]];
+          const percent = total ? Math.round((bytes / total) * 100) : 0;
+          entry.bytes = bytes;
+          entry.total = total;
+          if (percent !== entry.percent) {
+            entry.percent = percent;
+            const overall = Math.round(downloads.reduce((sum, d) => sum + d.percent, 0) / downloads.length);
+            reportProgress('downloading', overall, { downloads });
+          }
+        }
+      }
+    );
+    downloads.forEach(entry => { entry.percent = 100; });
+    const inputCache = clips.map(clip => (clip.filePath ? 'upload' : null));
+    remoteIndexes.forEach((clipIndex, n) => { inputCache[clipIndex] = cacheOutcomes[n]; });
+    
+    // Per-clip subtitle files
+    const subtitleFiles = clips.map((clip, i) => clip.subtitles ? path.join(TEMP_DIR, `${sessionId}_subtitles_${i + 1}`) : null);
+    downloadedFiles.push(...subtitleFiles.filter(Boolean)); // Add to cleanup list
+    await downloadAll(
+      clips.filter(clip => clip.subtitles).map(clip => ({ url: clip.subtitles, filepath: subtitleFiles[clips.indexOf(clip)], inputIndex: clips.indexOf(clip) })),
+      { policy: mergeRequest.urlPolicy, maxBytes: subtitleTools.MAX_SUBTITLE_BYTES, signal }
+    );
+    reportProgress('downloading', 100, { downloads });
+    
+    // Apply per-clip in/out points, speed and muting
+    reportProgress('trimming', 0);
+    const clipResult = await processClips(inputFiles, clips, {
+      sessionId,
+      outputDir: TEMP_DIR,
+      onProgress: (percent) => reportProgress('trimming', percent),
+      signal
+    });
+    downloadedFiles.push(...clipResult.createdFiles); // Add to cleanup list
+    
+    // Cut black frames and silence off the clip edges
+    let autoTrimResult = null;
+    if (autoTrim) {
+      reportProgress('autotrimming', 0);
+      autoTrimResult = await autoTrimClips(clipResult.files, autoTrim, {
+        sessionId,
+        outputDir: TEMP_DIR,
+        onProgress: (percent) => reportProgress('autotrimming', percent),
+        signal
+      });
+      downloadedFiles.push(...autoTrimResult.createdFiles); // Add to cleanup list
     }
     
     // Merge videos
     const outputFilename = `merged_${sessionId}.mp4`;
-    const outputPath = path.join(TEMP_DIR, outputFilename);
+    let outputPath = path.join(TEMP_DIR, outputFilename);
+    downloadedFiles.push(outputPath); // Add to cleanup list so failed merges don't leave it behind
     
-    await mergeVideos(downloadedFiles, outputPath);
+    // Probe every clip and re-encode only those that would break a stream-copy concat
+    reportProgress('normalizing', 0);
+    const normalization = await normalizeClips(autoTrimResult ? autoTrimResult.files : clipResult.files, {
+      sessionId,
+      outputDir: TEMP_DIR,
+      onProgress: (percent) => reportProgress('normalizing', percent),
+      signal
+    });
+    downloadedFiles.push(...normalization.createdFiles); // Add to cleanup list
     
-    // Calculate initial file size
-    const outputStats = fs.statSync(outputPath);
+    // Total input duration drives merge progress
+    const totalDuration = normalization.infos.reduce((sum, info) => sum + info.duration, 0);
+    
+    // Transitions need a filtergraph re-encode; otherwise the concat demuxer copies streams
+    reportProgress('merging', 0);
+    let outputDuration = totalDuration;
+    if (transitions) {
+      ({ outputDuration } = await mergeWithTransitions(normalization.files, outputPath, transitions, {
+        onProgress: (percent) => reportProgress('merging', percent),
+        signal
+      }));
+    } else {
+      await mergeVideos(normalization.files, outputPath, {
+        totalDuration,
+        onProgress: (percent) => reportProgress('merging', percent),
+        signal
+      });
+    }
+    
+    // Shift each clip's cues by its offset in the merged timeline into one subtitle file
+    let subtitleReport = null;
+    let mergedSubtitlesPath = null;
+    if (subtitles) {
+      // Dead air cut from a clip's start moves its cues earlier (in source time, so scaled by the clip's speed)
+      const subtitleClips = clips.map((clip, i) => {
+        const removed = autoTrimResult ? autoTrimResult.report.clips[i].removedStart : 0;
+        return removed > 0 ? { ...clip, start: (clip.start || 0) + removed * clip.speed } : clip;
+      });
+      const cues = subtitleTools.buildCombinedCues(
+        subtitleClips,
+        subtitleFiles,
+        normalization.infos.map(info => info.duration),
+        transitions
+      );
+      const format = subtitles.mode === 'sidecar' ? subtitles.format : 'srt';
+      mergedSubtitlesPath = path.join(TEMP_DIR, `subtitles_${sessionId}.${format}`);
+      subtitleTools.writeSubtitles(cues, mergedSubtitlesPath, format);
+      downloadedFiles.push(mergedSubtitlesPath); // Add to cleanup list
+      subtitleReport = { mode: subtitles.mode, format, cues: cues.length, url: null };
+      console.log(`💬 Combined ${cues.length} subtitle cues`);
+    }
+    const burnFilter = subtitles && subtitles.mode === 'burn'
+      ? subtitleTools.buildBurnFilter(mergedSubtitlesPath, subtitles)
+      : null;
+    
+    // Lay the background music bed over the merged video
+    let audioReport = null;
+    if (audio) {
+      reportProgress('mixing', 0);
+      const musicPath = path.join(TEMP_DIR, `${sessionId}_music`);
+      const mixedPath = path.join(TEMP_DIR, `mixed_${sessionId}.mp4`);
+      downloadedFiles.push(musicPath, outputPath); // Add to cleanup list
+      
+      await cachedDownload(audio.url, musicPath, { policy: mergeRequest.urlPolicy, signal, noCache: mergeRequest.noCache });
+      audioReport = await mixBackgroundMusic(outputPath, musicPath, mixedPath, audio, {
+        onProgress: (percent) => reportProgress('mixing', percent),
+        signal
+      });
+      outputPath = mixedPath;
+    }
+    
+    // Calculate initial file size
+    const outputStats = fs.statSync(outputPath);
     const initialFileSizeMB = outputStats.size / 1024 / 1024;
     
     console.log(`📊 Merged video size: ${initialFileSizeMB.toFixed(2)}MB`);
@@ -570,14 +841,73 @@ app.post('/merge-videos', async (req, res) => {
     let finalFileSizeMB = initialFileSizeMB;
     let processingApplied = false;
     let processingType = 'none';
+    let compressionReport = null;
     
-    // For files >95MB, try quality-preserving resize first
-    if (initialFileSizeMB > 95) {
-      console.log(`📦 Large file detected (${initialFileSizeMB.toFixed(2)}MB), attempting quality-preserving resize...`);
+    // Two-pass target-size compression of inputPath; the result becomes the final output
+    const compressTo = async (inputPath, targetSizeMB) => {
+      const compressedPath = path.join(TEMP_DIR, `compressed_${sessionId}.mp4`);
+      downloadedFiles.push(compressedPath); // Add to cleanup list
+      reportProgress('compressing', 0);
+      compressionReport = await compressVideoSmart(inputPath, compressedPath, {
+        targetSizeMB,
+        minVideoBitrate: compression.minVideoBitrate,
+        onProgress: (percent) => reportProgress('compressing', percent),
+        signal
+      });
+      
+      finalOutputPath = compressedPath;
+      finalFileSizeMB = fs.statSync(compressedPath).size / 1024 / 1024;
+      processingApplied = true;
+      processingType = 'compressed';
+      console.log(`🎞️ Compression complete: ${finalFileSizeMB.toFixed(2)}MB`);
+    };
+    
+    // Render pass for output presets, overlays and burned-in subtitles (always re-encodes)
+    // Without a preset, the size-triggered resize of large files happens in the same encode
+    let renderReport = null;
+    if (output || overlays || burnFilter) {
+      const imageOverlays = (overlays || []).filter(overlay => overlay.type === 'image');
+      const imagePaths = imageOverlays.map((overlay, i) => path.join(TEMP_DIR, `${sessionId}_overlay_${i + 1}`));
+      const renderedPath = path.join(TEMP_DIR, `rendered_${sessionId}.mp4`);
+      downloadedFiles.push(...imagePaths, renderedPath); // Add to cleanup list
+      
+      reportProgress('rendering', 0);
+      await downloadAll(
+        imageOverlays.map((overlay, i) => ({ url: overlay.url, filepath: imagePaths[i] })),
+        { policy: mergeRequest.urlPolicy, signal }
+      );
+      
+      const foldResize = !output && !streaming && initialFileSizeMB > RESIZE_THRESHOLD_MB;
+      renderReport = await renderVideo(outputPath, renderedPath, {
+        output,
+        overlays: overlays || [],
+        imagePaths,
+        burnFilter,
+        maxWidth: foldResize ? 1280 : null,
+        maxHeight: foldResize ? 720 : null,
+        onProgress: (percent) => reportProgress('rendering', percent),
+        signal
+      });
+      
+      finalOutputPath = renderedPath;
+      finalFileSizeMB = fs.statSync(renderedPath).size / 1024 / 1024;
+      processingApplied = true;
+      processingType = renderReport.resized ? 'resized' : 'rendered';
+      console.log(`🖼️ Render complete: ${finalFileSizeMB.toFixed(2)}MB`);
+    }
+    
+    // Size fallback: files still over RESIZE_THRESHOLD_MB get the quality-preserving 1280x720 resize
+    // Segmented streams skip it - no single uploaded file gets near the size limits - and so do output
+    // presets, whose frame size was asked for (targetSizeMB still caps them)
+    const resizeInputPath = finalOutputPath;
+    const resizeInputMB = finalFileSizeMB;
+    if (!streaming && !output && resizeInputMB > RESIZE_THRESHOLD_MB && !(renderReport && renderReport.resized)) {
+      console.log(`📦 Large file detected (${resizeInputMB.toFixed(2)}MB), attempting quality-preserving resize...`);
       
       try {
         const resizedPath = path.join(TEMP_DIR, `resized_${sessionId}.mp4`);
-        await resizeVideoSmart(outputPath, resizedPath, 1280, 720);
+        reportProgress('resizing', 0);
+        await resizeVideoSmart(resizeInputPath, resizedPath, 1280, 720, (percent) => reportProgress('resizing', percent), signal);
         
         // Check if resize was successful and reduced size
         if (fs.existsSync(resizedPath)) {
@@ -587,7 +917,7 @@ app.post('/merge-videos', async (req, res) => {
           console.log(`� Resize complete: ${resizedSizeMB.toFixed(2)}MB`);
           
           // Use resized version if it's smaller or if original is very large
-          if (resizedSizeMB < initialFileSizeMB || initialFileSizeMB > 150) {
+          if (resizedSizeMB < resizeInputMB || resizeInputMB > FORCE_RESIZE_MB) {
             finalOutputPath = resizedPath;
             finalFileSizeMB = resizedSizeMB;
             processingApplied = true;
@@ -601,87 +931,1182 @@ app.post('/merge-videos', async (req, res) => {
           }
         }
       } catch (resizeError) {
+        if (signal && signal.aborted) {
+          throw resizeError;
+        }
         console.error('⚠️ Resize failed, will try compression as fallback:', resizeError.message);
         
         // Only if resize fails AND file is still very large, try compression
-        if (initialFileSizeMB > 120) {
+        if (resizeInputMB > COMPRESS_FALLBACK_MB) {
           try {
             console.log(`🎞️ Fallback: Trying compression for very large file...`);
-            const compressedPath = path.join(TEMP_DIR, `compressed_${sessionId}.mp4`);
-            await compressVideoSmart(outputPath, compressedPath, 90);
-            
-            if (fs.existsSync(compressedPath)) {
-              const compressedStats = fs.statSync(compressedPath);
-              const compressedSizeMB = compressedStats.size / 1024 / 1024;
-              
-              console.log(`🎞️ Compression complete: ${compressedSizeMB.toFixed(2)}MB`);
-              
-              finalOutputPath = compressedPath;
-              finalFileSizeMB = compressedSizeMB;
-              processingApplied = true;
-              processingType = 'compressed';
-              downloadedFiles.push(compressedPath);
-            }
+            await compressTo(resizeInputPath, compression.targetSizeMB || DEFAULT_TARGET_MB);
           } catch (compressionError) {
+            if (signal && signal.aborted) {
+              throw compressionError;
+            }
             console.error('⚠️ Compression also failed, using original file:', compressionError.message);
           }
         }
       }
     }
     
+    // Requested target size: compress whatever is still over it (a quality-floor miss fails the merge)
+    if (compression.targetSizeMB && finalFileSizeMB > compression.targetSizeMB && processingType !== 'compressed') {
+      console.log(`🎯 ${finalFileSizeMB.toFixed(2)}MB is over the requested ${compression.targetSizeMB}MB target`);
+      await compressTo(finalOutputPath, compression.targetSizeMB);
+    }
+    
+    // A requested target is a hard cap: a result still over it after every attempt fails the merge
+    if (compression.targetSizeMB && compressionReport && !compressionReport.withinTarget) {
+      const attempts = compressionReport.attempts;
+      const error = codedError('TARGET_SIZE_NOT_MET', `Compression ended at ${attempts[attempts.length - 1].sizeMB}MB after ${attempts.length} attempts, over the requested ${compression.targetSizeMB}MB`);
+      error.stage = 'compressing';
+      throw error;
+    }
+    
+    // Soft subtitles go in last: the resize/compress encodes only keep video and audio
+    if (subtitles && subtitles.mode === 'soft') {
+      const subtitledPath = path.join(TEMP_DIR, `subtitled_${sessionId}.mp4`);
+      downloadedFiles.push(subtitledPath); // Add to cleanup list
+      reportProgress('subtitling', 0);
+      await subtitleTools.muxSubtitles(finalOutputPath, mergedSubtitlesPath, subtitledPath, {
+        language: subtitles.language,
+        totalDuration: outputDuration,
+        onProgress: (percent) => reportProgress('subtitling', percent),
+        signal
+      });
+      finalOutputPath = subtitledPath;
+      finalFileSizeMB = fs.statSync(subtitledPath).size / 1024 / 1024;
+    }
+    
     const finalSize = `${finalFileSizeMB.toFixed(2)}MB`;
+    const fileSizeBytes = fs.statSync(finalOutputPath).size;
     
-    // Upload to Cloudinary with enhanced strategies
+    // Upload through the selected storage backend; every asset carries the date it is due for deletion
     const publicId = `merged_${Date.now()}_${sessionId}`;
-    const cloudinaryUrl = await uploadToCloudinary(finalOutputPath, publicId);
+    const retainUntil = storage.retainUntilFor(mergeRequest.retentionDays);
+    
+    // Streaming output: encode the ABR ladder into a segment folder that replaces the MP4 upload
+    const streamDir = path.join(TEMP_DIR, `stream_${sessionId}`);
+    let streamReport = null;
+    if (streaming) {
+      downloadedFiles.push(streamDir); // Add to cleanup list
+      reportProgress('packaging', 0);
+      streamReport = await packageStream(finalOutputPath, streamDir, streaming, {
+        onProgress: (percent) => reportProgress('packaging', percent),
+        signal
+      });
+    }
+    
+    // Thumbnails are cut from the final file now and stored next to the video under the same public id with it
+    let generatedThumbnails = null;
+    if (thumbnails) {
+      reportProgress('thumbnails', 0);
+      generatedThumbnails = await generateThumbnails(finalOutputPath, thumbnails, {
+        basePath: path.join(TEMP_DIR, `thumb_${sessionId}`),
+        tempFiles: downloadedFiles,
+        signal,
+        onProgress: (percent) => reportProgress('thumbnails', percent)
+      });
+    }
+    
+    // Uploads can't be interrupted, so a cancellation must not get this far
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    reportProgress('uploading', 0);
+    const thumbnailReport = generatedThumbnails
+      ? await uploadThumbnails(generatedThumbnails, (filePath, suffix, kind) => backend.upload(filePath, { publicId: `${publicId}_${suffix}`, kind, retainUntil }))
+      : null;
+    let uploaded;
+    if (streamReport) {
+      const folder = await storage.uploadDirectory(backend, streamDir, streamReport.files, {
+        publicId,
+        retainUntil,
+        onProgress: (percent) => reportProgress('uploading', percent)
+      });
+      uploaded = { url: folder.urls[streamReport.manifest], id: folder.id, strategy: 'segmented' };
+    } else {
+      uploaded = await backend.upload(finalOutputPath, {
+        publicId,
+        retainUntil,
+        onProgress: (percent) => reportProgress('uploading', percent)
+      });
+    }
+    
+    // Sidecar subtitles are uploaded next to the video
+    if (subtitles && subtitles.mode === 'sidecar') {
+      const uploadedSubtitles = await backend.upload(mergedSubtitlesPath, {
+        publicId: `${publicId}_subtitles`,
+        kind: 'raw',
+        retainUntil
+      });
+      subtitleReport.url = uploadedSubtitles.url;
+      subtitleReport.storageId = uploadedSubtitles.id;
+    }
+    reportProgress('uploading', 100);
     
     // Clean up temporary files
     cleanupFiles([...downloadedFiles, outputPath]);
 
-    // Determine upload strategy used
-    let uploadStrategy = 'sync';
-    if (finalFileSizeMB > 200) uploadStrategy = 'streaming';
-    else if (finalFileSizeMB > 100) uploadStrategy = 'chunked';
-    else if (finalFileSizeMB > 50) uploadStrategy = 'async';
-
     // Success response
     const response = {
       success: true,
       message: 'Videos merged successfully',
-      videoUrl: cloudinaryUrl,
+      videoUrl: uploaded.url,
+      urlExpiresAt: uploaded.expiresAt || null,
+      thumbnails: thumbnailReport,
+      streaming: streamReport && {
+        format: streamReport.format,
+        manifestUrl: uploaded.url,
+        renditions: streamReport.renditions,
+        segmentDuration: streamReport.segmentDuration,
+        files: streamReport.files.length
+      },
       publicId: publicId,
-      videosProcessed: videoUrls.length,
+      storage: backend.name,
+      storageId: uploaded.id,
+      videosProcessed: clips.length,
       fileSize: finalSize,
+      fileSizeBytes,
+      duration: Number(outputDuration.toFixed(3)),
       originalSize: processingApplied ? `${initialFileSizeMB.toFixed(2)}MB` : finalSize,
       processing: {
         applied: processingApplied,
         type: processingType,
-        qualityPreserved: processingType === 'resized' || processingType === 'none'
+        qualityPreserved: processingType !== 'compressed',
+        mergeMethod: transitions ? 'xfade' : 'concat-copy',
+        copyBypassed: Boolean(transitions),
+        compression: compressionReport,
+        transitions: transitions || []
       },
-      autoDelete: '30 days',
+      clips: clipResult.report,
+      autoTrim: autoTrimResult && autoTrimResult.report,
+      audio: audioReport,
+      rendering: renderReport,
+      subtitles: subtitleReport,
+      normalization: normalization.report,
+      autoDelete: `${mergeRequest.retentionDays} days`,
+      expiresAt: retainUntil,
       qualityPreservation: processingType === 'resized' ? 'high (resolution optimized)' : 
                            processingType === 'compressed' ? 'optimized (bitrate reduced)' : 'preserved',
-      uploadType: uploadStrategy,
+      uploadType: uploaded.strategy,
+      cache: {
+        hit: false,
+        bypassed: mergeRequest.noCache,
+        inputs: inputCache
+      },
       timestamp: new Date().toISOString()
     };
 
     console.log('🎉 Merge completed successfully:', response);
+    return response;
+    
+  } catch (error) {
+    // Clean up any downloaded files in case of error, plus partial outputs of the step that failed
+    cleanupFiles([...downloadedFiles, ...sessionTempFiles(sessionId)]);
+    throw error;
+  }
+}
+
+// Error body returned (and sent to callbackUrl) when a merge fails
+// code, stage and inputIndex say what failed where; stderr holds ffmpeg's last lines when ffmpeg failed
+function buildMergeErrorResponse(error) {
+  return {
+    success: false,
+    error: error.message || 'Video merge failed',
+    message: 'Failed to merge videos',
+    code: error.code || 'MERGE_FAILED',
+    stage: error.stage || null,
+    inputIndex: error.inputIndex === undefined ? null : error.inputIndex,
+    stderr: error.stderr || []
+  };
+}
+
+// POST the merge outcome to the request's callbackUrl, if one was given
+function notifyCallback(mergeRequest, jobId, response) {
+  if (!mergeRequest.callbackUrl) {
+    return;
+  }
+  
+  const event = response.success ? 'merge.completed' : response.cancelled ? 'merge.cancelled' : 'merge.failed';
+  webhooks.sendWebhook(mergeRequest.callbackUrl, event, jobId, { ...response, jobId }, mergeRequest.apiKeyId);
+}
+
+// processMerge run through the worker pool, wrapped with the API key's job slot and usage accounting
+// The key's slot is held while the merge waits in the queue; options.onStart fires when it leaves the queue
+// The merge logs under its session ID and current stage, and each stage's duration is recorded in the metrics
+async function runTrackedMerge(sessionId, mergeRequest, reportProgress = () => {}, options = {}) {
+  const { apiKeyId } = mergeRequest;
+  if (apiKeyId) {
+    apiKeys.jobStarted(apiKeyId);
+  }
+  
+  const logContext = { requestId: logger.getContext().requestId, sessionId, stage: 'queued' };
+  let stage = 'queued';
+  let stageStartedAt = Date.now();
+  const endStage = () => metrics.stageDuration.observe({ stage }, (Date.now() - stageStartedAt) / 1000);
+  const trackedProgress = (nextStage, progress, details) => {
+    if (nextStage !== stage) {
+      endStage();
+      stage = nextStage;
+      stageStartedAt = Date.now();
+      logger.setContext({ stage });
+    }
+    reportProgress(nextStage, progress, details);
+  };
+  
+  let usage = {};
+  activeMerges.set(sessionId, mergeRequest);
+  try {
+    const response = await workerPool.submit(
+      sessionId,
+      (signal) => logger.runWithContext(logContext, () => processMerge(sessionId, mergeRequest, trackedProgress, signal)),
+      { onStart: options.onStart }
+    );
+    usage = { seconds: response.duration, bytes: response.fileSizeBytes };
+    metrics.mergesTotal.inc({ outcome: 'completed' });
+    
+    const { cache, ...cacheable } = response;
+    resultCache.set(mergeRequest.resultKey, cacheable, sessionId);
+    return response;
+  } catch (error) {
+    metrics.mergesTotal.inc({ outcome: error.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed' });
+    error.stage = error.stage || stage;
+    logger.error(`Merge failed in ${error.stage}: ${error.message}`, { sessionId, stage: error.stage, code: error.code || 'MERGE_FAILED', inputIndex: error.inputIndex });
+    throw error;
+  } finally {
+    endStage();
+    activeMerges.delete(sessionId);
+    if (apiKeyId) {
+      apiKeys.jobFinished(apiKeyId, usage);
+    }
+  }
+}
+
+// Run a merge in the background, recording stage/progress in the job store
+// The job stays "queued" until the worker pool has a free slot for it
+async function runMergeJob(jobId, mergeRequest) {
+  try {
+    const response = await runTrackedMerge(jobId, mergeRequest, (stage, progress, details) => {
+      jobStore.updateJob(jobId, { stage, progress, ...details });
+    }, {
+      onStart: () => jobStore.updateJob(jobId, { status: 'processing' })
+    });
+    
+    jobStore.updateJob(jobId, { status: 'completed', stage: 'done', progress: 100, result: response });
+    console.log(`✅ Job ${jobId} completed`);
+    notifyCallback(mergeRequest, jobId, response);
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      console.log(`🛑 Job ${jobId} cancelled`);
+      // A job cancelled in the queue never reached processMerge's cleanup, so its uploads are still on disk
+      cleanupFiles(mergeRequest.clips.filter(clip => clip.filePath).map(clip => clip.filePath));
+      jobStore.updateJob(jobId, { status: 'cancelled', error: error.message });
+      notifyCallback(mergeRequest, jobId, { ...buildMergeErrorResponse(error), cancelled: true });
+      return;
+    }
+    console.error(`❌ Job ${jobId} failed:`, error.message);
+    const response = buildMergeErrorResponse(error);
+    jobStore.updateJob(jobId, {
+      status: 'failed',
+      error: response.error,
+      failure: { code: response.code, stage: response.stage, inputIndex: response.inputIndex, stderr: response.stderr }
+    });
+    notifyCallback(mergeRequest, jobId, response);
+  }
+}
+
+// Answer a merge request with a cached result; no job slot, queue position or quota is used
+// Async requests still get a job record (already completed) so polling and callbacks work as usual
+function serveCachedResult(res, body, mergeRequest, cached) {
+  const sessionId = uuidv4();
+  const response = {
+    ...cached.response,
+    cache: {
+      hit: true,
+      key: mergeRequest.resultKey,
+      cachedAt: cached.createdAt,
+      expiresAt: cached.expiresAt,
+      sourceJobId: cached.jobId
+    },
+    timestamp: new Date().toISOString()
+  };
+  console.log(`🗄️ Result cache hit for request ${mergeRequest.resultKey.slice(0, 12)}: ${response.videoUrl}`);
+  metrics.mergesTotal.inc({ outcome: 'cached' });
+  
+  if (body.async === true) {
+    jobStore.createJob(sessionId, { ...body }, mergeRequest.apiKeyId);
+    jobStore.updateJob(sessionId, { status: 'completed', stage: 'done', progress: 100, result: response });
+    notifyCallback(mergeRequest, sessionId, response);
+    
+    return res.status(202).json({
+      success: true,
+      message: 'Merge job accepted (served from cache)',
+      jobId: sessionId,
+      status: 'completed',
+      queuePosition: null,
+      statusUrl: `/jobs/${sessionId}`,
+      timestamp: response.timestamp
+    });
+  }
+  
+  res.json(response);
+  notifyCallback(mergeRequest, sessionId, response);
+}
+
+// Synchronous merges and splits have no job ID to cancel by: a client that disconnects before the response cancels them
+function cancelOnDisconnect(res, sessionId) {
+  res.once('close', () => {
+    if (!res.writableFinished && workerPool.cancel(sessionId)) {
+      console.log(`🔌 Client disconnected, cancelling ${sessionId}`);
+    }
+  });
+}
+
+// Shared handler for JSON and multipart merge requests
+// Pass "async": true to get a job ID back immediately and poll GET /jobs/:id
+async function handleMergeRequest(req, res, body, uploadedFiles = []) {
+  console.log('\n--- New merge request ---');
+  console.log('Request body:', JSON.stringify(body, null, 2));
+  
+  const { callbackUrl } = body;
+  const asyncMode = body.async === true;
+  
+  // Requests turned away before a merge is queued are counted here; queued merges count their own outcome
+  let accepted = false;
+  res.once('finish', () => {
+    if (accepted || res.statusCode < 400) {
+      return;
+    }
+    const outcome = res.statusCode === 429 ? 'rate_limited' : res.statusCode === 503 ? 'queue_full' : res.statusCode < 500 ? 'rejected' : 'error';
+    metrics.mergesTotal.inc({ outcome });
+  });
+  
+  // Validation
+  const validationError = validateMergeRequest(body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+  
+  // Check the selected storage backend's configuration
+  const backend = storage.getStorage(body.storage);
+  if (!backend) {
+    return res.status(500).json({
+      success: false,
+      error: `Unknown STORAGE_BACKEND "${storage.getDefaultBackend()}"`
+    });
+  }
+  
+  if (!backend.isConfigured()) {
+    return res.status(500).json({
+      success: false,
+      error: `${backend.label} configuration missing`
+    });
+  }
+  
+  // Callbacks are always signed, so a secret must be configured
+  if (callbackUrl && !webhooks.isConfigured()) {
+    return res.status(500).json({
+      success: false,
+      error: 'WEBHOOK_SECRET configuration missing'
+    });
+  }
+  
+  const { mergeRequest, error: requestError } = buildMergeRequest(body, uploadedFiles, req.apiKey);
+  if (requestError) {
+    return res.status(400).json({
+      success: false,
+      error: requestError
+    });
+  }
+  
+  // Apply the URL policy (schemes, host lists, private addresses) before touching any remote URL
+  const urlRejection = await urlPolicy.checkClipUrls(mergeRequest.clips, mergeRequest.urlPolicy);
+  if (urlRejection) {
+    return res.status(400).json({
+      success: false,
+      error: urlRejection.error,
+      code: urlRejection.code,
+      urlIndex: urlRejection.index,
+      url: urlRejection.url
+    });
+  }
+  
+  if (callbackUrl) {
+    try {
+      await urlPolicy.assertUrlAllowed(callbackUrl);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `callbackUrl rejected: ${error.message}`,
+        code: error.code,
+        field: 'callbackUrl'
+      });
+    }
+  }
+  
+  // Subtitles, music and overlay images are fetched later; check their URLs now
+  const assetUrls = [];
+  if (mergeRequest.audio) {
+    assetUrls.push({ field: 'audio.url', url: mergeRequest.audio.url });
+  }
+  mergeRequest.clips.forEach((clip, i) => {
+    if (clip.subtitles) {
+      assetUrls.push({ field: `videoUrls[${i}].subtitles`, url: clip.subtitles });
+    }
+  });
+  (mergeRequest.overlays || []).forEach((overlay, i) => {
+    if (overlay.type === 'image') {
+      assetUrls.push({ field: `overlays[${i}].url`, url: overlay.url });
+    }
+  });
+  for (const { field, url } of assetUrls) {
+    try {
+      await urlPolicy.assertUrlAllowed(url, mergeRequest.urlPolicy);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `${field} rejected: ${error.message}`,
+        code: error.code,
+        field
+      });
+    }
+  }
+  
+  // Reject out-of-range trims up front, before any download or encode; ffprobe reads remote clips through the probe proxy
+  const proxy = await urlPolicy.createProbeProxy(mergeRequest.urlPolicy);
+  let rangeError;
+  try {
+    rangeError = await validateClipRanges(mergeRequest.clips, { proxy, transitions: mergeRequest.transitions });
+  } finally {
+    proxy.close();
+  }
+  if (rangeError) {
+    return res.status(400).json({
+      success: false,
+      error: rangeError
+    });
+  }
+  
+  // An identical earlier request whose upload hasn't expired is answered straight from the result cache
+  const cached = mergeRequest.noCache ? null : resultCache.get(mergeRequest.resultKey);
+  if (cached) {
+    return serveCachedResult(res, body, mergeRequest, cached);
+  }
+  
+  // Per-key concurrent-job limit and monthly quota
+  if (req.apiKey) {
+    const rejection = apiKeys.checkJobAllowed(req.apiKey);
+    if (rejection) {
+      res.set('Retry-After', String(rejection.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: rejection.error,
+        retryAfter: rejection.retryAfter
+      });
+    }
+  }
+  
+  // Bounded worker pool: refuse new merges when every slot is busy and the queue is full
+  if (workerPool.isFull()) {
+    const { queued } = workerPool.getStats();
+    res.set('Retry-After', '60');
+    return res.status(503).json({
+      success: false,
+      error: `Merge queue is full (${queued} jobs waiting); try again later`,
+      retryAfter: 60
+    });
+  }
+  
+  const sessionId = uuidv4();
+  accepted = true;
+  
+  if (asyncMode) {
+    jobStore.createJob(sessionId, { ...body }, mergeRequest.apiKeyId);
+    runMergeJob(sessionId, mergeRequest);
+    
+    return res.status(202).json({
+      success: true,
+      message: 'Merge job accepted',
+      jobId: sessionId,
+      status: 'queued',
+      queuePosition: workerPool.queuePosition(sessionId),
+      statusUrl: `/jobs/${sessionId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  cancelOnDisconnect(res, sessionId);
+  try {
+    const response = await runTrackedMerge(sessionId, mergeRequest);
     res.json(response);
+    notifyCallback(mergeRequest, sessionId, response);
     
   } catch (error) {
     console.error('Error during video merge process:', error);
     
-    // Clean up any downloaded files in case of error
-    cleanupFiles([...downloadedFiles]);
+    const response = error.code === 'JOB_CANCELLED' ? { ...buildMergeErrorResponse(error), cancelled: true } : buildMergeErrorResponse(error);
+    const clientError = [...AUDIO_REQUEST_ERROR_CODES, ...COMPRESS_REQUEST_ERROR_CODES].includes(error.code);
+    res.status(clientError ? 400 : 500).json(response);
+    notifyCallback(mergeRequest, sessionId, response);
+  }
+}
+
+// Main video merge endpoint
+app.post('/merge-videos', authenticate, (req, res) => handleMergeRequest(req, res, req.body));
+
+// Multipart merge endpoint: uploaded files in "files", optionally mixed with URLs
+//   inputs  - JSON array in merge order: URL strings, clip objects, or { upload: <file index>, start, end, ... }
+//             (defaults to the uploaded files in the order they were sent)
+//   options - JSON object with the other /merge-videos fields (async, transitions, storage, callbackUrl...)
+app.post('/merge-videos/upload', authenticate, receiveUploads, async (req, res) => {
+  const uploadedFiles = req.files || [];
+  
+  let inputs;
+  let options;
+  try {
+    inputs = req.body.inputs ? JSON.parse(req.body.inputs) : uploadedFiles.map((file, index) => ({ upload: index }));
+    options = req.body.options ? JSON.parse(req.body.options) : {};
+  } catch (error) {
+    cleanupFiles(uploadedFiles.map(file => file.path));
+    return res.status(400).json({
+      success: false,
+      error: `inputs and options must be valid JSON: ${error.message}`
+    });
+  }
+  
+  // Make sure every upload really is a video before any merge work starts
+  for (let i = 0; i < uploadedFiles.length; i++) {
+    const info = await probeVideo(uploadedFiles[i].path).catch(() => null);
+    if (!info || !info.video || !(info.duration > 0)) {
+      cleanupFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        error: `Uploaded file ${i} (${uploadedFiles[i].originalname}) is not a valid video`
+      });
+    }
+  }
+  
+  await handleMergeRequest(req, res, { ...options, videoUrls: inputs }, uploadedFiles);
+  
+  // Requests rejected before processing started still own their uploads; merges only clean up the files their
+  // clips use, so uploads that inputs never referenced are removed here
+  const referenced = new Set(Array.isArray(inputs) ? inputs.filter(input => input && typeof input === 'object').map(input => input.upload) : []);
+  cleanupFiles(uploadedFiles
+    .filter((file, index) => res.statusCode >= 400 || !referenced.has(index))
+    .map(file => file.path));
+});
+
+// Pre-flight analysis of a merge request: input metadata, stream-copy verdict, estimated output and processing path
+// Takes the same body as /merge-videos; nothing is merged, uploaded or cached
+app.post('/probe', authenticate, async (req, res) => {
+  const body = req.body;
+  
+  const validationError = validateMergeRequest(body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+  
+  if (!storage.getStorage(body.storage)) {
+    return res.status(500).json({
+      success: false,
+      error: `Unknown STORAGE_BACKEND "${storage.getDefaultBackend()}"`
+    });
+  }
+  
+  const { mergeRequest, error: requestError } = buildMergeRequest(body, [], req.apiKey);
+  if (requestError) {
+    return res.status(400).json({
+      success: false,
+      error: requestError
+    });
+  }
+  
+  const urlRejection = await urlPolicy.checkClipUrls(mergeRequest.clips, mergeRequest.urlPolicy);
+  if (urlRejection) {
+    return res.status(400).json({
+      success: false,
+      error: urlRejection.error,
+      code: urlRejection.code,
+      urlIndex: urlRejection.index,
+      url: urlRejection.url
+    });
+  }
+  
+  // ffprobe reads remote inputs through the probe proxy, so every request it makes stays under the URL policy;
+  // inputs it can't read that way are downloaded (through the input cache) and removed afterwards
+  const proxy = await urlPolicy.createProbeProxy(mergeRequest.urlPolicy);
+  const probeId = uuidv4();
+  const fetchedFiles = [];
+  try {
+    const rangeError = await validateClipRanges(mergeRequest.clips, { proxy, transitions: mergeRequest.transitions });
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError
+      });
+    }
+    
+    console.log(`🔍 Probing ${mergeRequest.clips.length} inputs...`);
+    const inputs = await probeInputs(mergeRequest.clips, {
+      proxy,
+      fetchInput: async (clip, index) => {
+        const filepath = path.join(TEMP_DIR, `${probeId}_probe_${index + 1}.mp4`);
+        fetchedFiles.push(filepath);
+        await cachedDownload(clip.url, filepath, { policy: mergeRequest.urlPolicy, noCache: mergeRequest.noCache });
+        return filepath;
+      }
+    });
+    // The keyframe checks read partially probed inputs through the proxy too, so it stays open until the report is done
+    const report = await buildProbeReport(mergeRequest, inputs);
     
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error probing inputs:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Video merge failed',
-      message: 'Failed to merge videos'
+      error: error.message
     });
+  } finally {
+    proxy.close();
+    cleanupFiles(fetchedFiles);
   }
 });
 
+// Split pipeline: download the source, plan the cuts, cut the parts and upload each one
+// Parts are stored as <publicId>_part_<nnn> so retention, listing and deletion treat them as one asset group
+async function processSplit(sessionId, split, signal = null) {
+  const backend = storage.getStorage(split.storage);
+  const sourcePath = path.join(TEMP_DIR, `${sessionId}_source.mp4`);
+  const tempFiles = [sourcePath];
+  
+  try {
+    console.log(`Downloading ${split.videoUrl}...`);
+    const cacheOutcome = await cachedDownload(split.videoUrl, sourcePath, { policy: split.urlPolicy, signal, noCache: split.noCache });
+    
+    const result = await splitVideo(sourcePath, split, { sessionId, outputDir: TEMP_DIR, signal });
+    tempFiles.push(...result.createdFiles);
+    
+    // Uploads can't be interrupted, so a cancellation must not get this far
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    const publicId = `split_${Date.now()}_${sessionId}`;
+    const retainUntil = storage.retainUntilFor(split.retentionDays);
+    const parts = [];
+    let totalBytes = 0;
+    for (const part of result.parts) {
+      const filePath = result.files[part.index];
+      const fileSizeBytes = fs.statSync(filePath).size;
+      const uploaded = await backend.upload(filePath, {
+        publicId: `${publicId}_part_${String(part.index + 1).padStart(3, '0')}`,
+        retainUntil
+      });
+      totalBytes += fileSizeBytes;
+      parts.push({ ...part, url: uploaded.url, urlExpiresAt: uploaded.expiresAt || null, storageId: uploaded.id, fileSize: `${(fileSizeBytes / 1024 / 1024).toFixed(2)}MB`, fileSizeBytes });
+    }
+    console.log(`☁️ Uploaded ${parts.length} parts to ${backend.label}`);
+    
+    cleanupFiles(tempFiles);
+    
+    return {
+      success: true,
+      message: `Video split into ${parts.length} parts`,
+      mode: split.mode,
+      sourceDuration: result.sourceDuration,
+      publicId,
+      storage: backend.name,
+      parts,
+      fileSizeBytes: totalBytes,
+      autoDelete: `${split.retentionDays} days`,
+      expiresAt: retainUntil,
+      cache: {
+        bypassed: split.noCache,
+        input: cacheOutcome
+      },
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    cleanupFiles([...tempFiles, ...sessionTempFiles(sessionId)]);
+    throw error;
+  }
+}
+
+// Split one video into parts by fixed duration, maximum size, explicit cut points or scene changes
+// Runs in the worker pool like a merge and counts against the API key's job limits
+app.post('/split-video', authenticate, async (req, res) => {
+  const body = req.body;
+  console.log('\n--- New split request ---');
+  console.log('Request body:', JSON.stringify(body, null, 2));
+  
+  const { split, error: splitError } = parseSplitRequest(body);
+  if (splitError) {
+    return res.status(400).json({
+      success: false,
+      error: splitError
+    });
+  }
+  
+  if (body.storage !== undefined && !storage.BACKEND_NAMES.includes(body.storage)) {
+    return res.status(400).json({
+      success: false,
+      error: `storage must be one of: ${storage.BACKEND_NAMES.join(', ')}`
+    });
+  }
+  
+  if (body.noCache !== undefined && typeof body.noCache !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'noCache must be a boolean'
+    });
+  }
+  
+  const { retentionDays, error: retentionError } = storage.parseRetentionDays(body.retentionDays);
+  if (retentionError) {
+    return res.status(400).json({
+      success: false,
+      error: retentionError
+    });
+  }
+  
+  const backend = storage.getStorage(body.storage);
+  if (!backend) {
+    return res.status(500).json({
+      success: false,
+      error: `Unknown STORAGE_BACKEND "${storage.getDefaultBackend()}"`
+    });
+  }
+  
+  if (!backend.isConfigured()) {
+    return res.status(500).json({
+      success: false,
+      error: `${backend.label} configuration missing`
+    });
+  }
+  
+  split.storage = backend.name;
+  split.retentionDays = retentionDays;
+  split.noCache = body.noCache === true;
+  split.urlPolicy = { allowedDomains: req.apiKey ? req.apiKey.allowedDomains : [] };
+  
+  try {
+    await urlPolicy.assertUrlAllowed(split.videoUrl, split.urlPolicy);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: `videoUrl rejected: ${error.message}`,
+      code: error.code,
+      field: 'videoUrl'
+    });
+  }
+  
+  if (req.apiKey) {
+    const rejection = apiKeys.checkJobAllowed(req.apiKey);
+    if (rejection) {
+      res.set('Retry-After', String(rejection.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: rejection.error,
+        retryAfter: rejection.retryAfter
+      });
+    }
+  }
+  
+  if (workerPool.isFull()) {
+    const { queued } = workerPool.getStats();
+    res.set('Retry-After', '60');
+    return res.status(503).json({
+      success: false,
+      error: `Merge queue is full (${queued} jobs waiting); try again later`,
+      retryAfter: 60
+    });
+  }
+  
+  const sessionId = uuidv4();
+  const apiKeyId = req.apiKey ? req.apiKey.id : null;
+  if (apiKeyId) {
+    apiKeys.jobStarted(apiKeyId);
+  }
+  
+  // Registered like a merge (without clips) so the temp sweeper leaves its files alone
+  let usage = {};
+  activeMerges.set(sessionId, { clips: [] });
+  cancelOnDisconnect(res, sessionId);
+  try {
+    const logContext = { requestId: logger.getContext().requestId, sessionId, stage: 'splitting' };
+    const response = await workerPool.submit(
+      sessionId,
+      (signal) => logger.runWithContext(logContext, () => processSplit(sessionId, split, signal))
+    );
+    usage = { seconds: response.sourceDuration, bytes: response.fileSizeBytes };
+    res.json(response);
+  } catch (error) {
+    console.error('Error during video split:', error);
+    logger.error(`Split failed: ${error.message}`, { sessionId, code: error.code || 'SPLIT_FAILED', inputIndex: error.inputIndex });
+    
+    const status = REQUEST_ERROR_CODES.includes(error.code) ? 400 : 500;
+    res.status(status).json({
+      ...buildMergeErrorResponse(error),
+      message: 'Failed to split video',
+      code: error.code || 'SPLIT_FAILED',
+      stage: 'splitting'
+    });
+  } finally {
+    activeMerges.delete(sessionId);
+    if (apiKeyId) {
+      apiKeys.jobFinished(apiKeyId, usage);
+    }
+  }
+});
+
+// List jobs, filterable by ?status=, ?stage=, ?since= (ISO date), ?limit= and ?offset=
+app.get('/jobs', authenticate, (req, res) => {
+  const { status, stage, since } = req.query;
+  
+  if (status && !jobStore.JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${jobStore.JOB_STATUSES.join(', ')}`
+    });
+  }
+  
+  if (stage && !jobStore.JOB_STAGES.includes(stage)) {
+    return res.status(400).json({
+      success: false,
+      error: `stage must be one of: ${jobStore.JOB_STAGES.join(', ')}`
+    });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const { total, jobs } = jobStore.listJobs({ status, stage, since, apiKeyId: ownerScope(req), limit, offset });
+  
+  res.json({
+    success: true,
+    total,
+    limit,
+    offset,
+    jobs
+  });
+});
+
+// Job status endpoint
+app.get('/jobs/:id', authenticate, (req, res) => {
+  const job = jobStore.getJob(req.params.id);
+  
+  if (!job || !canAccess(req, job)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No job with id ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    job: job.status === 'queued' ? { ...job, queuePosition: workerPool.queuePosition(job.id) } : job
+  });
+});
+
+// Cancel a queued or running job: queued jobs leave the queue, running ones have their
+// ffmpeg process and downloads killed and their temp files removed
+app.delete('/jobs/:id', authenticate, (req, res) => {
+  const job = jobStore.getJob(req.params.id);
+  
+  if (!job || !canAccess(req, job)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No job with id ${req.params.id}`
+    });
+  }
+  
+  if (jobStore.FINISHED_STATUSES.includes(job.status)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`,
+      status: job.status
+    });
+  }
+  
+  const state = workerPool.cancel(job.id);
+  if (!state) {
+    return res.status(409).json({
+      success: false,
+      error: 'Job is not in the worker pool',
+      status: job.status
+    });
+  }
+  
+  // Queued jobs are dropped right away; running ones report "cancelled" once ffmpeg has exited and cleanup is done
+  res.status(state === 'queued' ? 200 : 202).json({
+    success: true,
+    message: state === 'queued' ? 'Job removed from the queue' : 'Cancelling job',
+    jobId: job.id,
+    status: state === 'queued' ? 'cancelled' : 'cancelling'
+  });
+});
+
+// Webhook delivery log, filterable by ?jobId= and ?status= (pending, delivered, failed)
+app.get('/webhooks/deliveries', authenticate, (req, res) => {
+  const { jobId, status } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const { total, deliveries } = webhooks.listDeliveries({ jobId, status, apiKeyId: ownerScope(req), limit, offset });
+  
+  res.json({
+    success: true,
+    total,
+    limit,
+    offset,
+    deliveries
+  });
+});
+
+// Single webhook delivery with all of its attempts
+app.get('/webhooks/deliveries/:id', authenticate, (req, res) => {
+  const delivery = webhooks.getDelivery(req.params.id);
+  
+  if (!delivery || !canAccess(req, delivery)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found',
+      message: `No webhook delivery with id ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    delivery
+  });
+});
+
+// Manually re-send a webhook delivery
+app.post('/webhooks/deliveries/:id/redeliver', authenticate, (req, res) => {
+  if (!webhooks.isConfigured()) {
+    return res.status(500).json({
+      success: false,
+      error: 'WEBHOOK_SECRET configuration missing'
+    });
+  }
+  
+  const existing = webhooks.getDelivery(req.params.id);
+  if (existing && canAccess(req, existing) && webhooks.isInFlight(existing.id)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Delivery attempt in progress',
+      message: `Webhook delivery ${existing.id} is being sent right now; try again when it has finished`
+    });
+  }
+  const delivery = existing && canAccess(req, existing) ? webhooks.redeliver(req.params.id) : null;
+  
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found',
+      message: `No webhook delivery with id ${req.params.id}`
+    });
+  }
+  
+  res.status(202).json({
+    success: true,
+    message: 'Redelivery started',
+    delivery
+  });
+});
+
+// Create an API key; the raw key is only shown in this response
+app.post('/admin/api-keys', requireAdmin, (req, res) => {
+  const { name, requestsPerMinute, maxConcurrentJobs, monthlyMinutes, monthlyBytes, allowedDomains } = req.body;
+  
+  const limits = {};
+  const numericLimits = { requestsPerMinute, maxConcurrentJobs, monthlyMinutes, monthlyBytes };
+  for (const [field, value] of Object.entries(numericLimits)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (value !== null && !(typeof value === 'number' && value > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: `${field} must be a positive number or null`
+      });
+    }
+    limits[field] = value;
+  }
+  
+  if (limits.requestsPerMinute === null || limits.maxConcurrentJobs === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'requestsPerMinute and maxConcurrentJobs cannot be null'
+    });
+  }
+  
+  if (allowedDomains !== undefined && (!Array.isArray(allowedDomains) || allowedDomains.some(domain => typeof domain !== 'string'))) {
+    return res.status(400).json({
+      success: false,
+      error: 'allowedDomains must be an array of hostnames'
+    });
+  }
+  
+  const { key, record } = apiKeys.createKey({
+    name,
+    limits,
+    allowedDomains: (allowedDomains || []).map(domain => domain.toLowerCase())
+  });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Store this key now; it cannot be retrieved again',
+    key,
+    apiKey: record
+  });
+});
+
+// List API keys with their limits and current usage
+app.get('/admin/api-keys', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    apiKeys: apiKeys.listKeys()
+  });
+});
+
+// Revoke an API key
+app.delete('/admin/api-keys/:id', requireAdmin, (req, res) => {
+  const record = apiKeys.revokeKey(req.params.id);
+  
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found',
+      message: `No API key with id ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    apiKey: record
+  });
+});
+
+// Resolve the ?storage= backend for admin storage routes; responds with an error and returns null when unusable
+function adminBackend(req, res) {
+  const name = req.query.storage;
+  if (name !== undefined && !storage.BACKEND_NAMES.includes(name)) {
+    res.status(400).json({
+      success: false,
+      error: `storage must be one of: ${storage.BACKEND_NAMES.join(', ')}`
+    });
+    return null;
+  }
+  
+  const backend = storage.getStorage(name);
+  if (!backend || !backend.isConfigured()) {
+    res.status(500).json({
+      success: false,
+      error: `${backend ? backend.label : 'Storage backend'} configuration missing`
+    });
+    return null;
+  }
+  return backend;
+}
+
+// List stored merges with their expiry, one storage page at a time (pass nextCursor back as ?cursor=)
+app.get('/admin/merges', requireAdmin, async (req, res) => {
+  const backend = adminBackend(req, res);
+  if (!backend) {
+    return;
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  try {
+    const { merges, nextCursor } = await storage.listMerges(backend, { cursor: req.query.cursor, limit });
+    res.json({
+      success: true,
+      storage: backend.name,
+      limit,
+      merges,
+      nextCursor
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Failed to list ${backend.label}: ${error.message}`
+    });
+  }
+});
+
+// Delete a stored merge (video, stream folder, thumbnails and subtitles) or every part of a split ahead of its expiry
+app.delete('/admin/merges/:publicId', requireAdmin, async (req, res) => {
+  const { publicId } = req.params;
+  if (!/^(merged|split)_\d+_[0-9a-f-]{36}$/.test(publicId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'publicId must look like merged_<timestamp>_<job id> or split_<timestamp>_<job id>'
+    });
+  }
+  
+  const backend = adminBackend(req, res);
+  if (!backend) {
+    return;
+  }
+  
+  try {
+    const removed = await storage.removeMerge(backend, publicId);
+    if (removed.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stored merge not found',
+        message: `No assets for ${publicId} in ${backend.label}`
+      });
+    }
+    
+    removed.forEach(id => resultCache.forgetStorageId(backend.name, id));
+    console.log(`🗑️ Deleted merge ${publicId} from ${backend.name} on request (${removed.length} assets)`);
+    res.json({
+      success: true,
+      message: 'Stored merge deleted',
+      publicId,
+      storage: backend.name,
+      storageIds: removed
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Failed to delete ${publicId}: ${error.message}`
+    });
+  }
+});
+
+// Serve files stored by the local storage backend (supports HTTP Range requests)
+// Ids may be nested paths, e.g. segment trees: /files/merged_123/stream_0/playlist.m3u8
+app.get('/files/*', (req, res) => {
+  const id = req.params[0];
+  const filePath = localStorage.resolveFilePath(id);
+  
+  if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      message: `No stored file with id ${id}`
+    });
+  }
+  
+  res.sendFile(filePath, { acceptRanges: true });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -707,10 +2132,12 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
   console.log(`🔗 API info: http://localhost:${PORT}/`);
   console.log(`☁️  Cloudinary: ${process.env.CLOUDINARY_CLOUD_NAME ? 'Configured' : 'Not configured'}`);
-  console.log(`🗑️ Auto-cleanup: Enabled (30 days)`);
+  console.log(`💾 Default storage: ${storage.getDefaultBackend()}`);
+  console.log(`🗑️ Auto-cleanup: Enabled (default ${storage.DEFAULT_RETENTION_DAYS} days)`);
   console.log(`🎥 Quality preservation: Enabled`);
   console.log(`📦 Large file handling: Enabled (async >100MB)`);
   console.log(`🌍 Domain: ${process.env.DOMAIN || 'Not set'}`);
+  console.log(`🔑 API keys: ${apiKeys.isRequired() ? 'Required' : '⚠️ Not required - anyone can call the merge endpoints'}`);
 });
 
 // Graceful shutdown
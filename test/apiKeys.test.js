@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The key store is read at require time: keep it out of data/
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.REQUIRE_API_KEY;
+
+const { isRequired, createKey, revokeKey, findKey, checkRateLimit, checkJobAllowed, jobStarted, jobFinished } = require('../lib/apiKeys');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('isRequired turns on with the first active key unless REQUIRE_API_KEY says otherwise', () => {
+  assert.strictEqual(isRequired(), false);
+  process.env.REQUIRE_API_KEY = 'true';
+  assert.strictEqual(isRequired(), true);
+  delete process.env.REQUIRE_API_KEY;
+
+  const { record } = createKey({ name: 'required' });
+  assert.strictEqual(isRequired(), true);
+  process.env.REQUIRE_API_KEY = 'false';
+  assert.strictEqual(isRequired(), false);
+  delete process.env.REQUIRE_API_KEY;
+
+  revokeKey(record.id);
+  assert.strictEqual(isRequired(), false);
+});
+
+test('createKey returns the raw key once and stores only its hash', () => {
+  const { key, record } = createKey({ name: 'client', limits: { requestsPerMinute: 5 } });
+  assert.match(key, /^vm_[0-9a-f]{48}$/);
+  assert.strictEqual(record.prefix, key.slice(0, 10));
+  assert.strictEqual(record.hash, undefined);
+  assert.strictEqual(record.limits.requestsPerMinute, 5);
+  assert.strictEqual(record.limits.maxConcurrentJobs, 2);
+
+  assert.strictEqual(findKey(key).id, record.id);
+  assert.strictEqual(findKey('vm_unknown'), null);
+  revokeKey(record.id);
+  assert.strictEqual(findKey(key), null);
+});
+
+test('checkRateLimit allows requestsPerMinute requests and then asks the client to wait', () => {
+  const { key } = createKey({ name: 'limited', limits: { requestsPerMinute: 3 } });
+  const record = findKey(key);
+
+  for (let i = 0; i < 3; i++) {
+    assert.deepStrictEqual(checkRateLimit(record), { allowed: true });
+  }
+  const limited = checkRateLimit(record);
+  assert.strictEqual(limited.allowed, false);
+  assert.ok(limited.retryAfter >= 1 && limited.retryAfter <= 60);
+  // Refused requests do not count toward usage
+  assert.strictEqual(record.usage.requests, 3);
+});
+
+test('checkJobAllowed enforces the concurrent job limit', () => {
+  const { key } = createKey({ name: 'concurrent', limits: { maxConcurrentJobs: 1 } });
+  const record = findKey(key);
+
+  assert.strictEqual(checkJobAllowed(record), null);
+  jobStarted(record.id);
+  assert.deepStrictEqual(checkJobAllowed(record), { error: 'Concurrent job limit of 1 reached', retryAfter: 30 });
+  jobFinished(record.id);
+  assert.strictEqual(checkJobAllowed(record), null);
+});
+
+test('jobFinished adds usage and checkJobAllowed refuses once a monthly quota is used up', () => {
+  const { key } = createKey({ name: 'quota', limits: { monthlyMinutes: 2, monthlyBytes: 1000 } });
+  const record = findKey(key);
+
+  jobStarted(record.id);
+  jobFinished(record.id, { seconds: 90, bytes: 400 });
+  assert.deepStrictEqual([record.usage.jobs, record.usage.minutes, record.usage.bytes], [1, 1.5, 400]);
+  assert.strictEqual(checkJobAllowed(record), null);
+
+  jobStarted(record.id);
+  jobFinished(record.id, { seconds: 30, bytes: 100 });
+  const refused = checkJobAllowed(record);
+  assert.strictEqual(refused.error, 'Monthly quota of 2 processed minutes reached');
+  assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 31 * 24 * 3600);
+});
+
+test('checkJobAllowed starts a fresh quota when the month rolls over', () => {
+  const { key } = createKey({ name: 'rollover', limits: { monthlyBytes: 1000 } });
+  const record = findKey(key);
+  record.usage = { month: '2000-01', requests: 10, jobs: 3, minutes: 5, bytes: 5000 };
+
+  assert.strictEqual(checkJobAllowed(record), null);
+  assert.deepStrictEqual({ ...record.usage, month: null }, { month: null, requests: 0, jobs: 0, minutes: 0, bytes: 0 });
+});
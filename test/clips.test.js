@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTimestamp, parseClipInputs, needsClipProcessing, validateClipRanges } = require('../lib/clips');
+
+test('parseTimestamp accepts seconds and HH:MM:SS.mmm / MM:SS strings', () => {
+  assert.strictEqual(parseTimestamp(12.5), 12.5);
+  assert.strictEqual(parseTimestamp('90'), 90);
+  assert.strictEqual(parseTimestamp('01:30'), 90);
+  assert.strictEqual(parseTimestamp('01:02:03.5'), 3723.5);
+  assert.strictEqual(parseTimestamp(' 00:10 '), 10);
+  for (const value of ['1:2:3:4', 'abc', '-5', '1:234', null, undefined, {}]) {
+    assert.ok(Number.isNaN(parseTimestamp(value)), String(value));
+  }
+});
+
+test('parseClipInputs turns plain URLs into untrimmed clips', () => {
+  const { clips, error } = parseClipInputs(['https://example.com/a.mp4']);
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(clips, [{ url: 'https://example.com/a.mp4', filePath: null, start: null, end: null, speed: 1, muteAudio: false, subtitles: null }]);
+});
+
+test('parseClipInputs reads trims, speed, muting, subtitles and uploads', () => {
+  const { clips } = parseClipInputs([
+    { url: 'https://example.com/a.mp4', start: '00:05', end: 20, speed: 2, muteAudio: true, subtitles: 'https://example.com/a.srt' },
+    { upload: 0 }
+  ], [{ path: '/tmp/upload-0' }]);
+
+  assert.deepStrictEqual(clips[0], { url: 'https://example.com/a.mp4', filePath: null, start: 5, end: 20, speed: 2, muteAudio: true, subtitles: 'https://example.com/a.srt' });
+  assert.strictEqual(clips[1].url, null);
+  assert.strictEqual(clips[1].filePath, '/tmp/upload-0');
+});
+
+test('parseClipInputs names the offending entry', () => {
+  const cases = [
+    [[42], 'videoUrls[0] must be a URL string or an object with a url'],
+    [['https://example.com/a.mp4', { url: 'https://example.com/b.mp4', start: -1 }], /^videoUrls\[1\]\.start/],
+    [[{ url: 'https://example.com/a.mp4', end: 0 }], /^videoUrls\[0\]\.end must be a positive/],
+    [[{ url: 'https://example.com/a.mp4', start: 10, end: 5 }], 'videoUrls[0].end (5) must be greater than start (10)'],
+    [[{ url: 'https://example.com/a.mp4', speed: 5 }], /^videoUrls\[0\]\.speed/],
+    [[{ url: 'https://example.com/a.mp4', muteAudio: 'yes' }], 'videoUrls[0].muteAudio must be a boolean'],
+    [[{ url: 'https://example.com/a.mp4', subtitles: '' }], /^videoUrls\[0\]\.subtitles/],
+    [[{ upload: 1 }], /^videoUrls\[0\]\.upload must be the index of an uploaded file/]
+  ];
+  for (const [videoUrls, expected] of cases) {
+    const { error } = parseClipInputs(videoUrls, [{ path: '/tmp/upload-0' }]);
+    if (expected instanceof RegExp) {
+      assert.match(error, expected);
+    } else {
+      assert.strictEqual(error, expected);
+    }
+  }
+});
+
+test('needsClipProcessing is true for trims, speed changes and muting only', () => {
+  const clip = { start: null, end: null, speed: 1, muteAudio: false };
+  assert.strictEqual(needsClipProcessing(clip), false);
+  assert.strictEqual(needsClipProcessing({ ...clip, start: 0 }), true);
+  assert.strictEqual(needsClipProcessing({ ...clip, end: 5 }), true);
+  assert.strictEqual(needsClipProcessing({ ...clip, speed: 0.5 }), true);
+  assert.strictEqual(needsClipProcessing({ ...clip, muteAudio: true }), true);
+});
+
+test('validateClipRanges skips probing untrimmed clips without transitions', async () => {
+  const proxy = {
+    urlFor: () => assert.fail('nothing should be probed'),
+    errorFor: () => null
+  };
+  const { clips } = parseClipInputs(['https://example.com/a.mp4', 'https://example.com/b.mp4']);
+  assert.strictEqual(await validateClipRanges(clips, { proxy }), null);
+});
+
+test('validateClipRanges probes remote clips through the proxy and reports its rejection', async () => {
+  const probed = [];
+  const proxy = {
+    urlFor: (url) => {
+      probed.push(url);
+      return '/nonexistent/probe-proxy-target.mp4';
+    },
+    errorFor: (url) => new Error(`${url} resolves to a blocked address`)
+  };
+  const { clips } = parseClipInputs(['https://example.com/a.mp4', { url: 'http://internal.example/b.mp4', start: 1 }]);
+
+  const error = await validateClipRanges(clips, { proxy });
+  assert.deepStrictEqual(probed, ['http://internal.example/b.mp4']);
+  assert.strictEqual(error, 'videoUrls[1] could not be probed to validate start/end: http://internal.example/b.mp4 resolves to a blocked address');
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLineBuffer, ffmpegError, codedError, errorMessage, uploadError } = require('../lib/errors');
+
+test('createLineBuffer splits chunks into lines and leaves out the banner and progress lines', () => {
+  const seen = [];
+  const buffer = createLineBuffer(200, line => seen.push(line));
+  buffer.push('ffmpeg version 6.0 Copyright (c) 2000-2023\n  built with gcc 12\n  configuration: --enable-gpl\n');
+  buffer.push('  libavutil      58.  2.100 / 58.  2.100\nframe=   10 fps=0.0 q=0.0 size=       0kB\r');
+  buffer.push('[mp4 @ 0x1] moov atom not fo');
+  buffer.push('und\n\nclip.mp4: Invalid data');
+
+  assert.deepStrictEqual(buffer.lines(), ['[mp4 @ 0x1] moov atom not found', 'clip.mp4: Invalid data']);
+  assert.strictEqual(seen.length, 7); // onLine sees every complete line, noise and blanks included
+});
+
+test('createLineBuffer keeps only the last maxLines lines', () => {
+  const buffer = createLineBuffer(2);
+  buffer.push('one\ntwo\nthree\n');
+  assert.deepStrictEqual(buffer.lines(), ['two', 'three']);
+});
+
+test('ffmpegError classifies stderr by the first matching signature', () => {
+  const error = ffmpegError('Merge', 1, ['Non-monotonous DTS in output stream 0:0', '/tmp/b.mp4: Invalid data found when processing input']);
+  assert.strictEqual(error.code, 'INVALID_INPUT');
+  assert.strictEqual(error.exitCode, 1);
+
+  assert.strictEqual(ffmpegError('Merge', 1, ['Non-monotonous DTS in output stream 0:0']).code, 'NON_MONOTONIC_DTS');
+  assert.strictEqual(ffmpegError('Merge', 1, ['av_interleaved_write_frame(): No space left on device']).code, 'DISK_FULL');
+  assert.strictEqual(ffmpegError('Merge', 1, ["Stream map '0:a:0' matches no streams."]).code, 'MISSING_AUDIO_STREAM');
+});
+
+test('ffmpegError falls back to FFMPEG_FAILED with the last stderr line', () => {
+  const error = ffmpegError('Normalize', 234, ['something odd', 'Conversion failed!']);
+  assert.strictEqual(error.code, 'FFMPEG_FAILED');
+  assert.strictEqual(error.message, 'Normalize failed with exit code 234: Conversion failed!');
+  assert.strictEqual(error.inputIndex, null);
+  assert.strictEqual(ffmpegError('Normalize', 1, []).message, 'Normalize failed with exit code 1');
+});
+
+test('ffmpegError attributes the failure to the input a stderr line names', () => {
+  const inputs = [{ path: '/tmp/s_1.mp4', index: 0 }, { path: '/tmp/s_2.mp4', index: 1 }];
+  const args = ['-i', '/tmp/s_1.mp4', '-i', '/tmp/s_2.mp4', 'out.mp4'];
+
+  const byPath = ffmpegError('Merge', 1, ['/tmp/s_2.mp4: Invalid data found when processing input'], { inputs, args });
+  assert.strictEqual(byPath.inputIndex, 1);
+  assert.strictEqual(byPath.message, 'Input 2 is not a readable video file');
+
+  // The line naming the input may come before the one that matched
+  const byReference = ffmpegError('Merge', 1, ['Error while decoding stream #1:0 in#1', 'Invalid data found when processing input'], { inputs, args });
+  assert.strictEqual(byReference.inputIndex, 1);
+
+  const single = ffmpegError('Trim', 1, ['moov atom not found'], { inputs: [{ path: '/tmp/x.mp4', index: 3 }] });
+  assert.strictEqual(single.inputIndex, 3);
+});
+
+test('ffmpegError keeps only the stderr tail', () => {
+  const lines = Array.from({ length: 50 }, (_, i) => `line ${i}`);
+  const error = ffmpegError('Merge', 1, lines);
+  assert.strictEqual(error.stderr.length, 20);
+  assert.strictEqual(error.stderr[19], 'line 49');
+});
+
+test('codedError carries a code and an optional input index', () => {
+  const error = codedError('CUT_OUT_OF_RANGE', 'Cut point 90s is not before the end of the video');
+  assert.ok(error instanceof Error);
+  assert.strictEqual(error.code, 'CUT_OUT_OF_RANGE');
+  assert.strictEqual(error.inputIndex, null);
+  assert.strictEqual(codedError('INVALID_INPUT', 'bad', 2).inputIndex, 2);
+});
+
+test('errorMessage reads errors, strings and SDK rejection objects', () => {
+  assert.strictEqual(errorMessage(new Error('boom')), 'boom');
+  assert.strictEqual(errorMessage('plain'), 'plain');
+  assert.strictEqual(errorMessage({ error: { message: 'Invalid Signature', http_code: 401 } }), 'Invalid Signature');
+  assert.strictEqual(errorMessage(null), 'Unknown error');
+});
+
+test('uploadError maps auth failures and full disks to their codes', () => {
+  const auth = uploadError('Cloudinary', { error: { message: 'Invalid Signature', http_code: 401 } });
+  assert.strictEqual(auth.code, 'STORAGE_AUTH_FAILED');
+  assert.strictEqual(auth.httpStatus, 401);
+  assert.strictEqual(auth.message, 'Cloudinary upload failed: Invalid Signature');
+
+  assert.strictEqual(uploadError('S3', { statusCode: 403, message: 'Access Denied' }).code, 'STORAGE_AUTH_FAILED');
+  assert.strictEqual(uploadError('Local', Object.assign(new Error('write failed'), { code: 'ENOSPC' })).code, 'DISK_FULL');
+
+  const other = uploadError('S3', { statusCode: 500, message: 'Internal' });
+  assert.strictEqual(other.code, 'UPLOAD_FAILED');
+  assert.strictEqual(other.inputIndex, null);
+});
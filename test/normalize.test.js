@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planNormalization } = require('../lib/normalize');
+
+function clipInfo(video = {}, audio = {}) {
+  return {
+    duration: 4,
+    video: { codec: 'h264', width: 1920, height: 1080, frameRate: '30/1', pixFmt: 'yuv420p', timeBase: '1/15360', rotation: 0, sar: '1:1', ...video },
+    audio: audio && { codec: 'aac', sampleRate: 48000, channels: 2, channelLayout: 'stereo', ...audio }
+  };
+}
+
+test('planNormalization leaves matching clips to stream copy', () => {
+  const { clips } = planNormalization([clipInfo(), clipInfo()]);
+  assert.deepStrictEqual(clips.map(clip => clip.normalized), [false, false]);
+});
+
+test('planNormalization re-encodes only the clips that differ from the majority', () => {
+  const { target, clips } = planNormalization([clipInfo(), clipInfo({ width: 1280, height: 720 }), clipInfo({}, null)]);
+  assert.strictEqual(target.video.width, 1920);
+  assert.deepStrictEqual(clips.map(clip => clip.normalized), [false, true, true]);
+  assert.deepStrictEqual(clips[1].reasons, ['resolution 1280x720 != 1920x1080']);
+  assert.deepStrictEqual(clips[2].reasons, ['missing audio track (silence added)']);
+});
+
+test('planNormalization re-encodes a sideways phone clip stored at the landscape size', () => {
+  const { clips } = planNormalization([clipInfo(), clipInfo(), clipInfo({ rotation: 90 })]);
+  assert.deepStrictEqual(clips.map(clip => clip.normalized), [false, false, true]);
+  assert.deepStrictEqual(clips[2].reasons, ['rotation 90 != 0']);
+});
+
+test('planNormalization re-encodes clips with non-square pixels', () => {
+  const { clips } = planNormalization([clipInfo(), clipInfo(), clipInfo({ sar: '4:3' })]);
+  assert.deepStrictEqual(clips[2].reasons, ['sample aspect ratio 4:3 != 1:1']);
+});
+
+test('planNormalization keeps a shared rotation on the copy path', () => {
+  const { target, clips } = planNormalization([clipInfo({ rotation: 90 }), clipInfo({ rotation: 90 })]);
+  assert.strictEqual(target.video.rotation, 90);
+  assert.deepStrictEqual(clips.map(clip => clip.normalized), [false, false]);
+});
+
+test('planNormalization makes a rotated target upright when any clip is re-encoded', () => {
+  const { target, clips } = planNormalization([clipInfo({ rotation: 90 }), clipInfo({ rotation: 90 }), clipInfo({ width: 1280, height: 720 })]);
+  // Encoded clips come out upright, so the rotated majority can't be copied next to them
+  assert.deepStrictEqual([target.video.width, target.video.height, target.video.rotation], [1080, 1920, 0]);
+  assert.deepStrictEqual(clips.map(clip => clip.normalized), [true, true, true]);
+});
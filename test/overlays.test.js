@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOverlays, buildOverlayFilter, writeTextFiles } = require('../lib/overlays');
+
+test('parseOverlays fills in defaults for image and text overlays', () => {
+  assert.deepStrictEqual(parseOverlays(undefined), { overlays: null });
+  assert.deepStrictEqual(parseOverlays([]), { overlays: null });
+
+  const { overlays } = parseOverlays([
+    { type: 'image', url: 'https://example.com/logo.png', scale: 0.2 },
+    { type: 'text', text: 'Hello', start: 2, end: 5 }
+  ]);
+  assert.deepStrictEqual(overlays, [
+    { type: 'image', url: 'https://example.com/logo.png', scale: 0.2, opacity: 1, position: 'top-right', x: undefined, y: undefined, margin: 20, start: 0, end: null },
+    { type: 'text', text: 'Hello', font: 'sans', fontSize: 48, color: 'white', box: false, boxColor: 'black@0.5', boxPadding: 10, position: 'bottom', x: undefined, y: undefined, margin: 20, start: 2, end: 5 }
+  ]);
+});
+
+test('parseOverlays rejects bad overlays with the offending field', () => {
+  const cases = [
+    [{ type: 'image' }, 'overlays[0].url is required for image overlays'],
+    [{ type: 'video', url: 'https://example.com/a.mp4' }, 'overlays[0].type must be "image" or "text"'],
+    [{ type: 'image', url: 'https://example.com/a.png', scale: 2 }, /^overlays\[0\]\.scale must be/],
+    [{ type: 'image', url: 'https://example.com/a.png', position: 'middle' }, /^overlays\[0\]\.position must be one of/],
+    [{ type: 'text', text: '   ' }, 'overlays[0].text is required for text overlays'],
+    [{ type: 'text', text: 'x'.repeat(501) }, 'overlays[0].text must be at most 500 characters'],
+    [{ type: 'text', text: 'Hi', font: 'comic' }, /^overlays\[0\]\.font must be one of/],
+    [{ type: 'text', text: 'Hi', color: 'red@2' }, /^overlays\[0\]\.color must be a color name/],
+    [{ type: 'text', text: 'Hi', start: 5, end: 5 }, 'overlays[0].end must be a number of seconds after start']
+  ];
+  for (const [spec, expected] of cases) {
+    const { error } = parseOverlays([spec]);
+    if (expected instanceof RegExp) {
+      assert.match(error, expected);
+    } else {
+      assert.strictEqual(error, expected);
+    }
+  }
+
+  assert.strictEqual(parseOverlays({ type: 'text', text: 'Hi' }).error, 'overlays must be an array of image or text overlays');
+  assert.strictEqual(parseOverlays(new Array(11).fill({ type: 'text', text: 'Hi' })).error, 'Maximum 10 overlays allowed per merge request');
+});
+
+test('parseOverlays accepts color names and #RRGGBB with an optional opacity', () => {
+  for (const color of ['yellow', '#FF8800', 'black@0.25', '#00ff00@1']) {
+    assert.strictEqual(parseOverlays([{ type: 'text', text: 'Hi', color }]).overlays[0].color, color);
+  }
+});
+
+test('buildOverlayFilter chains overlays, reading images from the extra inputs in order', () => {
+  const { overlays } = parseOverlays([
+    { type: 'image', url: 'https://example.com/logo.png', scale: 0.1, opacity: 0.5, position: 'top-left' },
+    { type: 'text', text: 'Hi', box: true, x: 10, y: 20, start: 1 }
+  ]);
+  const { filters, label } = buildOverlayFilter(overlays, { input: 'vout', frameWidth: 1280, textFiles: [null, '/tmp/m.text1.txt'], firstImageInput: 2 });
+
+  assert.strictEqual(label, 'ov1');
+  assert.deepStrictEqual(filters.slice(0, 2), [
+    '[2:v]scale=128:-1,format=rgba,colorchannelmixer=aa=0.5[img0]',
+    '[vout][img0]overlay=x=20:y=20[ov0]'
+  ]);
+  assert.match(filters[2], /^\[ov0\]drawtext=fontfile='.*Lato-Regular\.ttf':textfile='\/tmp\/m\.text1\.txt':expansion=none:/);
+  assert.match(filters[2], /:x=10:y=20:box=1:boxcolor=black@0\.5:boxborderw=10:enable='gte\(t,1\)'\[ov1\]$/);
+});
+
+test('writeTextFiles writes one file per text overlay', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overlays-test-'));
+  try {
+    const { overlays } = parseOverlays([{ type: 'image', url: 'https://example.com/logo.png' }, { type: 'text', text: "It's 50% off: {now}" }]);
+    const files = writeTextFiles(overlays, path.join(dir, 'merge'));
+    assert.deepStrictEqual(files, [null, path.join(dir, 'merge.text1.txt')]);
+    assert.strictEqual(fs.readFileSync(files[1], 'utf8'), "It's 50% off: {now}");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOutputOption, buildOutputFilter } = require('../lib/presets');
+
+test('parseOutputOption expands preset names and lets fields override them', () => {
+  assert.deepStrictEqual(parseOutputOption(undefined), { output: null });
+  assert.deepStrictEqual(parseOutputOption('tiktok'), {
+    output: { preset: 'tiktok', width: 1080, height: 1920, fit: 'pad', padColor: 'black', fps: null }
+  });
+  assert.deepStrictEqual(parseOutputOption({ preset: 'youtube', height: 800, fit: 'contain', padColor: '#112233', fps: 30 }).output, {
+    preset: 'youtube', width: 1920, height: 800, fit: 'contain', padColor: '#112233', fps: 30
+  });
+  assert.deepStrictEqual(parseOutputOption({ width: 640, height: 360 }).output.preset, null);
+});
+
+test('parseOutputOption leaves the frame alone for a streaming format on its own', () => {
+  assert.deepStrictEqual(parseOutputOption('hls'), { output: null });
+  assert.deepStrictEqual(parseOutputOption({ format: 'dash', renditions: [720] }), { output: null });
+  assert.strictEqual(parseOutputOption({ format: 'hls', preset: 'reels' }).output.width, 1080);
+});
+
+test('parseOutputOption rejects unknown presets and bad fields', () => {
+  const cases = [
+    ['vimeo', /^output\.preset must be one of: youtube,/],
+    [['youtube'], /^output must be a preset name/],
+    [{ width: 641, height: 360 }, /^output\.width and output\.height must be even integers/],
+    [{ width: 8192, height: 4320 }, /^output\.width and output\.height must be even integers/],
+    [{ height: 720 }, /^output\.width and output\.height must be even integers/],
+    [{ preset: 'youtube', fit: 'stretch' }, 'output.fit must be one of: contain, cover, pad'],
+    [{ preset: 'youtube', padColor: 'not a color' }, 'output.padColor must be a color name or #RRGGBB'],
+    [{ preset: 'youtube', fps: 240 }, 'output.fps must be a number between 1 and 120']
+  ];
+  for (const [option, expected] of cases) {
+    const { error } = parseOutputOption(option);
+    if (expected instanceof RegExp) {
+      assert.match(error, expected);
+    } else {
+      assert.strictEqual(error, expected);
+    }
+  }
+});
+
+test('buildOutputFilter converts the frame with the requested fit', () => {
+  const output = { width: 1080, height: 1920, padColor: 'black', fps: null };
+  assert.deepStrictEqual(buildOutputFilter({ ...output, fit: 'cover' }, 'vout'), {
+    filters: ['[vout]scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,setsar=1[framed]'],
+    label: 'framed'
+  });
+  assert.deepStrictEqual(buildOutputFilter({ ...output, fit: 'contain', padColor: 'white', fps: 25 }, 'vout').filters, [
+    '[vout]scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2:color=white,setsar=1,fps=25[framed]'
+  ]);
+
+  const padded = buildOutputFilter({ ...output, fit: 'pad' }, 'vout').filters;
+  assert.strictEqual(padded.length, 4);
+  assert.match(padded[1], /boxblur=20:2\[bg\]$/);
+  assert.strictEqual(padded[3], '[bg][fg]overlay=x=(W-w)/2:y=(H-h)/2,setsar=1[framed]');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Settings are read at require time: keep the cache file out of data/
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-test-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.RESULT_CACHE_TTL_DAYS;
+process.env.RESULT_CACHE_MAX_ENTRIES = '2';
+
+const resultCache = require('../lib/resultCache');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function mergeRequest(fields = {}) {
+  return {
+    clips: [{ url: 'https://example.com/a.mp4', start: null, end: null, speed: 1 }, { url: 'https://example.com/b.mp4', start: 2, end: null, speed: 1 }],
+    output: { preset: 'youtube', width: 1920, height: 1080, fit: 'pad', padColor: 'black', fps: null },
+    storage: 'cloudinary',
+    retentionDays: 7,
+    apiKeyId: null,
+    async: false,
+    callbackUrl: null,
+    ...fields
+  };
+}
+
+test('requestKey ignores field order and delivery details', () => {
+  const key = resultCache.requestKey(mergeRequest());
+  assert.match(key, /^[0-9a-f]{64}$/);
+
+  const reordered = mergeRequest({
+    output: { fps: null, padColor: 'black', fit: 'pad', height: 1080, width: 1920, preset: 'youtube' },
+    async: true,
+    callbackUrl: 'https://example.com/hook'
+  });
+  assert.strictEqual(resultCache.requestKey(reordered), key);
+});
+
+test('requestKey changes with anything that decides the output', () => {
+  const key = resultCache.requestKey(mergeRequest());
+  const base = mergeRequest();
+  const variants = [
+    mergeRequest({ clips: [...base.clips].reverse() }),
+    mergeRequest({ clips: [base.clips[0], { ...base.clips[1], start: 3 }] }),
+    mergeRequest({ output: { ...base.output, fit: 'cover' } }),
+    mergeRequest({ storage: 's3' }),
+    mergeRequest({ retentionDays: 30 }),
+    mergeRequest({ apiKeyId: 'key-1' })
+  ];
+  for (const variant of variants) {
+    assert.notStrictEqual(resultCache.requestKey(variant), key);
+  }
+});
+
+test('requestKey skips requests with uploaded files', () => {
+  assert.strictEqual(resultCache.requestKey(mergeRequest({ clips: [{ filePath: '/tmp/upload-1', start: null, end: null, speed: 1 }] })), null);
+});
+
+test('set caps the entry by the video retention and get drops expired entries', () => {
+  const key = resultCache.requestKey(mergeRequest({ retentionDays: 3 }));
+  const expiresAt = new Date(Date.now() + 3 * DAY_MS).toISOString();
+  resultCache.set(key, { videoUrl: 'https://cdn.example.com/v.mp4', expiresAt }, 'job-1');
+
+  const entry = resultCache.get(key);
+  assert.strictEqual(entry.jobId, 'job-1');
+  // One day before the video is deleted, well short of the 30 day TTL
+  assert.ok(Math.abs(new Date(entry.expiresAt).getTime() - (Date.now() + 2 * DAY_MS)) < 60 * 1000);
+
+  // Results whose presigned URL has already run out are not cached
+  const stale = resultCache.requestKey(mergeRequest({ retentionDays: 4 }));
+  resultCache.set(stale, { videoUrl: 'https://bucket.example.com/v.mp4', urlExpiresAt: new Date(Date.now() - 1000).toISOString() }, 'job-2');
+  assert.strictEqual(resultCache.get(stale), null);
+  assert.strictEqual(resultCache.get(null), null);
+});
+
+test('set keeps at most RESULT_CACHE_MAX_ENTRIES, dropping the oldest', () => {
+  const keys = [11, 12, 13].map(retentionDays => resultCache.requestKey(mergeRequest({ retentionDays })));
+  keys.forEach((key, i) => resultCache.set(key, { videoUrl: `https://cdn.example.com/${i}.mp4` }, `job-${i}`));
+
+  assert.strictEqual(resultCache.get(keys[0]), null);
+  assert.strictEqual(resultCache.get(keys[2]).jobId, 'job-2');
+  assert.strictEqual(resultCache.getStats().entries, 2);
+});
+
+test('forgetStorageId removes results whose video was deleted', () => {
+  const key = resultCache.requestKey(mergeRequest({ retentionDays: 20 }));
+  resultCache.set(key, { videoUrl: 'https://cdn.example.com/v.mp4', storage: 'cloudinary', storageId: 'merged/v' }, 'job-3');
+  resultCache.forgetStorageId('s3', 'merged/v');
+  assert.ok(resultCache.get(key));
+  resultCache.forgetStorageId('cloudinary', 'merged/v');
+  assert.strictEqual(resultCache.get(key), null);
+});
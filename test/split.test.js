@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSplitRequest, planByDuration, planBySize } = require('../lib/split');
+
+const MB = 1024 * 1024;
+
+test('parseSplitRequest validates each mode', () => {
+  assert.deepStrictEqual(parseSplitRequest({ videoUrl: ' https://example.com/a.mp4 ', mode: 'duration', duration: 60 }), {
+    split: { videoUrl: 'https://example.com/a.mp4', mode: 'duration', duration: 60 }
+  });
+  assert.deepStrictEqual(parseSplitRequest({ url: 'https://example.com/a.mp4', mode: 'size', maxSizeMB: 25 }).split.maxSizeMB, 25);
+  assert.deepStrictEqual(parseSplitRequest({ videoUrl: 'https://example.com/a.mp4', mode: 'points', points: [10, '00:01:00'] }).split.points, [10, 60]);
+  assert.deepStrictEqual(parseSplitRequest({ videoUrl: 'https://example.com/a.mp4', mode: 'scenes' }).split, {
+    videoUrl: 'https://example.com/a.mp4',
+    mode: 'scenes',
+    sceneThreshold: 0.4,
+    minDuration: 2
+  });
+});
+
+test('parseSplitRequest rejects bad bodies', () => {
+  const cases = [
+    [{ mode: 'duration', duration: 60 }, 'videoUrl is required'],
+    [{ videoUrl: 'https://example.com/a.mp4', mode: 'halves' }, /^mode must be one of/],
+    [{ videoUrl: 'https://example.com/a.mp4', mode: 'duration', duration: 0.5 }, /^duration must be/],
+    [{ videoUrl: 'https://example.com/a.mp4', mode: 'size' }, 'maxSizeMB must be between 1 and 4096'],
+    [{ videoUrl: 'https://example.com/a.mp4', mode: 'points', points: [] }, /^points must be a non-empty array/],
+    [{ videoUrl: 'https://example.com/a.mp4', mode: 'points', points: [0] }, /^points\[0\] must be a positive/],
+    [{ videoUrl: 'https://example.com/a.mp4', mode: 'points', points: [20, 10] }, 'points[1] must be later than points[0]'],
+    [{ videoUrl: 'https://example.com/a.mp4', mode: 'scenes', sceneThreshold: 1 }, /^sceneThreshold must be/]
+  ];
+  for (const [body, expected] of cases) {
+    const { error } = parseSplitRequest(body);
+    if (expected instanceof RegExp) {
+      assert.match(error, expected);
+    } else {
+      assert.strictEqual(error, expected);
+    }
+  }
+});
+
+test('planByDuration snaps cuts back to keyframes within the snap window', () => {
+  // 29 and 58 are within a quarter part length of the targets; nothing is near 88, so that cut stays exact
+  assert.deepStrictEqual(planByDuration(100, 30, [0, 25, 29, 58, 61, 90]), [29, 58, 88]);
+  // Keyframes past the target or before the window are ignored
+  assert.deepStrictEqual(planByDuration(50, 20, [0, 10, 21, 30, 41]), [20, 40]);
+  assert.deepStrictEqual(planByDuration(30, 30, [0, 10, 20]), []);
+});
+
+test('planBySize cuts at the last keyframe that keeps each part within the budget', () => {
+  const index = {
+    keyframes: [
+      { time: 0, offset: 0 },
+      { time: 2, offset: 0.5 * MB },
+      { time: 4, offset: 0.9 * MB },
+      { time: 6, offset: 1.5 * MB },
+      { time: 8, offset: 1.9 * MB },
+      { time: 10, offset: 2.5 * MB }
+    ],
+    totalBytes: 3 * MB
+  };
+  assert.deepStrictEqual(planBySize(index, 1), [4, 6, 8, 10]);
+  assert.deepStrictEqual(planBySize(index, 4), []);
+});
+
+test('planBySize fails with PART_TOO_LARGE when a keyframe interval is over the limit', () => {
+  const index = { keyframes: [{ time: 0, offset: 0 }, { time: 5, offset: 2 * MB }], totalBytes: 3 * MB };
+  assert.throws(() => planBySize(index, 1), (error) => error.code === 'PART_TOO_LARGE' && /at 0\.000s/.test(error.message));
+});
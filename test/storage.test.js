@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.RETENTION_DAYS = '10';
+
+const { parseRetentionDays, retainUntilFor, listMerges, listExpired, removeMerge } = require('../lib/storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MERGE_A = 'merged_1700000000000_0f8fad5b-d9cb-469f-a165-70867728950e';
+const MERGE_B = 'merged_1700000500000_7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+// Backend stub serving items pageSize at a time, filtered by prefix like the real adapters
+function stubBackend(items, pageSize = 2) {
+  const removed = [];
+  return {
+    removed,
+    pages: 0,
+    async list({ prefix = '', cursor, limit } = {}) {
+      this.pages++;
+      const matching = items.filter(item => item.id.includes(prefix));
+      const start = cursor ? parseInt(cursor, 10) : 0;
+      const end = start + Math.min(pageSize, limit || pageSize);
+      return { items: matching.slice(start, end), nextCursor: end < matching.length ? String(end) : null };
+    },
+    async remove(id) {
+      removed.push(id);
+    }
+  };
+}
+
+function daysFrom(now, days) {
+  return new Date(now.getTime() + days * DAY_MS).toISOString();
+}
+
+test('parseRetentionDays defaults to RETENTION_DAYS and caps requests at a year', () => {
+  assert.deepStrictEqual(parseRetentionDays(undefined), { retentionDays: 10 });
+  assert.deepStrictEqual(parseRetentionDays(0.5), { retentionDays: 0.5 });
+  for (const value of [0, -1, 366, '7', NaN]) {
+    assert.strictEqual(parseRetentionDays(value).error, 'retentionDays must be a number of days between 0 and 365');
+  }
+});
+
+test('retainUntilFor is retentionDays from now', () => {
+  const retainUntil = new Date(retainUntilFor(2)).getTime();
+  assert.ok(Math.abs(retainUntil - (Date.now() + 2 * DAY_MS)) < 1000);
+});
+
+test('listExpired pages through the listing and uses the default retention for assets without retainUntil', async () => {
+  const now = new Date('2024-06-01T00:00:00.000Z');
+  const backend = stubBackend([
+    { id: `merged-videos/${MERGE_A}`, createdAt: daysFrom(now, -20), retainUntil: daysFrom(now, -1) },
+    { id: `merged-videos/${MERGE_A}_poster`, createdAt: daysFrom(now, -20), retainUntil: daysFrom(now, 1) },
+    { id: 'merged-videos/old', createdAt: daysFrom(now, -11), retainUntil: null },
+    { id: 'merged-videos/recent', createdAt: daysFrom(now, -9), retainUntil: null },
+    { id: `merged-videos/${MERGE_B}/`, createdAt: daysFrom(now, -1), retainUntil: now.toISOString() }
+  ]);
+
+  assert.deepStrictEqual(await listExpired(backend, now), [`merged-videos/${MERGE_A}`, 'merged-videos/old', `merged-videos/${MERGE_B}/`]);
+  assert.strictEqual(backend.pages, 3);
+});
+
+test('listMerges groups the assets of one merge and keeps its latest expiry', async () => {
+  const now = new Date();
+  const backend = stubBackend([
+    { id: `merged-videos/${MERGE_B}`, createdAt: daysFrom(now, -1), retainUntil: daysFrom(now, 5) },
+    { id: `merged-videos/${MERGE_A}`, createdAt: daysFrom(now, -3), retainUntil: daysFrom(now, -1) },
+    { id: `merged-videos/${MERGE_A}_poster`, createdAt: daysFrom(now, -2), retainUntil: daysFrom(now, 1) }
+  ], 10);
+
+  const { merges, nextCursor } = await listMerges(backend);
+  assert.strictEqual(nextCursor, null);
+  assert.deepStrictEqual(merges.map(merge => [merge.publicId, merge.storageIds.length, merge.expired]), [[MERGE_B, 1, false], [MERGE_A, 2, false]]);
+  assert.strictEqual(merges[1].createdAt, daysFrom(now, -3));
+  assert.strictEqual(merges[1].expiresAt, daysFrom(now, 1));
+});
+
+test('removeMerge deletes every asset of the merge across pages', async () => {
+  const backend = stubBackend([
+    { id: `merged-videos/${MERGE_A}`, createdAt: new Date().toISOString() },
+    { id: `merged-videos/${MERGE_B}`, createdAt: new Date().toISOString() },
+    { id: `merged-videos/${MERGE_A}_poster`, createdAt: new Date().toISOString() },
+    { id: `merged-videos/${MERGE_A}_storyboard.vtt`, createdAt: new Date().toISOString() }
+  ], 1);
+
+  assert.deepStrictEqual(await removeMerge(backend, MERGE_A), [
+    `merged-videos/${MERGE_A}`,
+    `merged-videos/${MERGE_A}_poster`,
+    `merged-videos/${MERGE_A}_storyboard.vtt`
+  ]);
+  assert.strictEqual(backend.removed.length, 3);
+  assert.deepStrictEqual(await removeMerge(backend, 'merged_0_unknown'), []);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStreamingOption, buildLadder } = require('../lib/streaming');
+
+test('parseStreamingOption defaults the ladder and sorts the renditions highest first', () => {
+  assert.deepStrictEqual(parseStreamingOption(undefined), { streaming: null });
+  assert.deepStrictEqual(parseStreamingOption('youtube'), { streaming: null });
+  assert.deepStrictEqual(parseStreamingOption({ format: 'mp4', preset: 'youtube' }), { streaming: null });
+  assert.deepStrictEqual(parseStreamingOption('hls'), { streaming: { format: 'hls', renditions: [1080, 720, 480], segmentDuration: 6 } });
+  assert.deepStrictEqual(parseStreamingOption({ format: 'dash', renditions: [480, 1080, 480], segmentDuration: 4 }), {
+    streaming: { format: 'dash', renditions: [1080, 480], segmentDuration: 4 }
+  });
+});
+
+test('parseStreamingOption rejects bad formats, renditions and segment lengths', () => {
+  const cases = [
+    [{ format: 'smooth' }, 'output.format must be one of: mp4, hls, dash'],
+    [{ format: 'hls', renditions: [] }, 'output.renditions must be an array of 1 to 5 heights'],
+    [{ format: 'hls', renditions: [1080, 720, 480, 360, 240, 144] }, 'output.renditions must be an array of 1 to 5 heights'],
+    [{ format: 'hls', renditions: [721] }, 'output.renditions entries must be even integers between 144 and 2160'],
+    [{ format: 'hls', renditions: [4320] }, 'output.renditions entries must be even integers between 144 and 2160'],
+    [{ format: 'dash', segmentDuration: 1 }, 'output.segmentDuration must be a number of seconds between 2 and 15']
+  ];
+  for (const [option, expected] of cases) {
+    assert.strictEqual(parseStreamingOption(option).error, expected);
+  }
+});
+
+test('buildLadder measures rungs on the short side and drops rungs above the source', () => {
+  assert.deepStrictEqual(buildLadder([1080, 720, 480], { width: 1280, height: 720 }), [
+    { name: '720p', width: 1280, height: 720, videoBitrate: 2222 },
+    { name: '480p', width: 854, height: 480, videoBitrate: 988 }
+  ]);
+  // Portrait video: 720p is 720 wide
+  assert.deepStrictEqual(buildLadder([720], { width: 1080, height: 1920 }).map(rung => [rung.width, rung.height]), [[720, 1280]]);
+  // Nothing fits a small source, so its own size stands in
+  assert.deepStrictEqual(buildLadder([1080, 720], { width: 640, height: 361 }), [
+    { name: '360p', width: 638, height: 360, videoBitrate: 554 }
+  ]);
+});
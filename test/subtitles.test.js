@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSubtitleOptions, parseSubtitles, shiftCues, buildCombinedCues, formatSubtitles } = require('../lib/subtitles');
+
+test('parseSubtitles reads SRT with comma times, CRLF line ends and a BOM', () => {
+  const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\nthere\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nAgain\r\n';
+  assert.deepStrictEqual(parseSubtitles(srt), [
+    { start: 1, end: 2.5, text: 'Hello\nthere' },
+    { start: 3, end: 4, text: 'Again' }
+  ]);
+});
+
+test('parseSubtitles reads WebVTT with short times and cue settings, skipping header, NOTE and STYLE blocks', () => {
+  const vtt = [
+    'WEBVTT - captions',
+    '',
+    'NOTE written by hand',
+    '',
+    'STYLE',
+    '::cue { color: yellow }',
+    '',
+    'intro',
+    '00:01.5 --> 00:03.000 align:start position:10%',
+    '<v Ann>Hi',
+    '',
+    '01:00:00.000 --> 01:00:01.000',
+    'Late'
+  ].join('\n');
+  assert.deepStrictEqual(parseSubtitles(vtt), [
+    { start: 1.5, end: 3, text: '<v Ann>Hi' },
+    { start: 3600, end: 3601, text: 'Late' }
+  ]);
+});
+
+test('parseSubtitles drops cues with bad times, no text or an end before the start', () => {
+  const srt = '1\n00:00:0x,000 --> 00:00:02,000\nBad\n\n2\n00:00:05,000 --> 00:00:04,000\nBackwards\n\n3\n00:00:06,000 --> 00:00:07,000\n\n';
+  assert.deepStrictEqual(parseSubtitles(srt), []);
+});
+
+test('shiftCues clips cues to the trim and moves them onto the merged timeline', () => {
+  const cues = [
+    { start: 0, end: 2, text: 'before' },
+    { start: 4, end: 6, text: 'across start' },
+    { start: 7, end: 8, text: 'inside' },
+    { start: 9, end: 12, text: 'across end' },
+    { start: 12, end: 13, text: 'after' }
+  ];
+  assert.deepStrictEqual(shiftCues(cues, { start: 5, end: 10, speed: 1, offset: 20, duration: 5 }), [
+    { start: 20, end: 21, text: 'across start' },
+    { start: 22, end: 23, text: 'inside' },
+    { start: 24, end: 25, text: 'across end' }
+  ]);
+});
+
+test('shiftCues scales cue times by the clip speed', () => {
+  const cues = [{ start: 2, end: 6, text: 'fast' }];
+  assert.deepStrictEqual(shiftCues(cues, { start: null, end: null, speed: 2, offset: 10, duration: 5 }), [{ start: 11, end: 13, text: 'fast' }]);
+  assert.deepStrictEqual(shiftCues(cues, { start: null, end: null, speed: 0.5, offset: 0, duration: 10 }), [{ start: 4, end: 10, text: 'fast' }]);
+});
+
+test('buildCombinedCues offsets each clip by the ones before it, minus transition overlaps', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitles-test-'));
+  try {
+    const first = path.join(dir, 'a.srt');
+    const third = path.join(dir, 'c.vtt');
+    fs.writeFileSync(first, '1\n00:00:01,000 --> 00:00:02,000\nFirst\n');
+    fs.writeFileSync(third, 'WEBVTT\n\n00:00.500 --> 00:01.500\nThird\n');
+
+    const clips = [
+      { start: null, end: null, speed: 1 },
+      { start: null, end: null, speed: 1 },
+      { start: null, end: null, speed: 1 }
+    ];
+    // 4s + 3s with a 1s transition between clips 2 and 3: the third clip starts at 4 + 3 - 1 = 6s
+    const cues = buildCombinedCues(clips, [first, null, third], [4, 3, 5], [null, { type: 'fade', duration: 1 }]);
+    assert.deepStrictEqual(cues, [
+      { start: 1, end: 2, text: 'First' },
+      { start: 6.5, end: 7.5, text: 'Third' }
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('formatSubtitles writes SRT and WebVTT', () => {
+  const cues = [{ start: 3661.5, end: 3662.25, text: 'Line' }];
+  assert.strictEqual(formatSubtitles(cues, 'srt'), '1\n01:01:01,500 --> 01:01:02,250\nLine\n');
+  assert.strictEqual(formatSubtitles(cues, 'vtt'), 'WEBVTT\n\n01:01:01.500 --> 01:01:02.250\nLine\n');
+});
+
+test('parseSubtitleOptions defaults to a soft track and validates overrides', () => {
+  assert.deepStrictEqual(parseSubtitleOptions(undefined, true), { subtitles: { mode: 'soft', format: 'vtt', language: 'und', fontSize: 24 } });
+  assert.deepStrictEqual(parseSubtitleOptions(undefined, false), { subtitles: null });
+  assert.deepStrictEqual(parseSubtitleOptions({ mode: 'burn', fontSize: 32 }, true).subtitles, { mode: 'burn', format: 'vtt', language: 'und', fontSize: 32 });
+  assert.match(parseSubtitleOptions({ mode: 'burn' }, false).error, /needs at least one videoUrls entry/);
+  assert.match(parseSubtitleOptions({ mode: 'overlay' }, true).error, /^subtitles\.mode must be one of/);
+  assert.match(parseSubtitleOptions({ language: 'en' }, true).error, /three-letter ISO 639-2/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTransitions, findOversizedTransition, buildTransitionFilter } = require('../lib/transitions');
+
+test('parseTransitions expands a global spec to every clip boundary', () => {
+  assert.deepStrictEqual(parseTransitions('crossfade', 3), { transitions: [{ type: 'fade', duration: 1 }, { type: 'fade', duration: 1 }] });
+  assert.deepStrictEqual(parseTransitions(['cut', { type: 'wipe', duration: 2 }], 3), { transitions: [null, { type: 'wipeleft', duration: 2 }] });
+  assert.deepStrictEqual(parseTransitions(['cut', null], 3), { transitions: null });
+});
+
+test('parseTransitions has nothing to apply to a single clip', () => {
+  assert.deepStrictEqual(parseTransitions('crossfade', 1), { transitions: null });
+  assert.deepStrictEqual(parseTransitions({ type: 'fade', duration: 2 }, 1), { transitions: null });
+  assert.deepStrictEqual(parseTransitions([], 1), { transitions: null });
+  // The spec is still validated
+  assert.match(parseTransitions('spin', 1).error, /^transitions\.type "spin" is not supported/);
+});
+
+test('parseTransitions rejects arrays of the wrong length and bad durations', () => {
+  assert.strictEqual(parseTransitions(['fade'], 3).error, 'transitions array must have 2 entries (one per clip boundary)');
+  assert.match(parseTransitions([{ type: 'fade', duration: 6 }], 2).error, /^transitions\[0\]\.duration must be/);
+});
+
+test('findOversizedTransition accepts transitions shorter than both clips they join', () => {
+  assert.strictEqual(findOversizedTransition([3, 2, 5], [{ duration: 1 }, { duration: 2 }]), null);
+  assert.strictEqual(findOversizedTransition([3, 0.5, 5], [null, { duration: 1 }]), null);
+});
+
+test('findOversizedTransition reports the first transition that does not fit', () => {
+  assert.deepStrictEqual(findOversizedTransition([3, 1, 5], [{ duration: 1 }, null]), { index: 0, clipIndex: 1, duration: 1, maxDuration: 1 });
+  // Hard cuts add the whole clip to the running length; only the next clip limits the second transition
+  assert.deepStrictEqual(findOversizedTransition([2, 5, 0.5], [null, { duration: 1 }]), { index: 1, clipIndex: 2, duration: 1, maxDuration: 0.5 });
+});
+
+test('buildTransitionFilter fails with TRANSITION_TOO_LONG attributed to the incoming clip', () => {
+  assert.throws(
+    () => buildTransitionFilter([4, 0.8], [{ type: 'fade', duration: 1 }], true),
+    (error) => error.code === 'TRANSITION_TOO_LONG' && error.inputIndex === 1
+  );
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isBlockedAddress, assertUrlAllowed, checkClipUrls } = require('../lib/urlPolicy');
+
+test('isBlockedAddress blocks private and reserved IPv4 ranges', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']) {
+    assert.strictEqual(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1']) {
+    assert.strictEqual(isBlockedAddress(address), false, address);
+  }
+});
+
+test('isBlockedAddress blocks IPv6 loopback, unique local, link-local and multicast', () => {
+  for (const address of ['::', '::1', 'fd00::1', 'fc00::1', 'fe80::1', 'febf::1', 'ff02::1']) {
+    assert.strictEqual(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['2606:4700::1111', '2001:4860:4860::8888']) {
+    assert.strictEqual(isBlockedAddress(address), false, address);
+  }
+});
+
+test('isBlockedAddress decodes IPv4-mapped addresses in dotted and hex form', () => {
+  assert.strictEqual(isBlockedAddress('::ffff:127.0.0.1'), true);
+  assert.strictEqual(isBlockedAddress('::ffff:7f00:1'), true);
+  assert.strictEqual(isBlockedAddress('::ffff:a9fe:a9fe'), true);
+  assert.strictEqual(isBlockedAddress('::ffff:0:7f00:1'), true);
+  assert.strictEqual(isBlockedAddress('::ffff:808:808'), false);
+});
+
+test('isBlockedAddress decodes IPv4-compatible addresses', () => {
+  assert.strictEqual(isBlockedAddress('::7f00:1'), true);
+  assert.strictEqual(isBlockedAddress('::127.0.0.1'), true);
+  assert.strictEqual(isBlockedAddress('::a00:1'), true);
+  assert.strictEqual(isBlockedAddress('::808:808'), false);
+});
+
+test('isBlockedAddress decodes NAT64 and 6to4 addresses', () => {
+  assert.strictEqual(isBlockedAddress('64:ff9b::7f00:1'), true);
+  assert.strictEqual(isBlockedAddress('64:ff9b::a9fe:a9fe'), true);
+  assert.strictEqual(isBlockedAddress('64:ff9b::169.254.169.254'), true);
+  assert.strictEqual(isBlockedAddress('2002:a9fe:a9fe::1'), true);
+  assert.strictEqual(isBlockedAddress('64:ff9b::808:808'), false);
+  assert.strictEqual(isBlockedAddress('2002:808:808::1'), false);
+});
+
+test('assertUrlAllowed rejects IPv6 literals that the URL parser rewrites to hex', async () => {
+  for (const url of [
+    'http://[::ffff:127.0.0.1]/video.mp4',
+    'http://[::ffff:7f00:1]/video.mp4',
+    'http://[::ffff:169.254.169.254]/latest/meta-data/',
+    'http://[::127.0.0.1]/video.mp4',
+    'http://[64:ff9b::127.0.0.1]/video.mp4',
+    'http://[::1]/video.mp4'
+  ]) {
+    await assert.rejects(assertUrlAllowed(url), { code: 'URL_REJECTED' }, url);
+  }
+});
+
+test('assertUrlAllowed rejects bad URLs and schemes and accepts public IP literals', async () => {
+  await assert.rejects(assertUrlAllowed('not a url'), { code: 'URL_REJECTED', message: 'Invalid URL' });
+  await assert.rejects(assertUrlAllowed('file:///etc/passwd'), { code: 'URL_REJECTED' });
+  await assert.rejects(assertUrlAllowed('ftp://8.8.8.8/video.mp4'), { code: 'URL_REJECTED' });
+  await assertUrlAllowed('http://8.8.8.8/video.mp4');
+  await assertUrlAllowed('https://[2606:4700::1111]/video.mp4');
+});
+
+test('assertUrlAllowed applies the per-key allowedDomains list', async () => {
+  await assert.rejects(
+    assertUrlAllowed('http://8.8.8.8/video.mp4', { allowedDomains: ['*.example.com'] }),
+    { code: 'URL_REJECTED', message: /not allowed for this API key/ }
+  );
+});
+
+test('checkClipUrls names the first rejected clip and skips uploads', async () => {
+  const rejection = await checkClipUrls([
+    { filePath: '/tmp/upload.mp4' },
+    { url: 'http://8.8.8.8/a.mp4' },
+    { url: 'http://[::ffff:a9fe:a9fe]/b.mp4' }
+  ]);
+  assert.strictEqual(rejection.index, 2);
+  assert.strictEqual(rejection.code, 'URL_REJECTED');
+  assert.strictEqual(await checkClipUrls([{ url: 'http://8.8.8.8/a.mp4' }]), null);
+});
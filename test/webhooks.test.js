@@ -0,0 +1,103 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Settings are read at require time: keep the delivery log out of data/, let the receiver run on loopback and retry fast
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.URL_ALLOW_PRIVATE = 'true';
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+
+const { isConfigured, isValidCallbackUrl, signPayload, sendWebhook, getDelivery, listDeliveries } = require('../lib/webhooks');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Delivery logs come from retry timers between tests; keep them out of the runner's output
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+// Start a receiver answering with the given status codes in turn and recording what it got
+async function startReceiver(statuses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+async function waitForSettled(deliveryId) {
+  for (let i = 0; i < 200 && getDelivery(deliveryId).status === 'pending'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return getDelivery(deliveryId);
+}
+
+test('isConfigured follows WEBHOOK_SECRET', () => {
+  assert.strictEqual(isConfigured(), true);
+  delete process.env.WEBHOOK_SECRET;
+  assert.strictEqual(isConfigured(), false);
+  process.env.WEBHOOK_SECRET = 'test-secret';
+});
+
+test('isValidCallbackUrl accepts absolute http(s) URLs only', () => {
+  assert.strictEqual(isValidCallbackUrl('https://example.com/hook'), true);
+  assert.strictEqual(isValidCallbackUrl('http://example.com:8080/hook?x=1'), true);
+  assert.strictEqual(isValidCallbackUrl('ftp://example.com/hook'), false);
+  assert.strictEqual(isValidCallbackUrl('/hook'), false);
+  assert.strictEqual(isValidCallbackUrl(undefined), false);
+});
+
+test('signPayload is an HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', 'test-secret').update('1700000000.{"a":1}').digest('hex');
+  assert.strictEqual(signPayload('1700000000', '{"a":1}'), expected);
+  assert.notStrictEqual(signPayload('1700000001', '{"a":1}'), expected);
+});
+
+test('sendWebhook posts a signed body and retries a failed attempt', async () => {
+  const { server, received, url } = await startReceiver([500, 200]);
+  try {
+    const payload = { jobId: 'job-1', status: 'completed' };
+    const delivery = await waitForSettled(sendWebhook(url, 'job.completed', 'job-1', payload).id);
+
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 200]);
+    assert.strictEqual(delivery.attempts[0].error, 'HTTP 500');
+
+    const { headers, body } = received[1];
+    assert.deepStrictEqual(JSON.parse(body), payload);
+    assert.strictEqual(headers['x-webhook-event'], 'job.completed');
+    assert.strictEqual(headers['x-webhook-id'], delivery.id);
+    assert.strictEqual(headers['x-webhook-signature'], `sha256=${signPayload(headers['x-webhook-timestamp'], body)}`);
+  } finally {
+    server.close();
+  }
+});
+
+test('sendWebhook gives up after WEBHOOK_MAX_ATTEMPTS and the log lists it by job and status', async () => {
+  const { server, received, url } = await startReceiver([503]);
+  try {
+    const delivery = await waitForSettled(sendWebhook(url, 'job.failed', 'job-2', { jobId: 'job-2' }, 'key-1').id);
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(received.length, 2);
+
+    assert.deepStrictEqual(listDeliveries({ jobId: 'job-2' }).deliveries.map(item => item.id), [delivery.id]);
+    assert.strictEqual(listDeliveries({ status: 'failed', apiKeyId: 'key-1' }).total, 1);
+    assert.strictEqual(listDeliveries({ status: 'failed', apiKeyId: 'key-2' }).total, 0);
+  } finally {
+    server.close();
+  }
+});